@@ -2,66 +2,211 @@
  * Configuration management for Amazon Q Business Custom Plugin
  */
 
+const path = require('path');
 const logger = require('../utils/logger');
+const { loadStructuredFile } = require('../utils/fileLoader');
+const { registerSecret, REDACTED } = require('../utils/redaction');
+const { SecretResolver, SecretsManagerProvider } = require('./secrets');
+const { validateConfig, problem } = require('./schema');
+const { loadConfig, overlay, cloneConfig } = require('./loader');
+const { validateConnectorConfig } = require('../connectors/registry');
+
+// Settings that are secret even when given as plain values
+const SECRET_PATHS = [
+    'dataSource.apiKey',
+    'dataSource.password',
+    'auth.clientSecret',
+    'auth.refreshToken',
+    'sql.connection'
+];
+
+// The daemon runs every source on the top-level cron; per source, only `dataSource.syncInterval` applies
+const SOURCE_CRON_MESSAGE = 'cannot be set for a single data source; set schedule.cron at the top level, ' +
+    'or give the source a dataSource.syncInterval';
 
 class Config {
-    constructor() {
-        this.config = {
-            // AWS Configuration
-            aws: {
-                region: process.env.AWS_REGION || 'us-east-1',
-                qBusinessApplicationId: process.env.Q_BUSINESS_APPLICATION_ID,
-                dataSourceId: process.env.Q_BUSINESS_DATA_SOURCE_ID,
-                indexId: process.env.Q_BUSINESS_INDEX_ID
-            },
-            
-            // Data Source Configuration
-            dataSource: {
-                type: process.env.DATA_SOURCE_TYPE || 'api',
-                baseUrl: process.env.DATA_SOURCE_BASE_URL,
-                apiKey: process.env.DATA_SOURCE_API_KEY,
-                username: process.env.DATA_SOURCE_USERNAME,
-                password: process.env.DATA_SOURCE_PASSWORD,
-                batchSize: parseInt(process.env.BATCH_SIZE) || 100,
-                syncInterval: parseInt(process.env.SYNC_INTERVAL) || 3600000 // 1 hour in ms
-            },
-            
-            // Plugin Configuration
-            plugin: {
-                name: process.env.PLUGIN_NAME || 'custom-plugin',
-                version: process.env.PLUGIN_VERSION || '1.0.0',
-                logLevel: process.env.LOG_LEVEL || 'info',
-                maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
-                retryDelay: parseInt(process.env.RETRY_DELAY) || 1000
+    /**
+     * Load the configuration, or wrap one already loaded (see `forSource()`)
+     */
+    constructor(loaded = null) {
+        if (loaded) {
+            this.initialize(loaded);
+        } else {
+            this.load();
+        }
+    }
+    
+    /**
+     * Load settings from schema defaults, the config file and its profile, then environment variables
+     * Settings, defaults and constraints are declared in ./schema; problems are reported by `validate()`
+     */
+    load({ file = process.env.CONFIG_FILE, profile = process.env.CONFIG_PROFILE } = {}) {
+        this.initialize({ ...loadConfig({ env: process.env, file, profile }), file, profile });
+    }
+    
+    initialize({
+        config, provenance, errors, sources = [], file = null, profile = null, sourceName = null,
+        secretReferences = new Map()
+    }) {
+        this.config = config;
+        this.provenance = provenance;
+        this.loadErrors = errors;
+        this.sources = sources;
+        this.sourceName = sourceName;
+        this.file = file || null;
+        this.profile = profile || null;
+        
+        // Values such as `file:/run/secrets/api-key` are resolved by `resolveSecrets()`
+        this.secretReferences = new Map([...secretReferences, ...findSecretReferences(this.config)]);
+        this.secretResolver = new SecretResolver({
+            secretsmanager: new SecretsManagerProvider({
+                region: this.config.aws.region,
+                endpoint: this.config.secrets.secretsManagerEndpoint
+            })
+        });
+        
+        for (const path of SECRET_PATHS) {
+            if (!this.secretReferences.has(path)) {
+                registerSecret(this.get(path));
             }
-        };
+        }
+    }
+    
+    /**
+     * Get the names of the data sources listed under `sources`, in order
+     */
+    getSourceNames() {
+        return this.sources.map(source => source.name);
+    }
+    
+    /**
+     * Get the configuration of one data source: these settings with the source's own merged over them
+     * Each source keeps a dead-letter file of its own unless it names one, and the secret references
+     * of settings it inherits, so its `resolveSecrets()` picks up rotated values.
+     */
+    forSource(name) {
+        const source = this.sources.find(candidate => candidate.name === name);
+        
+        if (!source) {
+            throw new Error(`Unknown data source: ${name}`);
+        }
+        
+        const origin = `source:${name}`;
+        const { config, provenance, errors } = overlay(this, source.settings, origin);
+        
+        // A mapping file of the source replaces whatever mapping these settings had loaded
+        if (provenance.get('mapping.file') === origin && provenance.get('mapping.definition') !== origin) {
+            config.mapping.definition = null;
+        }
+        
+        if (provenance.get('plugin.deadLetterFile') !== origin) {
+            const file = path.parse(config.plugin.deadLetterFile);
+            config.plugin.deadLetterFile = path.join(file.dir, `${file.name}-${name}${file.ext}`);
+        }
+        
+        // These settings may already be resolved, so their references are carried over rather than found
+        const secretReferences = new Map([...this.secretReferences]
+            .filter(([path]) => provenance.get(path) !== origin));
+        
+        return new Config({
+            config,
+            provenance,
+            errors: [...this.loadErrors, ...errors],
+            file: this.file,
+            profile: this.profile,
+            sourceName: name,
+            secretReferences
+        });
     }
     
     /**
-     * Validate required configuration
+     * Validate the configuration against its schema, logging every problem found
      */
     validate() {
-        const required = [
-            'aws.qBusinessApplicationId',
-            'aws.dataSourceId',
-            'dataSource.baseUrl'
+        const problems = this.getValidationErrors();
+        
+        for (const { message } of problems) {
+            logger.error(`Invalid configuration: ${message}`);
+        }
+        
+        if (problems.length > 0) {
+            logger.error(`Configuration has ${problems.length} problem(s)`);
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Check every setting and cross-field rule
+     * Returns all problems as `{ path, code, message }`, or an empty list when the configuration is valid.
+     * With `sources`, only the source list is checked here; each source is validated on its own.
+     */
+    getValidationErrors() {
+        if (this.sources.length > 0) {
+            return [...this.loadErrors, ...this.getSourceListErrors()];
+        }
+        
+        const problems = [
+            ...this.loadErrors,
+            ...validateConfig(path => this.get(path), path => this.getSource(path)),
+            ...validateConnectorConfig(this)
         ];
         
-        const missing = [];
+        if (this.sourceName && this.getSource('schedule.cron') === `source:${this.sourceName}`) {
+            problems.push(problem('schedule.cron', 'unsupported', SOURCE_CRON_MESSAGE));
+        }
         
-        for (const key of required) {
-            const value = this.get(key);
-            if (!value) {
-                missing.push(key);
+        if (!problems.some(({ path }) => path === 'mapping.file')) {
+            try {
+                this.getFieldMapping();
+            } catch (error) {
+                problems.push(problem('mapping.file', 'invalid', `could not be loaded: ${error.message}`));
             }
         }
         
-        if (missing.length > 0) {
-            logger.error('Missing required configuration:', missing);
-            return false;
+        return problems;
+    }
+    
+    /**
+     * Check that no two sources write to the same Amazon Q Business data source,
+     * and that none sets a cron schedule of its own
+     */
+    getSourceListErrors() {
+        const problems = [];
+        const owners = new Map();
+        
+        for (const name of this.getSourceNames()) {
+            const source = this.forSource(name);
+            const dataSourceId = source.get('aws.dataSourceId');
+            
+            if (source.getSource('schedule.cron') === `source:${name}`) {
+                problems.push(problem(`sources.${name}.schedule.cron`, 'unsupported', SOURCE_CRON_MESSAGE));
+            }
+            
+            if (dataSourceId && owners.has(dataSourceId)) {
+                problems.push(problem(`sources.${name}.aws.dataSourceId`, 'conflict',
+                    `"${dataSourceId}" is also used by source "${owners.get(dataSourceId)}"`));
+            } else if (dataSourceId) {
+                owners.set(dataSourceId, name);
+            }
         }
         
-        return true;
+        return problems;
+    }
+    
+    /**
+     * Get the field mapping definition, loading `mapping.file` on first use
+     * Returns null when no mapping is configured
+     */
+    getFieldMapping() {
+        const mapping = this.config.mapping;
+        
+        if (!mapping.definition && mapping.file) {
+            mapping.definition = loadStructuredFile(mapping.file);
+        }
+        
+        return mapping.definition;
     }
     
     /**
@@ -83,14 +228,105 @@ class Config {
         }, this.config);
         
         target[lastKey] = value;
+        this.provenance.set(path, 'runtime');
+    }
+    
+    /**
+     * Get where a setting's value came from: `default`, `file:<path>`, `profile:<name>`, `env:<VAR>`,
+     * `source:<name>` or `runtime`
+     */
+    getSource(path) {
+        return this.provenance.get(path);
+    }
+    
+    /**
+     * Get every setting with a value, keyed by dot path, with the source of its value
+     * Secrets are redacted
+     */
+    getEffectiveConfig() {
+        const secretPaths = this.getSecretPaths();
+        const effective = {};
+        
+        for (const [path, source] of this.provenance) {
+            const value = this.get(path);
+            
+            if (value !== undefined && value !== null) {
+                effective[path] = { value: secretPaths.includes(path) ? REDACTED : value, source };
+            }
+        }
+        
+        return effective;
+    }
+    
+    /**
+     * Resolve secret references to their current values
+     * Call at startup, and again when a secret may have rotated; returns the paths whose value changed
+     */
+    async resolveSecrets() {
+        const changed = [];
+        
+        for (const [path, reference] of this.secretReferences) {
+            const value = await this.secretResolver.resolve(reference);
+            registerSecret(value);
+            
+            if (value !== this.get(path)) {
+                this.set(path, value);
+                changed.push(path);
+            }
+        }
+        
+        return changed;
+    }
+    
+    /**
+     * Check whether any setting is given as a secret reference
+     */
+    hasSecretReferences() {
+        return this.secretReferences.size > 0;
+    }
+    
+    /**
+     * Get the paths of every secret setting
+     */
+    getSecretPaths() {
+        return [...new Set([...SECRET_PATHS, ...this.secretReferences.keys()])];
     }
     
     /**
-     * Get all configuration
+     * Get all configuration, with secrets redacted
      */
     getAll() {
-        return { ...this.config };
+        const all = cloneConfig(this.config);
+        
+        for (const path of this.getSecretPaths()) {
+            const keys = path.split('.');
+            const lastKey = keys.pop();
+            const target = keys.reduce((obj, key) => obj?.[key], all);
+            
+            if (target && target[lastKey] !== undefined && target[lastKey] !== null) {
+                target[lastKey] = REDACTED;
+            }
+        }
+        
+        return all;
     }
 }
 
+/**
+ * Find settings given as secret references, keyed by dot path
+ */
+function findSecretReferences(object, prefix = '', references = new Map()) {
+    for (const [key, value] of Object.entries(object)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        
+        if (SecretResolver.isReference(value)) {
+            references.set(path, value);
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            findSecretReferences(value, path, references);
+        }
+    }
+    
+    return references;
+}
+
 module.exports = new Config();
@@ -0,0 +1,253 @@
+/**
+ * Configuration loader for Amazon Q Business Custom Plugin
+ * Layers schema defaults, a JSON/YAML config file, one of its profiles and environment variables
+ *
+ * A config file holds settings by section, plus named profiles merged over them:
+ *
+ *   dataSource:
+ *     baseUrl: https://api.example.com
+ *   profiles:
+ *     prod:
+ *       dataSource:
+ *         apiKey: ${PROD_API_KEY}
+ *
+ * String values may reference environment variables as `${VAR}` or `${VAR:-fallback}`.
+ *
+ * `sources` lists data sources run side by side; each names itself and overrides any settings:
+ *
+ *   sources:
+ *     - name: wiki
+ *       aws:
+ *         dataSourceId: wiki-data-source-id
+ *       dataSource:
+ *         baseUrl: https://wiki.example.com/api
+ */
+
+const { loadStructuredFile } = require('../utils/fileLoader');
+const { CONFIG_SCHEMA, isSetting, forEachSetting, envNames, parseValue, problem } = require('./schema');
+
+const INTERPOLATION_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+// Source names end up in state keys and file names
+const SOURCE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Load the effective configuration
+ * Returns the configuration tree, the source of each setting (`default`, `file:<path>`,
+ * `profile:<name>` or `env:<VAR>`), the data sources listed under `sources` as `{ name, settings }`
+ * and any problems found while loading
+ */
+function loadConfig({ env = process.env, file = null, profile = null } = {}) {
+    const config = {};
+    const provenance = new Map();
+    const errors = [];
+    let sources = [];
+    
+    const assign = createAssign(config, provenance);
+    
+    forEachSetting((path, setting) => {
+        assign(path, Array.isArray(setting.default) ? [...setting.default] : setting.default, 'default');
+    });
+    
+    if (file) {
+        const data = readConfigFile(file, errors);
+        
+        if (data) {
+            // Only the settings in use are interpolated, so other profiles may reference unset variables
+            const { profiles = {}, ...base } = data;
+            const { sources: baseSources, ...settings } = interpolate(base, env, errors);
+            mergeLayer(settings, `file:${file}`, assign, errors);
+            sources = readSources(baseSources, 'sources', errors);
+            
+            if (profile && !profiles[profile]) {
+                const available = Object.keys(profiles).join(', ') || 'none';
+                errors.push(problem('configProfile', 'invalid',
+                    `"${profile}" is not defined in ${file} (available: ${available})`));
+            } else if (profile) {
+                const prefix = `profiles.${profile}`;
+                const { sources: profileSources, ...profileSettings } =
+                    interpolate(profiles[profile] || {}, env, errors, prefix);
+                mergeLayer(profileSettings, `profile:${profile}`, assign, errors);
+                
+                // A profile's source list replaces the base list
+                if (profileSources !== undefined) {
+                    sources = readSources(profileSources, `${prefix}.sources`, errors);
+                }
+            }
+        }
+    } else if (profile) {
+        errors.push(problem('configProfile', 'invalid', `"${profile}" requires a config file (CONFIG_FILE)`));
+    }
+    
+    forEachSetting((path, setting) => {
+        const name = envNames(setting).find(candidate => env[candidate] !== undefined && env[candidate] !== '');
+        if (name) {
+            assign(path, parseValue(setting, env[name]), `env:${name}`);
+        }
+    });
+    
+    return { config, provenance, errors, sources };
+}
+
+/**
+ * Merge one data source's settings over a loaded configuration
+ * Returns a copy of the configuration and its provenance, and any problems in the settings
+ */
+function overlay({ config, provenance }, settings, source) {
+    const merged = { config: cloneConfig(config), provenance: new Map(provenance), errors: [] };
+    
+    mergeLayer(settings, source, createAssign(merged.config, merged.provenance), merged.errors);
+    
+    return merged;
+}
+
+/**
+ * Check the `sources` list, keeping entries that have a unique, usable name
+ */
+function readSources(list, path, errors) {
+    if (list === undefined || list === null) {
+        return [];
+    }
+    if (!Array.isArray(list)) {
+        errors.push(problem(path, 'type', 'must be a list of data sources'));
+        return [];
+    }
+    
+    const sources = [];
+    
+    list.forEach((entry, index) => {
+        const entryPath = `${path}[${index}]`;
+        
+        if (!isPlainObject(entry)) {
+            errors.push(problem(entryPath, 'type', 'must be a section of settings'));
+            return;
+        }
+        
+        const { name, ...settings } = entry;
+        
+        if (typeof name !== 'string' || !SOURCE_NAME_PATTERN.test(name)) {
+            errors.push(problem(`${entryPath}.name`, 'invalid',
+                'is required and may only contain letters, digits, ".", "_" and "-"'));
+        } else if (sources.some(source => source.name === name)) {
+            errors.push(problem(`${entryPath}.name`, 'conflict', `"${name}" is used by more than one source`));
+        } else {
+            sources.push({ name, settings });
+        }
+    });
+    
+    return sources;
+}
+
+/**
+ * Read a config file, recording a problem when it can't be loaded
+ */
+function readConfigFile(file, errors) {
+    try {
+        const data = loadStructuredFile(file);
+        
+        if (!isPlainObject(data)) {
+            errors.push(problem('configFile', 'invalid', `${file} must contain an object of settings`));
+            return null;
+        }
+        return data;
+    
+    } catch (error) {
+        errors.push(problem('configFile', 'invalid', `could not be loaded: ${error.message}`));
+        return null;
+    }
+}
+
+/**
+ * Deep-merge one layer of settings, keeping only keys the schema declares
+ */
+function mergeLayer(layer, source, assign, errors, schema = CONFIG_SCHEMA, prefix = '') {
+    for (const [key, value] of Object.entries(layer || {})) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const node = schema[key];
+        
+        if (!node) {
+            errors.push(problem(path, 'unknown', `is not a recognized setting (from ${source})`));
+        } else if (isSetting(node)) {
+            assign(path, typeof value === 'string' ? parseValue(node, value) : value, source);
+        } else if (isPlainObject(value)) {
+            mergeLayer(value, source, assign, errors, node, path);
+        } else {
+            errors.push(problem(path, 'type', `must be a section of settings (from ${source})`));
+        }
+    }
+}
+
+/**
+ * Replace `${VAR}` and `${VAR:-fallback}` in every string of a value
+ */
+function interpolate(value, env, errors, path = '') {
+    if (typeof value === 'string') {
+        return value.replace(INTERPOLATION_PATTERN, (match, name, fallback) => {
+            if (env[name] !== undefined && env[name] !== '') {
+                return env[name];
+            }
+            if (fallback !== undefined) {
+                return fallback;
+            }
+            
+            errors.push(problem(path || 'configFile', 'invalid', `references \${${name}}, which is not set`));
+            return '';
+        });
+    }
+    
+    if (Array.isArray(value)) {
+        return value.map((item, index) => interpolate(item, env, errors, `${path}[${index}]`));
+    }
+    
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => (
+            [key, interpolate(item, env, errors, path ? `${path}.${key}` : key)]
+        )));
+    }
+    
+    return value;
+}
+
+/**
+ * Copy plain objects and arrays in the configuration tree; other values are shared
+ */
+function cloneConfig(value) {
+    if (Array.isArray(value)) {
+        return value.map(cloneConfig);
+    }
+    
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneConfig(item)]));
+    }
+    
+    return value;
+}
+
+function createAssign(config, provenance) {
+    return (path, value, source) => {
+        setPath(config, path, value);
+        provenance.set(path, source);
+    };
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    const lastKey = keys.pop();
+    const section = keys.reduce((obj, key) => {
+        if (!obj[key]) obj[key] = {};
+        return obj[key];
+    }, target);
+    
+    section[lastKey] = value;
+}
+
+module.exports = {
+    loadConfig,
+    overlay,
+    interpolate,
+    cloneConfig
+};
@@ -0,0 +1,452 @@
+/**
+ * Configuration schema for Amazon Q Business Custom Plugin
+ * Declares every setting with its environment variable, type, default and constraints
+ *
+ * A setting is `{ type, env, default, required, min, max, enum }`; `env` may list several
+ * variables in priority order. Types: string, url, integer, number, boolean, list, function, any.
+ */
+
+const { CronSchedule } = require('../utils/cron');
+
+// Amazon Q Business accepts at most 10 documents per BatchPutDocument/BatchDeleteDocument call
+const MAX_BATCH_SIZE = 10;
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+const CONFIG_SCHEMA = {
+    // AWS Configuration
+    aws: {
+        region: { type: 'string', env: 'AWS_REGION', default: 'us-east-1' },
+        qBusinessApplicationId: { type: 'string', env: 'Q_BUSINESS_APPLICATION_ID', required: true },
+        dataSourceId: { type: 'string', env: 'Q_BUSINESS_DATA_SOURCE_ID', required: true },
+        indexId: { type: 'string', env: 'Q_BUSINESS_INDEX_ID' }
+    },
+    
+    // Data Source Configuration
+    dataSource: {
+        type: { type: 'string', env: 'DATA_SOURCE_TYPE', default: 'api' }, // a registered connector type
+        connectorModules: { type: 'list', env: 'DATA_SOURCE_CONNECTOR_MODULES', default: [] },
+        baseUrl: { type: 'url', env: 'DATA_SOURCE_BASE_URL' },
+        apiKey: { type: 'string', env: 'DATA_SOURCE_API_KEY' },
+        username: { type: 'string', env: 'DATA_SOURCE_USERNAME' },
+        password: { type: 'string', env: 'DATA_SOURCE_PASSWORD' },
+        batchSize: { type: 'integer', env: 'BATCH_SIZE', default: MAX_BATCH_SIZE, min: 1, max: MAX_BATCH_SIZE },
+        fetchConcurrency: { type: 'integer', env: 'FETCH_CONCURRENCY', default: 1, min: 1 },
+        maxRetries: { type: 'integer', env: 'DATA_SOURCE_MAX_RETRIES', default: 3, min: 0 },
+        retryDelay: { type: 'integer', env: 'DATA_SOURCE_RETRY_DELAY', default: 1000, min: 0 },
+        syncInterval: { type: 'integer', env: 'SYNC_INTERVAL', default: 3600000, min: 1000 }, // 1 hour in ms
+        syncMode: { type: 'string', env: 'SYNC_MODE', default: 'full', enum: ['full', 'incremental', 'auto'] },
+        protocol: { type: 'string', env: 'DATA_SOURCE_PROTOCOL', default: 'rest', enum: ['rest', 'graphql'] },
+        idFields: { type: 'list', env: 'DOCUMENT_ID_FIELDS', default: ['url'] },
+        // Origins besides the base URL's that attachment downloads may send credentials to
+        trustedOrigins: { type: 'list', env: 'DATA_SOURCE_TRUSTED_ORIGINS', default: [] }
+    },
+    
+    // Authentication Configuration (inferred from the data source credentials when unset)
+    auth: {
+        type: { type: 'string', env: 'AUTH_TYPE', enum: ['api-key', 'basic', 'oauth2', 'none'] },
+        tokenUrl: { type: 'url', env: 'OAUTH_TOKEN_URL' },
+        clientId: { type: 'string', env: 'OAUTH_CLIENT_ID' },
+        clientSecret: { type: 'string', env: 'OAUTH_CLIENT_SECRET' },
+        refreshToken: { type: 'string', env: 'OAUTH_REFRESH_TOKEN' },
+        scope: { type: 'string', env: 'OAUTH_SCOPE' },
+        clientAuthMethod: { type: 'string', env: 'OAUTH_CLIENT_AUTH_METHOD', default: 'basic', enum: ['basic', 'body'] },
+        refreshMargin: { type: 'integer', env: 'OAUTH_REFRESH_MARGIN', default: 60000, min: 0 } // 1 minute in ms
+    },
+    
+    // Pagination Configuration
+    pagination: {
+        strategy: {
+            type: 'string',
+            env: 'PAGINATION_STRATEGY',
+            default: 'page',
+            enum: ['page', 'offset', 'cursor', 'link-header', 'custom']
+        },
+        pageSize: { type: 'integer', env: 'PAGE_SIZE', default: 100, min: 1 },
+        pageParam: { type: 'string', env: 'PAGINATION_PAGE_PARAM', default: 'page' },
+        offsetParam: { type: 'string', env: 'PAGINATION_OFFSET_PARAM', default: 'offset' },
+        limitParam: { type: 'string', env: 'PAGINATION_LIMIT_PARAM', default: 'limit' },
+        cursorParam: { type: 'string', env: 'PAGINATION_CURSOR_PARAM', default: 'cursor' },
+        cursorPath: { type: 'string', env: 'PAGINATION_CURSOR_PATH' },
+        module: { type: 'string', env: 'PAGINATION_MODULE' },
+        custom: { type: 'function' },
+        maxPages: { type: 'integer', env: 'PAGINATION_MAX_PAGES', default: 10000, min: 1 }
+    },
+    
+    // GraphQL Configuration (dataSource.protocol graphql)
+    graphql: {
+        path: { type: 'string', env: 'GRAPHQL_PATH', default: '/graphql' }, // relative to dataSource.baseUrl
+        query: { type: 'string', env: 'GRAPHQL_QUERY' },
+        queryFile: { type: 'string', env: 'GRAPHQL_QUERY_FILE' },
+        variables: { type: 'any', env: 'GRAPHQL_VARIABLES', default: {} }, // an object, or JSON from the environment
+        nodesPath: { type: 'string', env: 'GRAPHQL_NODES_PATH' }, // e.g. data.search.nodes
+        pageInfoPath: { type: 'string', env: 'GRAPHQL_PAGE_INFO_PATH' }, // defaults to the pageInfo beside the nodes
+        cursorVariable: { type: 'string', env: 'GRAPHQL_CURSOR_VARIABLE', default: 'after' },
+        pageSizeVariable: { type: 'string', env: 'GRAPHQL_PAGE_SIZE_VARIABLE', default: 'first' },
+        sinceVariable: { type: 'string', env: 'GRAPHQL_SINCE_VARIABLE' } // enables incremental syncs
+    },
+    
+    // Filesystem Connector Configuration (dataSource.type filesystem)
+    filesystem: {
+        roots: { type: 'list', env: 'FILESYSTEM_ROOTS', default: [] },
+        include: { type: 'list', env: 'FILESYSTEM_INCLUDE', default: [] }, // globs; empty includes every file
+        exclude: { type: 'list', env: 'FILESYSTEM_EXCLUDE', default: [] },
+        followSymlinks: { type: 'boolean', env: 'FILESYSTEM_FOLLOW_SYMLINKS', default: false }
+    },
+    
+    // S3 Bucket Connector Configuration (dataSource.type s3)
+    s3Source: {
+        bucket: { type: 'string', env: 'S3_SOURCE_BUCKET' },
+        prefix: { type: 'string', env: 'S3_SOURCE_PREFIX', default: '' },
+        region: { type: 'string', env: 'S3_SOURCE_REGION' }, // defaults to aws.region
+        endpoint: { type: 'url', env: 'S3_SOURCE_ENDPOINT' }, // e.g. a local S3-compatible server
+        forcePathStyle: { type: 'boolean', env: 'S3_SOURCE_FORCE_PATH_STYLE', default: false },
+        include: { type: 'list', env: 'S3_SOURCE_INCLUDE', default: [] }, // globs relative to the prefix
+        exclude: { type: 'list', env: 'S3_SOURCE_EXCLUDE', default: [] },
+        fetchMetadata: { type: 'boolean', env: 'S3_SOURCE_FETCH_METADATA', default: true },
+        fetchTags: { type: 'boolean', env: 'S3_SOURCE_FETCH_TAGS', default: true }
+    },
+    
+    // SQL Connector Configuration (dataSource.type sql)
+    sql: {
+        client: { type: 'string', env: 'SQL_CLIENT', enum: ['postgres', 'mysql', 'sqlite'] },
+        connection: { type: 'string', env: 'SQL_CONNECTION' }, // connection URL, or the SQLite database file
+        query: { type: 'string', env: 'SQL_QUERY' },
+        keyColumn: { type: 'string', env: 'SQL_KEY_COLUMN', default: 'id' }, // unique and sortable
+        updatedAtColumn: { type: 'string', env: 'SQL_UPDATED_AT_COLUMN', default: 'updated_at' }
+    },
+    
+    // Plugin Configuration
+    plugin: {
+        name: { type: 'string', env: 'PLUGIN_NAME', default: 'custom-plugin' },
+        version: { type: 'string', env: 'PLUGIN_VERSION', default: '1.0.0' },
+        logLevel: { type: 'string', env: 'LOG_LEVEL', default: 'info', enum: LOG_LEVELS },
+        maxRetries: { type: 'integer', env: 'MAX_RETRIES', default: 3, min: 0 },
+        retryDelay: { type: 'integer', env: 'RETRY_DELAY', default: 1000, min: 0 },
+        uploadConcurrency: { type: 'integer', env: 'UPLOAD_CONCURRENCY', default: 1, min: 1 },
+        shutdownTimeout: { type: 'integer', env: 'SHUTDOWN_TIMEOUT', default: 30000, min: 0 }, // ms uploads get to finish
+        checkpointInterval: { type: 'integer', env: 'CHECKPOINT_INTERVAL', default: 60000, min: 0 }, // 0 checkpoints every page
+        checkpointMaxAge: { type: 'integer', env: 'CHECKPOINT_MAX_AGE', default: 86400000, min: 0 }, // 1 day in ms
+        // Largest share of the indexed documents a listing may delete; 1 also allows deleting everything
+        maxDeleteRatio: { type: 'number', env: 'MAX_DELETE_RATIO', default: 0.5, min: 0, max: 1 },
+        deadLetterFile: { type: 'string', env: 'DEAD_LETTER_FILE', default: '.state/dead-letter.jsonl' }
+    },
+    
+    // Scheduling Configuration (daemon mode and the auto sync mode)
+    schedule: {
+        cron: { type: 'string', env: 'SYNC_CRON' }, // replaces dataSource.syncInterval in daemon mode
+        fullSyncInterval: { type: 'integer', env: 'FULL_SYNC_INTERVAL', default: 86400000, min: 0 } // 1 day in ms
+    },
+    
+    // Rate Limiting Configuration (0 requests per second disables a limiter)
+    rateLimit: {
+        dataSourceRequestsPerSecond: { type: 'number', env: 'DATA_SOURCE_RATE_LIMIT', default: 10, min: 0 },
+        dataSourceBurst: { type: 'integer', env: 'DATA_SOURCE_RATE_BURST', default: 1, min: 1 },
+        qBusinessRequestsPerSecond: { type: 'number', env: 'Q_BUSINESS_RATE_LIMIT', default: 1, min: 0 },
+        qBusinessBurst: { type: 'integer', env: 'Q_BUSINESS_RATE_BURST', default: 1, min: 1 },
+        maxRetryAfter: { type: 'integer', env: 'MAX_RETRY_AFTER', default: 300000, min: 0 } // 5 minutes in ms
+    },
+    
+    // S3 Configuration (large document offload)
+    s3: {
+        bucket: { type: 'string', env: 'S3_BUCKET_NAME' },
+        prefix: { type: 'string', env: 'S3_PREFIX', default: 'documents/' },
+        offloadThreshold: { type: 'integer', env: 'S3_OFFLOAD_THRESHOLD', default: 10485760, min: 1 }, // 10 MB
+        roleArn: { type: 'string', env: 'S3_ROLE_ARN' },
+        cleanupStaged: { type: 'boolean', env: 'S3_CLEANUP_STAGED', default: true },
+        stagedRetention: { type: 'integer', env: 'S3_STAGED_RETENTION', default: 86400000, min: 3600000 } // 1 day in ms
+    },
+    
+    // Sync State Configuration
+    state: {
+        backend: { type: 'string', env: 'STATE_BACKEND', default: 'file', enum: ['file', 's3'] },
+        directory: { type: 'string', env: 'STATE_DIRECTORY', default: '.state' },
+        s3Bucket: { type: 'string', env: ['STATE_S3_BUCKET', 'S3_BUCKET_NAME'] },
+        s3Prefix: { type: 'string', env: 'STATE_S3_PREFIX', default: 'state/' }
+    },
+    
+    // Secret Reference Configuration
+    secrets: {
+        secretsManagerEndpoint: { type: 'url', env: 'SECRETS_MANAGER_ENDPOINT' } // e.g. a local emulator
+    },
+    
+    // Field Mapping Configuration
+    mapping: {
+        file: { type: 'string', env: 'FIELD_MAPPING_FILE' },
+        definition: { type: 'any', default: null }
+    }
+};
+
+// Rules spanning several settings; each returns a list of problems
+const CROSS_FIELD_RULES = [
+    (get) => (get('dataSource.type') === 'api' && !get('dataSource.baseUrl') ?
+        [problem('dataSource.baseUrl', 'required', 'is required for the api data source')] :
+        []),
+    
+    (get) => {
+        if (get('dataSource.protocol') !== 'graphql') {
+            return [];
+        }
+        
+        const problems = [];
+        
+        if (!get('graphql.query') && !get('graphql.queryFile')) {
+            problems.push(problem('graphql.query', 'required', 'or graphql.queryFile is required for the graphql protocol'));
+        }
+        if (!get('graphql.nodesPath')) {
+            problems.push(problem('graphql.nodesPath', 'required', 'is required for the graphql protocol'));
+        }
+        
+        let variables = get('graphql.variables') ?? {};
+        try {
+            variables = typeof variables === 'string' ? JSON.parse(variables) : variables;
+        } catch (error) {
+            variables = null;
+        }
+        if (variables === null || typeof variables !== 'object' || Array.isArray(variables)) {
+            problems.push(problem('graphql.variables', 'type', 'must be an object (JSON in GRAPHQL_VARIABLES)'));
+        }
+        return problems;
+    },
+    
+    (get) => ([].concat(get('dataSource.trustedOrigins') || []).some(origin => !isHttpUrl(origin)) ?
+        [problem('dataSource.trustedOrigins', 'type', 'must be a list of http(s) origins, e.g. https://files.example.com')] :
+        []),
+    
+    (get) => (get('dataSource.type') === 'filesystem' && (get('filesystem.roots') || []).length === 0 ?
+        [problem('filesystem.roots', 'required', 'is required for the filesystem data source')] :
+        []),
+    
+    (get) => (get('s3.bucket') && !get('s3.roleArn') ?
+        [problem('s3.roleArn', 'required', 'is required to offload large documents to s3.bucket')] :
+        []),
+    
+    (get) => (get('dataSource.type') === 's3' && !get('s3Source.bucket') ?
+        [problem('s3Source.bucket', 'required', 'is required for the s3 data source')] :
+        []),
+    
+    (get) => (get('dataSource.type') === 'sql' ?
+        ['sql.client', 'sql.connection', 'sql.query']
+            .filter(path => !get(path))
+            .map(path => problem(path, 'required', 'is required for the sql data source')) :
+        []),
+    
+    (get) => {
+        const hasUsername = Boolean(get('dataSource.username'));
+        const hasPassword = Boolean(get('dataSource.password'));
+        
+        if (get('dataSource.apiKey') && (hasUsername || hasPassword)) {
+            return [problem('dataSource.apiKey', 'conflict',
+                'cannot be combined with dataSource.username/password; configure one authentication method')];
+        }
+        if (hasUsername !== hasPassword) {
+            const missing = hasUsername ? 'dataSource.password' : 'dataSource.username';
+            return [problem(missing, 'required', 'is required when using Basic authentication')];
+        }
+        return [];
+    },
+    
+    (get) => {
+        const required = {
+            'api-key': ['dataSource.apiKey'],
+            basic: ['dataSource.username', 'dataSource.password'],
+            oauth2: ['auth.tokenUrl', 'auth.clientId']
+        }[get('auth.type')] || [];
+        
+        return required
+            .filter(path => !get(path))
+            .map(path => problem(path, 'required', `is required when auth.type is ${get('auth.type')}`));
+    },
+    
+    (get) => {
+        if (!get('schedule.cron')) {
+            return [];
+        }
+        try {
+            new CronSchedule(get('schedule.cron'));
+            return [];
+        } catch (error) {
+            return [problem('schedule.cron', 'invalid', `must be a valid cron expression (${error.message})`)];
+        }
+    },
+    
+    (get) => (get('state.backend') === 's3' && !get('state.s3Bucket') ?
+        [problem('state.s3Bucket', 'required', 'is required when state.backend is s3')] :
+        []),
+    
+    (get) => (get('pagination.strategy') === 'custom' && !get('pagination.module') && !get('pagination.custom') ?
+        [problem('pagination.module', 'required', 'is required when pagination.strategy is custom')] :
+        [])
+];
+
+/**
+ * Describe one configuration problem
+ * `code` is one of: required, type, range, enum, conflict, unknown, invalid
+ */
+function problem(path, code, message) {
+    return { path, code, message: `${path} ${message}` };
+}
+
+/**
+ * Check whether a schema node is a setting rather than a section
+ */
+function isSetting(node) {
+    return Boolean(node) && typeof node.type === 'string';
+}
+
+/**
+ * Call `callback(path, setting)` for every setting in the schema
+ */
+function forEachSetting(callback, schema = CONFIG_SCHEMA, prefix = '') {
+    for (const [key, node] of Object.entries(schema)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        
+        if (isSetting(node)) {
+            callback(path, node);
+        } else {
+            forEachSetting(callback, node, path);
+        }
+    }
+}
+
+/**
+ * Environment variables a setting is read from, in priority order
+ */
+function envNames(setting) {
+    if (!setting.env) {
+        return [];
+    }
+    return Array.isArray(setting.env) ? setting.env : [setting.env];
+}
+
+/**
+ * Convert a string (an environment variable or interpolated file value) to a setting's type
+ * Values that don't parse are kept as strings so validation can report them
+ */
+function parseValue(setting, raw) {
+    const value = raw.trim();
+    
+    switch (setting.type) {
+    case 'integer':
+        return /^-?\d+$/.test(value) ? Number(value) : raw;
+    case 'number':
+        return value !== '' && Number.isFinite(Number(value)) ? Number(value) : raw;
+    case 'boolean':
+        if (['true', '1', 'yes'].includes(value.toLowerCase())) {
+            return true;
+        }
+        if (['false', '0', 'no'].includes(value.toLowerCase())) {
+            return false;
+        }
+        return raw;
+    case 'list':
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+        return raw;
+    }
+}
+
+/**
+ * Check a value against its setting's type and constraints
+ * `source` says where the value came from, e.g. `env:BATCH_SIZE`
+ */
+function validateSetting(path, setting, value, source) {
+    if (value === undefined || value === null || value === '') {
+        return setting.required ? [problem(path, 'required', `is required${describeSource(setting, source)}`)] : [];
+    }
+    
+    const typeError = checkType(setting, value);
+    if (typeError) {
+        return [problem(path, 'type', `must be ${typeError}, got ${JSON.stringify(value)}${describeSource(setting, source)}`)];
+    }
+    
+    if (setting.enum && !setting.enum.includes(value)) {
+        return [problem(path, 'enum',
+            `must be one of ${setting.enum.join(', ')}, got ${JSON.stringify(value)}${describeSource(setting, source)}`)];
+    }
+    
+    const belowMin = setting.min !== undefined && value < setting.min;
+    const aboveMax = setting.max !== undefined && value > setting.max;
+    if (belowMin || aboveMax) {
+        return [problem(path, 'range', `must be ${describeRange(setting)}, got ${value}${describeSource(setting, source)}`)];
+    }
+    
+    return [];
+}
+
+/**
+ * Describe what a value should have been, or return null when its type is right
+ */
+function checkType(setting, value) {
+    switch (setting.type) {
+    case 'string':
+        return typeof value === 'string' ? null : 'a string';
+    case 'url':
+        return typeof value === 'string' && isHttpUrl(value) ? null : 'an http(s) URL';
+    case 'integer':
+        return Number.isInteger(value) ? null : 'an integer';
+    case 'number':
+        return typeof value === 'number' && Number.isFinite(value) ? null : 'a number';
+    case 'boolean':
+        return typeof value === 'boolean' ? null : 'true or false';
+    case 'list':
+        return Array.isArray(value) && value.every(item => typeof item === 'string') ? null : 'a list of strings';
+    case 'function':
+        return typeof value === 'function' ? null : 'a function';
+    default:
+        return null;
+    }
+}
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+function describeRange(setting) {
+    if (setting.min !== undefined && setting.max !== undefined) {
+        return `between ${setting.min} and ${setting.max}`;
+    }
+    return setting.min !== undefined ? `at least ${setting.min}` : `at most ${setting.max}`;
+}
+
+function describeSource(setting, source) {
+    if (source && source !== 'default') {
+        return ` (from ${source})`;
+    }
+    
+    const names = envNames(setting);
+    return names.length > 0 ? ` (${names.join(' or ')})` : '';
+}
+
+/**
+ * Validate every setting and cross-field rule, returning all problems found
+ * `get(path)` reads the current value of a setting and `sourceOf(path)` where it came from
+ */
+function validateConfig(get, sourceOf = () => undefined) {
+    const problems = [];
+    
+    forEachSetting((path, setting) => {
+        problems.push(...validateSetting(path, setting, get(path), sourceOf(path)));
+    });
+    
+    for (const rule of CROSS_FIELD_RULES) {
+        problems.push(...rule(get));
+    }
+    
+    return problems;
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    MAX_BATCH_SIZE,
+    isSetting,
+    forEachSetting,
+    envNames,
+    parseValue,
+    validateConfig,
+    problem
+};
@@ -0,0 +1,123 @@
+/**
+ * Secret references for Amazon Q Business Custom Plugin
+ * Resolves configuration values such as `file:/run/secrets/api-key`, `env:API_KEY`
+ * or `secretsmanager:prod/source#apiKey` to the secret they point at
+ */
+
+const fs = require('fs').promises;
+const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+
+const SECRET_REFERENCE_PATTERN = /^(file|env|secretsmanager):(.+)$/;
+
+/**
+ * Read a secret from a file, e.g. a Docker or Kubernetes secret mount
+ */
+class FileSecretProvider {
+    async resolve(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        // Secret files usually end with a newline that is not part of the secret
+        return content.replace(/\r?\n$/, '');
+    }
+}
+
+/**
+ * Read a secret from another environment variable
+ */
+class EnvSecretProvider {
+    async resolve(name) {
+        if (process.env[name] === undefined) {
+            throw new Error(`Environment variable ${name} is not set`);
+        }
+        return process.env[name];
+    }
+}
+
+/**
+ * Read a secret from AWS Secrets Manager
+ * `secret-id#key` selects one field of a JSON secret. Point `endpoint` at a local
+ * emulator, or pass a `client`, to stub it outside AWS.
+ */
+class SecretsManagerProvider {
+    constructor({ region, endpoint = null, client = null } = {}) {
+        this.region = region;
+        this.endpoint = endpoint;
+        this.client = client;
+    }
+    
+    getClient() {
+        if (!this.client) {
+            this.client = new SecretsManagerClient({
+                region: this.region,
+                ...(this.endpoint ? { endpoint: this.endpoint } : {})
+            });
+        }
+        return this.client;
+    }
+    
+    async resolve(target) {
+        const separator = target.lastIndexOf('#');
+        const secretId = separator === -1 ? target : target.slice(0, separator);
+        const field = separator === -1 ? null : target.slice(separator + 1);
+        
+        const response = await this.getClient().send(new GetSecretValueCommand({ SecretId: secretId }));
+        const value = response.SecretString ?? Buffer.from(response.SecretBinary || []).toString('utf8');
+        
+        if (!field) {
+            return value;
+        }
+        
+        const fields = JSON.parse(value);
+        if (fields[field] === undefined) {
+            throw new Error(`Secret ${secretId} has no field ${field}`);
+        }
+        return String(fields[field]);
+    }
+}
+
+/**
+ * Resolve secret references through the provider registered for their scheme
+ */
+class SecretResolver {
+    constructor(providers = {}) {
+        this.providers = {
+            file: new FileSecretProvider(),
+            env: new EnvSecretProvider(),
+            secretsmanager: new SecretsManagerProvider(),
+            ...providers
+        };
+    }
+    
+    /**
+     * Replace the provider for a scheme, e.g. with a local stub
+     */
+    register(scheme, provider) {
+        this.providers[scheme] = provider;
+    }
+    
+    /**
+     * Check whether a configuration value is a secret reference
+     */
+    static isReference(value) {
+        return typeof value === 'string' && SECRET_REFERENCE_PATTERN.test(value);
+    }
+    
+    /**
+     * Resolve a secret reference to its value
+     */
+    async resolve(reference) {
+        const [, scheme, target] = reference.match(SECRET_REFERENCE_PATTERN);
+        
+        try {
+            return await this.providers[scheme].resolve(target);
+        } catch (error) {
+            throw new Error(`Failed to resolve secret reference ${reference}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = {
+    SecretResolver,
+    FileSecretProvider,
+    EnvSecretProvider,
+    SecretsManagerProvider
+};
@@ -0,0 +1,230 @@
+/**
+ * Authentication providers for Amazon Q Business Custom Plugin
+ * Supply the Authorization header for data source requests
+ *
+ * A provider implements `getAuthorization()`, resolving to a header value or null.
+ * Providers that can obtain fresh credentials set `refreshable` and implement `invalidate()`.
+ */
+
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { registerSecret } = require('../utils/redaction');
+
+/**
+ * Unauthenticated requests
+ */
+class NoAuthProvider {
+    constructor() {
+        this.refreshable = false;
+    }
+    
+    async getAuthorization() {
+        return null;
+    }
+}
+
+/**
+ * Static API key sent as a Bearer token
+ */
+class ApiKeyAuthProvider {
+    constructor(apiKey) {
+        if (!apiKey) {
+            throw new Error('API key authentication requires dataSource.apiKey');
+        }
+        
+        this.apiKey = apiKey;
+        this.refreshable = false;
+    }
+    
+    async getAuthorization() {
+        return `Bearer ${this.apiKey}`;
+    }
+}
+
+/**
+ * HTTP Basic authentication
+ */
+class BasicAuthProvider {
+    constructor(username, password) {
+        if (!username || !password) {
+            throw new Error('Basic authentication requires dataSource.username and dataSource.password');
+        }
+        
+        this.credentials = Buffer.from(`${username}:${password}`).toString('base64');
+        this.refreshable = false;
+        registerSecret(this.credentials);
+    }
+    
+    async getAuthorization() {
+        return `Basic ${this.credentials}`;
+    }
+}
+
+/**
+ * OAuth2 client-credentials or refresh-token flow
+ * Tokens are cached until `refreshMargin` ms before they expire, then fetched again;
+ * `invalidate()` forces a new token, e.g. after the data source answers 401.
+ */
+class OAuth2AuthProvider {
+    constructor({
+        tokenUrl,
+        clientId,
+        clientSecret,
+        refreshToken = null,
+        scope = null,
+        clientAuthMethod = 'basic',
+        refreshMargin = 60000,
+        httpClient = axios
+    }) {
+        if (!tokenUrl || !clientId) {
+            throw new Error('OAuth2 authentication requires auth.tokenUrl and auth.clientId');
+        }
+        
+        this.tokenUrl = tokenUrl;
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.refreshToken = refreshToken;
+        this.scope = scope;
+        this.clientAuthMethod = clientAuthMethod;
+        this.refreshMargin = refreshMargin;
+        this.httpClient = httpClient;
+        this.refreshable = true;
+        
+        this.accessToken = null;
+        this.expiresAt = 0;
+        this.pendingToken = null;
+    }
+    
+    async getAuthorization() {
+        if (!this.accessToken || Date.now() >= this.expiresAt - this.refreshMargin) {
+            await this.refresh();
+        }
+        
+        return `Bearer ${this.accessToken}`;
+    }
+    
+    /**
+     * Drop the cached token so the next request fetches a new one
+     */
+    invalidate() {
+        this.accessToken = null;
+        this.expiresAt = 0;
+    }
+    
+    /**
+     * Fetch a new token; concurrent callers share one token request
+     */
+    refresh() {
+        if (!this.pendingToken) {
+            this.pendingToken = this.requestToken().finally(() => {
+                this.pendingToken = null;
+            });
+        }
+        
+        return this.pendingToken;
+    }
+    
+    /**
+     * Request a token from the token endpoint
+     */
+    async requestToken() {
+        const grantType = this.refreshToken ? 'refresh_token' : 'client_credentials';
+        const body = new URLSearchParams({ grant_type: grantType });
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+        
+        if (this.refreshToken) {
+            body.set('refresh_token', this.refreshToken);
+        }
+        if (this.scope) {
+            body.set('scope', this.scope);
+        }
+        
+        if (this.clientAuthMethod === 'body') {
+            body.set('client_id', this.clientId);
+            if (this.clientSecret) {
+                body.set('client_secret', this.clientSecret);
+            }
+        } else {
+            const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret || '')}`;
+            headers['Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        }
+        
+        try {
+            logger.debug(`Requesting OAuth2 token (${grantType}) from ${this.tokenUrl}`);
+            
+            const response = await this.httpClient.post(this.tokenUrl, body.toString(), { headers });
+            const token = response.data || {};
+            
+            if (!token.access_token) {
+                throw new Error('Token response did not include an access_token');
+            }
+            
+            this.accessToken = token.access_token;
+            registerSecret(this.accessToken);
+            this.expiresAt = token.expires_in ? Date.now() + Number(token.expires_in) * 1000 : Infinity;
+            
+            // Providers that rotate refresh tokens return the replacement with each token
+            if (token.refresh_token) {
+                this.refreshToken = token.refresh_token;
+                registerSecret(this.refreshToken);
+            }
+            
+            return this.accessToken;
+        
+        } catch (error) {
+            const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+            logger.error(`Failed to obtain OAuth2 token from ${this.tokenUrl}: ${reason}`);
+            throw new Error(`OAuth2 token request failed: ${reason}`);
+        }
+    }
+}
+
+/**
+ * Create the authentication provider selected by `auth.type`
+ * Without one, an API key selects `api-key` and a username/password pair selects `basic`
+ */
+function createAuthProvider(config) {
+    const apiKey = config.get('dataSource.apiKey');
+    const username = config.get('dataSource.username');
+    const password = config.get('dataSource.password');
+    
+    let type = config.get('auth.type');
+    if (!type) {
+        if (apiKey) {
+            type = 'api-key';
+        } else if (username && password) {
+            type = 'basic';
+        } else {
+            type = 'none';
+        }
+    }
+    
+    switch (type) {
+    case 'none':
+        return new NoAuthProvider();
+    case 'api-key':
+        return new ApiKeyAuthProvider(apiKey);
+    case 'basic':
+        return new BasicAuthProvider(username, password);
+    case 'oauth2':
+        return new OAuth2AuthProvider({
+            tokenUrl: config.get('auth.tokenUrl'),
+            clientId: config.get('auth.clientId'),
+            clientSecret: config.get('auth.clientSecret'),
+            refreshToken: config.get('auth.refreshToken'),
+            scope: config.get('auth.scope'),
+            clientAuthMethod: config.get('auth.clientAuthMethod'),
+            refreshMargin: config.get('auth.refreshMargin')
+        });
+    default:
+        throw new Error(`Unknown authentication type: ${type}`);
+    }
+}
+
+module.exports = {
+    createAuthProvider,
+    NoAuthProvider,
+    ApiKeyAuthProvider,
+    BasicAuthProvider,
+    OAuth2AuthProvider
+};
@@ -0,0 +1,153 @@
+/**
+ * Base Connector for Amazon Q Business Custom Plugin
+ * Defines the contract every data source connector implements
+ *
+ * A connector must implement `testConnection()` and `fetchById(id)`, and lists documents either by
+ * overriding `iterateDocuments()` or by implementing `fetchPage(request)`, which returns
+ * `{ documents, next }` where `next` is the request for the following page (null on the last one).
+ * Incremental sync is supported when `iterateChanges(since)` or `fetchIncremental(since)` is implemented;
+ * otherwise incremental runs fall back to a full sync. Connectors that visit every document while
+ * listing changes set `reportsUnchanged` and yield the others under `unchanged`, so documents that
+ * are no longer listed are deleted without tombstones.
+ *
+ * Both listings take `{ signal, onPosition, resumeFrom }`: `signal` aborts on shutdown, and a connector
+ * that can resume a listing calls `onPosition(position)` before yielding each page with the
+ * JSON-serialisable position to continue from after that page (null after the last one). Given one of
+ * those positions as `resumeFrom`, the listing starts with the page after it.
+ */
+
+const logger = require('../utils/logger');
+const { sleep } = require('../utils/concurrency');
+
+class BaseConnector {
+    constructor(config) {
+        this.config = config;
+        this.reportsUnchanged = false;
+    }
+    
+    /**
+     * Get the field mapping used when none is configured, or null for the plugin default
+     */
+    getDefaultMapping() {
+        return null;
+    }
+    
+    /**
+     * Check that the data source is reachable with the configured credentials
+     */
+    async testConnection() {
+        throw this.notImplemented('testConnection');
+    }
+    
+    /**
+     * Fetch one page of documents; the first page is requested with `request` null
+     * `options.signal` aborts on shutdown
+     */
+    async fetchPage(_request, _options = {}) {
+        throw this.notImplemented('fetchPage');
+    }
+    
+    /**
+     * Fetch a single document by ID
+     */
+    async fetchById(_id) {
+        throw this.notImplemented('fetchById');
+    }
+    
+    /**
+     * Download binary content a document refers to, as `{ data, contentType }`
+     * `options.signal` cancels the download
+     */
+    async fetchContent(_url, _options = {}) {
+        throw this.notImplemented('fetchContent');
+    }
+    
+    /**
+     * Get documents changed since the last sync
+     */
+    async fetchIncremental(_lastSyncTime) {
+        throw this.notImplemented('fetchIncremental');
+    }
+    
+    /**
+     * Get tombstones for documents deleted since the last sync
+     * Connectors that can't report deletions return none; full syncs still remove vanished documents
+     */
+    async fetchDeletions(_lastSyncTime) {
+        return [];
+    }
+    
+    /**
+     * Iterate over the data source one page of documents at a time, following `fetchPage()`
+     * The position after each page is the request for the next one
+     */
+    async *iterateDocuments({ signal = null, onPosition = null, resumeFrom = null } = {}) {
+        let request = resumeFrom;
+        
+        do {
+            const page = await this.fetchPage(request, { signal });
+            request = page.next || null;
+            
+            if (page.documents.length > 0) {
+                onPosition?.(request);
+                yield page.documents;
+            }
+        } while (request);
+    }
+    
+    /**
+     * Iterate over changes since the last sync as pages of `{ documents, deletions, unchanged }`
+     */
+    async *iterateChanges(lastSyncTime, _options = {}) {
+        const documents = await this.fetchIncremental(lastSyncTime);
+        const deletions = await this.fetchDeletions(lastSyncTime);
+        
+        if (documents.length > 0 || deletions.length > 0) {
+            yield { documents, deletions };
+        }
+    }
+    
+    /**
+     * Check whether the connector can list changes since a point in time
+     */
+    supportsIncremental() {
+        return this.iterateChanges !== BaseConnector.prototype.iterateChanges ||
+            this.fetchIncremental !== BaseConnector.prototype.fetchIncremental;
+    }
+    
+    /**
+     * Fetch all documents from the data source
+     * Buffers the whole source in memory; prefer `iterateDocuments()` for large sources
+     */
+    async fetchAll() {
+        try {
+            logger.info('Fetching all documents from data source...');
+            
+            const documents = [];
+            
+            for await (const page of this.iterateDocuments()) {
+                documents.push(...page);
+            }
+            
+            logger.info(`Fetched ${documents.length} documents from data source`);
+            return documents;
+        
+        } catch (error) {
+            logger.error('Failed to fetch documents from data source:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Utility method for delays, ending early when `signal` aborts
+     */
+    delay(ms, signal = null) {
+        return sleep(ms, signal);
+    }
+    
+    notImplemented(method) {
+        return new Error(`${this.constructor.name} does not implement ${method}()`);
+    }
+}
+
+module.exports = BaseConnector;
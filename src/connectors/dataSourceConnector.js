@@ -1,18 +1,38 @@
 /**
  * Data Source Connector for Amazon Q Business Custom Plugin
  * Template for connecting to external data sources
+ * Registered as the `api` data source type
+ *
+ * With `dataSource.protocol` set to `graphql`, documents are listed by POSTing the configured
+ * query to `graphql.path` and following the Relay `pageInfo` of the connection it returns.
  */
 
+const fs = require('fs');
 const axios = require('axios');
 const logger = require('../utils/logger');
+const BaseConnector = require('./baseConnector');
+const { RateLimiter, parseRetryAfter } = require('../utils/rateLimiter');
+const { createPaginationStrategy, RelayPagination } = require('./pagination');
+const { createAuthProvider } = require('./authProviders');
+const { getPath } = require('../utils/objectPath');
 
-class DataSourceConnector {
+// Upstream statuses that signal throttling and may carry a Retry-After header
+const THROTTLING_STATUSES = [429, 503];
+
+// Transient upstream failures worth retrying
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const NETWORK_ERROR_CODES = [
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK'
+];
+
+// Only requests that are safe to repeat are retried
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+
+class DataSourceConnector extends BaseConnector {
     constructor(config) {
-        this.config = config;
+        super(config);
         this.baseUrl = config.get('dataSource.baseUrl');
-        this.apiKey = config.get('dataSource.apiKey');
-        this.username = config.get('dataSource.username');
-        this.password = config.get('dataSource.password');
+        this.authProvider = createAuthProvider(config);
         
         // Configure axios instance
         this.client = axios.create({
@@ -24,26 +44,49 @@ class DataSourceConnector {
             }
         });
         
+        // Downloads from other origins go through a client without credentials
+        this.contentClient = axios.create({
+            timeout: 30000,
+            headers: {
+                'User-Agent': `q-custom-plugin/${config.get('plugin.version')}`
+            }
+        });
+        this.trustedOrigins = new Set([this.baseUrl, ...(config.get('dataSource.trustedOrigins') || [])]
+            .filter(Boolean)
+            .map(url => new URL(url).origin));
+        
+        this.rateLimiter = new RateLimiter({
+            requestsPerSecond: config.get('rateLimit.dataSourceRequestsPerSecond'),
+            burst: config.get('rateLimit.dataSourceBurst')
+        });
+        
+        this.graphql = config.get('dataSource.protocol') === 'graphql' ? loadGraphQLSettings(config) : null;
+        this.pagination = this.graphql ?
+            new RelayPagination({
+                cursorVariable: this.graphql.cursorVariable,
+                pageSizeVariable: this.graphql.pageSizeVariable,
+                pageSize: config.get('pagination.pageSize') || 100
+            }) :
+            createPaginationStrategy(config);
+        
         // Add authentication interceptor
         this.setupAuthentication();
     }
     
     /**
      * Setup authentication for API requests
+     * The provider is asked for credentials on every request, so expiring tokens are renewed in flight
      */
     setupAuthentication() {
-        if (this.apiKey) {
-            // API Key authentication
-            this.client.defaults.headers.common['Authorization'] = `Bearer ${this.apiKey}`;
-        } else if (this.username && this.password) {
-            // Basic authentication
-            const credentials = Buffer.from(`${this.username}:${this.password}`).toString('base64');
-            this.client.defaults.headers.common['Authorization'] = `Basic ${credentials}`;
-        }
-        
-        // Add request interceptor for logging
+        // Add request interceptor for authentication, rate limiting and logging
         this.client.interceptors.request.use(
-            (config) => {
+            async (config) => {
+                const authorization = await this.authProvider.getAuthorization();
+                if (authorization) {
+                    config.headers['Authorization'] = authorization;
+                }
+                
+                await this.rateLimiter.acquire(config.signal);
                 logger.debug(`Making request to: ${config.method?.toUpperCase()} ${config.url}`);
                 return config;
             },
@@ -53,13 +96,26 @@ class DataSourceConnector {
             }
         );
         
-        // Add response interceptor for error handling
+        // Add response interceptor for retries and error handling
         this.client.interceptors.response.use(
             (response) => {
                 logger.debug(`Response received: ${response.status} ${response.statusText}`);
                 return response;
             },
             (error) => {
+                // Requests cancelled on shutdown are neither retried nor reported as failures
+                if (axios.isCancel(error)) {
+                    return Promise.reject(error);
+                }
+                
+                if (this.shouldRetryUnauthorized(error)) {
+                    return this.retryUnauthorized(error);
+                }
+                
+                if (this.shouldRetryRequest(error)) {
+                    return this.retryRequest(error);
+                }
+                
                 logger.error('API request failed:', {
                     url: error.config?.url,
                     method: error.config?.method,
@@ -70,87 +126,361 @@ class DataSourceConnector {
                 return Promise.reject(error);
             }
         );
+        
+        // The client for untrusted origins is rate limited and retried the same way, without credentials
+        this.contentClient.interceptors.request.use(async (config) => {
+            await this.rateLimiter.acquire(config.signal);
+            logger.debug(`Making unauthenticated request to: ${config.method?.toUpperCase()} ${config.url}`);
+            return config;
+        });
+        this.contentClient.interceptors.response.use(
+            response => response,
+            error => (this.shouldRetryRequest(error) ? this.retryRequest(error, this.contentClient) : Promise.reject(error))
+        );
     }
     
     /**
-     * Fetch all documents from the data source
+     * Check whether a request was rejected with 401 by credentials that may have been renewed
+     * Each request is retried once, after refreshing tokens or re-resolving rotated secrets
      */
-    async fetchAll() {
-        try {
-            logger.info('Fetching all documents from data source...');
-            
-            const documents = [];
-            let page = 1;
-            let hasMore = true;
-            
-            while (hasMore) {
-                logger.debug(`Fetching page ${page}...`);
-                
-                const pageData = await this.fetchPage(page);
+    shouldRetryUnauthorized(error) {
+        return Boolean(error.config) &&
+            error.response?.status === 401 &&
+            (this.authProvider.refreshable || this.config.hasSecretReferences()) &&
+            !error.config.authRetried;
+    }
+    
+    /**
+     * Retry a request rejected with 401 once credentials have been refreshed
+     */
+    async retryUnauthorized(error) {
+        if (!(await this.refreshCredentials())) {
+            logger.error(`Data source rejected credentials for ${error.config.url}`);
+            throw error;
+        }
+        
+        logger.warn(`Data source rejected credentials for ${error.config.url}, retrying with refreshed credentials`);
+        return this.client.request({ ...error.config, authRetried: true });
+    }
+    
+    /**
+     * Re-resolve secret references and drop cached tokens
+     * Returns false when there is nothing new to retry with
+     */
+    async refreshCredentials() {
+        const rotated = this.config.hasSecretReferences() ? await this.config.resolveSecrets() : [];
+        
+        if (rotated.length > 0) {
+            logger.info(`Secrets rotated: ${rotated.join(', ')}`);
+            this.authProvider = createAuthProvider(this.config);
+            return true;
+        }
+        
+        if (this.authProvider.refreshable) {
+            this.authProvider.invalidate();
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Check whether a failed request is transient, safe to repeat and has retries left
+     * Network errors and 5xx/429 responses to idempotent requests qualify, as do
+     * requests flagged `idempotent` such as GraphQL queries sent with POST
+     */
+    shouldRetryRequest(error) {
+        const request = error.config;
+        if (!request || axios.isCancel(error)) {
+            return false;
+        }
+        
+        if (!request.idempotent && !IDEMPOTENT_METHODS.includes((request.method || 'get').toLowerCase())) {
+            return false;
+        }
+        
+        if ((request.retryAttempt || 0) >= (this.config.get('dataSource.maxRetries') || 0)) {
+            return false;
+        }
+        
+        return error.response ?
+            RETRYABLE_STATUSES.includes(error.response.status) :
+            NETWORK_ERROR_CODES.includes(error.code);
+    }
+    
+    /**
+     * Retry a failed request after exponential backoff with jitter
+     * Throttling responses honour Retry-After and pause every request through this connector
+     */
+    async retryRequest(error, client = this.client) {
+        const attempt = (error.config.retryAttempt || 0) + 1;
+        const status = error.response?.status;
+        const throttled = THROTTLING_STATUSES.includes(status);
+        const retryAfter = throttled ? parseRetryAfter(error.response.headers?.['retry-after']) : null;
+        const wait = Math.min(
+            retryAfter ?? this.getBackoff(attempt),
+            this.config.get('rateLimit.maxRetryAfter') || Infinity
+        );
+        
+        logger.warn(`Data source request ${error.config.method?.toUpperCase()} ${error.config.url} failed ` +
+            `(${status || error.code}), retrying in ${wait}ms (attempt ${attempt})`);
+        
+        if (throttled) {
+            this.rateLimiter.pause(wait);
+        } else {
+            await this.delay(wait, error.config.signal);
+        }
+        
+        return client.request({ ...error.config, retryAttempt: attempt });
+    }
+    
+    /**
+     * Exponential backoff for a retry attempt, randomised over its upper half
+     */
+    getBackoff(attempt) {
+        const backoff = (this.config.get('dataSource.retryDelay') || 1000) * Math.pow(2, attempt - 1);
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+    
+    /**
+     * Iterate over the data source one page of documents at a time
+     * `signal` cancels the requests in flight; `onPosition` receives the request for the next page,
+     * which can be passed back as `resumeFrom` to continue from there
+     */
+    async *iterateDocuments({ signal = null, onPosition = null, resumeFrom = null } = {}) {
+        const options = { signal, onPosition, resumeFrom };
+        const listing = this.graphql ?
+            this.paginate(this.graphql.path, this.graphql.variables, options) :
+            this.paginate('/documents', {}, options);
+        
+        for await (const page of listing) {
+            if (page.documents.length > 0) {
+                yield page.documents;
+            }
+        }
+    }
+    
+    /**
+     * Iterate over the pages of a listing as directed by the `pagination.strategy`
+     * Indexed strategies (page, offset) request up to `dataSource.fetchConcurrency` pages ahead of the consumer.
+     * Exceeding `pagination.maxPages` or requesting the same page twice throws rather than ending early,
+     * so a runaway listing can't pass for a complete one. Before each page is yielded, `onPosition`
+     * receives the request for the page after it, or null on the last page; the listing starts
+     * with `resumeFrom`, one of those requests, when given.
+     */
+    async *paginate(path, params = {}, { signal = null, onPosition = null, resumeFrom = null } = {}) {
+        const strategy = this.pagination;
+        const base = { path, params };
+        const maxPages = this.config.get('pagination.maxPages') || Infinity;
+        const concurrency = strategy.indexed ?
+            Math.max(1, this.config.get('dataSource.fetchConcurrency') || 1) :
+            1;
+        const requested = new Set();
+        const inFlight = [];
+        let upcoming = resumeFrom || strategy.first(base);
+        
+        const schedule = () => {
+            while (upcoming && inFlight.length < concurrency && requested.size < maxPages) {
+                const request = upcoming;
+                const key = JSON.stringify([request.url, request.params]);
                 
-                if (pageData.documents && pageData.documents.length > 0) {
-                    documents.push(...pageData.documents);
-                    page++;
-                    hasMore = pageData.hasMore || false;
-                } else {
-                    hasMore = false;
+                if (requested.has(key)) {
+                    throw new Error(`Pagination loop detected: ${request.url} ${JSON.stringify(request.params)} ` +
+                        'was already requested');
                 }
+                requested.add(key);
                 
-                // Add delay between requests to be respectful to the API
-                await this.delay(100);
+                logger.debug(`Fetching page ${request.index + 1} of ${path}...`);
+                const response = this.fetchPage(request, { signal });
+                // Pages fetched past the end may be discarded; their errors surface only when awaited
+                response.catch(() => {});
+                inFlight.push({ request, response });
+                
+                upcoming = strategy.indexed ? strategy.at(request.index + 1, base) : null;
             }
+        };
+        
+        schedule();
+        
+        while (inFlight.length > 0) {
+            const { request, response } = inFlight.shift();
+            const page = await response;
+            const next = strategy.next(request, page, base);
             
-            logger.info(`Fetched ${documents.length} documents from data source`);
-            return documents;
+            onPosition?.(next);
+            yield page;
             
-        } catch (error) {
-            logger.error('Failed to fetch documents from data source:', error);
-            throw error;
+            if (!next) {
+                return;
+            }
+            
+            if (!strategy.indexed) {
+                upcoming = next;
+            }
+            
+            if (inFlight.length === 0 && requested.size >= maxPages) {
+                throw new Error(`Pagination stopped after ${maxPages} pages of ${path} (pagination.maxPages)`);
+            }
+            
+            schedule();
         }
     }
     
     /**
-     * Fetch a single page of documents
+     * Fetch a single page of a listing
+     * Transient failures are retried by the client, so a sync resumes at this page rather than restarting
      * Override this method based on your data source API
      */
-    async fetchPage(page) {
+    async fetchPage(request, { signal = null } = {}) {
+        if (this.graphql) {
+            return this.fetchGraphQLPage(request, { signal });
+        }
+        
         try {
-            // Example implementation - modify based on your API
-            const response = await this.client.get('/documents', {
-                params: {
-                    page: page,
-                    limit: this.config.get('dataSource.batchSize') || 100
-                }
-            });
+            const response = await this.client.get(request.url, { params: request.params, signal });
+            const data = response.data || {};
+            // A change page may carry only tombstones, under `deleted` or `deletedIds`
+            const tombstonesOnly = !data.documents && !data.items &&
+                (Array.isArray(data.deleted) || Array.isArray(data.deletedIds));
+            const documents = tombstonesOnly ? [] : data.documents || data.items || data;
+            
+            // An empty page would read as every document having been deleted upstream
+            if (!Array.isArray(documents)) {
+                throw new Error(`Unexpected response from ${request.url}: expected a JSON array ` +
+                    'or an object with a "documents", "items", "deleted" or "deletedIds" array');
+            }
             
             return {
-                documents: response.data.documents || response.data.items || response.data,
-                hasMore: response.data.hasMore || response.data.has_more || false,
-                totalCount: response.data.totalCount || response.data.total || 0
+                documents,
+                hasMore: data.hasMore ?? data.has_more,
+                totalCount: data.totalCount ?? data.total,
+                data,
+                headers: response.headers || {}
             };
+        
+        } catch (error) {
+            if (!axios.isCancel(error)) {
+                logger.error(`Failed to fetch page ${request.index + 1} of ${request.url}:`, error);
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Fetch a single page of a GraphQL connection, with the query variables as the request params
+     * A response carrying `errors` fails the page even when its HTTP status is 200
+     */
+    async fetchGraphQLPage(request, { signal = null } = {}) {
+        const { query, nodesPath, pageInfoPath } = this.graphql;
+        
+        try {
+            const data = await this.postGraphQL(request.url, query, request.params, { signal });
+            const nodes = getPath(data, nodesPath);
+            const pageInfo = getPath(data, pageInfoPath);
+            
+            if (!Array.isArray(nodes)) {
+                throw new Error(`GraphQL response has no list of nodes at ${nodesPath}`);
+            }
+            if (!pageInfo || typeof pageInfo !== 'object') {
+                throw new Error(`GraphQL response has no pageInfo at ${pageInfoPath}`);
+            }
             
+            return {
+                // Nodes the caller may not read come back as null
+                documents: nodes.filter(node => node !== null && node !== undefined),
+                hasMore: Boolean(pageInfo.hasNextPage),
+                pageInfo,
+                data,
+                headers: {}
+            };
+        
         } catch (error) {
-            logger.error(`Failed to fetch page ${page}:`, error);
+            if (!axios.isCancel(error)) {
+                logger.error(`Failed to fetch page ${request.index + 1} of GraphQL query at ${request.url}:`, error);
+            }
             throw error;
         }
     }
     
+    /**
+     * POST a GraphQL query and return the response body, throwing on GraphQL `errors`
+     */
+    async postGraphQL(path, query, variables = {}, { signal = null } = {}) {
+        let body;
+        
+        try {
+            const response = await this.client.post(path, { query, variables }, { idempotent: true, signal });
+            body = response.data || {};
+        } catch (error) {
+            // Servers may answer invalid queries with a 4xx that still describes the errors
+            if (Array.isArray(error.response?.data?.errors)) {
+                throw graphQLError(error.response.data.errors);
+            }
+            throw error;
+        }
+        
+        if (Array.isArray(body.errors) && body.errors.length > 0) {
+            throw graphQLError(body.errors);
+        }
+        return body;
+    }
+    
     /**
      * Fetch a single document by ID
      */
     async fetchById(id) {
+        if (this.graphql) {
+            throw new Error('Fetching a document by ID is not supported with the graphql protocol');
+        }
+        
         try {
             logger.debug(`Fetching document by ID: ${id}`);
             
             const response = await this.client.get(`/documents/${id}`);
             return response.data;
-            
+        
         } catch (error) {
             logger.error(`Failed to fetch document ${id}:`, error);
             throw error;
         }
     }
     
+    /**
+     * Download binary content (e.g. an attachment), returning the raw bytes and the response content type
+     * Credentials are only sent to the base URL's origin and `dataSource.trustedOrigins`;
+     * relative URLs resolve against the base URL. `signal` cancels the download.
+     */
+    async fetchContent(url, { signal = null } = {}) {
+        try {
+            logger.debug(`Fetching content from: ${url}`);
+            
+            const client = this.isTrustedUrl(url) ? this.client : this.contentClient;
+            const response = await client.get(url, { responseType: 'arraybuffer', signal });
+            
+            return {
+                data: Buffer.from(response.data),
+                contentType: response.headers?.['content-type']
+            };
+        
+        } catch (error) {
+            if (!axios.isCancel(error)) {
+                logger.error(`Failed to fetch content from ${url}:`, error);
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Check whether a URL may be sent the data source credentials
+     */
+    isTrustedUrl(url) {
+        try {
+            return this.trustedOrigins.has(new URL(url, this.baseUrl).origin);
+        } catch (error) {
+            return false;
+        }
+    }
+    
     /**
      * Test connection to the data source
      */
@@ -158,6 +488,12 @@ class DataSourceConnector {
         try {
             logger.info('Testing connection to data source...');
             
+            if (this.graphql) {
+                await this.postGraphQL(this.graphql.path, '{ __typename }');
+                logger.info('Connection test successful');
+                return true;
+            }
+            
             // Example health check - modify based on your API
             const response = await this.client.get('/health');
             
@@ -168,7 +504,7 @@ class DataSourceConnector {
                 logger.warn(`Connection test returned status: ${response.status}`);
                 return false;
             }
-            
+        
         } catch (error) {
             logger.error('Connection test failed:', error);
             return false;
@@ -180,18 +516,34 @@ class DataSourceConnector {
      * Override this method if your data source supports incremental sync
      */
     async fetchIncremental(lastSyncTime) {
+        const { documents } = await this.fetchChanges(lastSyncTime);
+        return documents;
+    }
+    
+    /**
+     * Get documents deleted since last sync
+     */
+    async fetchDeletions(lastSyncTime) {
+        const { deletions } = await this.fetchChanges(lastSyncTime);
+        return deletions;
+    }
+    
+    /**
+     * Fetch the change feed since last sync, split into updated documents and tombstones
+     */
+    async fetchChanges(lastSyncTime) {
         try {
-            logger.info(`Fetching incremental changes since: ${lastSyncTime}`);
-            
-            const response = await this.client.get('/documents/changes', {
-                params: {
-                    since: lastSyncTime,
-                    limit: this.config.get('dataSource.batchSize') || 100
-                }
-            });
+            const documents = [];
+            const deletions = [];
             
-            return response.data.documents || response.data.items || response.data;
+            for await (const page of this.iterateChanges(lastSyncTime)) {
+                documents.push(...page.documents);
+                deletions.push(...page.deletions);
+            }
             
+            logger.info(`Fetched ${documents.length} changed and ${deletions.length} deleted documents from data source`);
+            return { documents, deletions };
+        
         } catch (error) {
             logger.error('Failed to fetch incremental changes:', error);
             throw error;
@@ -199,11 +551,95 @@ class DataSourceConnector {
     }
     
     /**
-     * Utility method for delays
+     * Iterate over the change feed since last sync one page at a time
+     * Tombstones are change records flagged as deleted, or IDs listed under `deleted`/`deletedIds`
      */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    async *iterateChanges(lastSyncTime, { signal = null, onPosition = null, resumeFrom = null } = {}) {
+        logger.info(`Fetching incremental changes since: ${lastSyncTime}`);
+        
+        const options = { signal, onPosition, resumeFrom };
+        const changes = this.graphql ?
+            this.paginate(this.graphql.path, { ...this.graphql.variables, [this.graphql.sinceVariable]: lastSyncTime }, options) :
+            this.paginate('/documents/changes', { since: lastSyncTime }, options);
+        
+        for await (const page of changes) {
+            const deletedIds = page.data.deleted || page.data.deletedIds || [];
+            const documents = [];
+            const deletions = deletedIds.map(id => (typeof id === 'object' ? id : { id }));
+            
+            for (const document of page.documents) {
+                if (this.isTombstone(document)) {
+                    deletions.push(document);
+                } else {
+                    documents.push(document);
+                }
+            }
+            
+            if (documents.length > 0 || deletions.length > 0) {
+                yield { documents, deletions };
+            }
+        }
     }
+    
+    /**
+     * GraphQL listings only support incremental syncs when the query takes a `graphql.sinceVariable`
+     */
+    supportsIncremental() {
+        return this.graphql ? Boolean(this.graphql.sinceVariable) : super.supportsIncremental();
+    }
+    
+    /**
+     * Check whether a change record marks a deleted document
+     * Override this method to match your data source's tombstone format
+     */
+    isTombstone(document) {
+        return document.deleted === true ||
+            document.isDeleted === true ||
+            document._deleted === true ||
+            document.status === 'deleted';
+    }
+}
+
+/**
+ * Read the `graphql` settings, loading the query file and parsing variables given as JSON
+ * Without a `graphql.pageInfoPath`, the pageInfo is looked up on the connection holding the nodes
+ */
+function loadGraphQLSettings(config) {
+    const nodesPath = config.get('graphql.nodesPath');
+    const connectionPath = nodesPath ? nodesPath.replace(/\.(nodes|edges(\[\*\]\.node)?)$/, '') : null;
+    const pageInfoPath = config.get('graphql.pageInfoPath');
+    const queryFile = config.get('graphql.queryFile');
+    const variables = config.get('graphql.variables') || {};
+    
+    if (!config.get('graphql.query') && !queryFile) {
+        throw new Error('The graphql protocol requires graphql.query or graphql.queryFile');
+    }
+    if (!nodesPath) {
+        throw new Error('The graphql protocol requires graphql.nodesPath');
+    }
+    if (!pageInfoPath && connectionPath === nodesPath) {
+        throw new Error(`graphql.pageInfoPath is required when graphql.nodesPath (${nodesPath}) ` +
+            'does not end in .nodes or .edges[*].node');
+    }
+    
+    return {
+        path: config.get('graphql.path') || '/graphql',
+        query: config.get('graphql.query') || fs.readFileSync(queryFile, 'utf8'),
+        variables: typeof variables === 'string' ? JSON.parse(variables) : variables,
+        nodesPath,
+        pageInfoPath: pageInfoPath || `${connectionPath}.pageInfo`,
+        cursorVariable: config.get('graphql.cursorVariable') || 'after',
+        pageSizeVariable: config.get('graphql.pageSizeVariable') || 'first',
+        sinceVariable: config.get('graphql.sinceVariable')
+    };
+}
+
+/**
+ * Describe the `errors` of a GraphQL response as one error, keeping the originals
+ */
+function graphQLError(errors) {
+    const messages = errors.map(error => (error.path ? `${error.message} (at ${error.path.join('.')})` : error.message));
+    return Object.assign(new Error(`GraphQL request failed: ${messages.join('; ')}`), { graphQLErrors: errors });
 }
 
 module.exports = DataSourceConnector;
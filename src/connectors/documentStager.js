@@ -0,0 +1,131 @@
+/**
+ * Document Stager for Amazon Q Business Custom Plugin
+ * Offloads documents too large for an inline blob to S3 and sweeps them up once ingested
+ *
+ * Amazon Q Business reads staged objects asynchronously, after BatchPutDocument returns, so they
+ * are kept for `s3.stagedRetention` and deleted by a later run's `sweep()` rather than per batch.
+ */
+
+const crypto = require('crypto');
+const { S3Client, PutObjectCommand, ListObjectsV2Command, DeleteObjectsCommand } = require('@aws-sdk/client-s3');
+const logger = require('../utils/logger');
+
+// Staged keys are `<prefix><run id>/<document id>`; the sweep only touches keys of that shape
+const RUN_ID_PATTERN = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/';
+
+// DeleteObjects takes at most 1000 keys per request
+const MAX_DELETE_KEYS = 1000;
+
+class DocumentStager {
+    constructor(config, client = null) {
+        this.config = config;
+        this.bucket = config.get('s3.bucket');
+        this.prefix = config.get('s3.prefix') || '';
+        this.threshold = config.get('s3.offloadThreshold');
+        this.cleanupEnabled = config.get('s3.cleanupStaged') !== false;
+        this.retention = config.get('s3.stagedRetention') ?? 86400000;
+        this.client = client || new S3Client({ region: config.get('aws.region') });
+        this.runId = crypto.randomUUID();
+    }
+    
+    /**
+     * Check whether a document's inline blob exceeds the offload threshold
+     */
+    isOversized(document) {
+        return Boolean(document.content?.blob) && document.content.blob.length > this.threshold;
+    }
+    
+    /**
+     * Replace oversized inline blobs in a batch with S3 references
+     */
+    async stage(documents) {
+        return Promise.all(documents.map(async (document) => {
+            if (!this.isOversized(document)) {
+                return document;
+            }
+            
+            if (!this.bucket) {
+                logger.warn(`Document ${document.id} is ${document.content.blob.length} bytes, ` +
+                    'above the inline limit, but no S3 bucket is configured for offloading');
+                return document;
+            }
+            
+            const key = `${this.prefix}${this.runId}/${encodeURIComponent(document.id)}`;
+            
+            logger.debug(`Staging document ${document.id} to s3://${this.bucket}/${key}`);
+            
+            await this.client.send(new PutObjectCommand({
+                Bucket: this.bucket,
+                Key: key,
+                Body: document.content.blob
+            }));
+            
+            return {
+                ...document,
+                content: {
+                    s3: { bucket: this.bucket, key }
+                }
+            };
+        }));
+    }
+    
+    /**
+     * Delete objects staged more than `s3.stagedRetention` ago, by any run
+     * Failures are logged rather than thrown so they never fail the sync
+     */
+    async sweep(now = Date.now()) {
+        if (!this.bucket || !this.cleanupEnabled) {
+            return 0;
+        }
+        
+        const staged = new RegExp(`^${escapeRegExp(this.prefix)}${RUN_ID_PATTERN}`);
+        const expired = [];
+        let token;
+        
+        try {
+            do {
+                const response = await this.client.send(new ListObjectsV2Command({
+                    Bucket: this.bucket,
+                    Prefix: this.prefix || undefined,
+                    ContinuationToken: token
+                }));
+                
+                for (const object of response.Contents || []) {
+                    if (staged.test(object.Key) && now - new Date(object.LastModified).getTime() > this.retention) {
+                        expired.push(object.Key);
+                    }
+                }
+                
+                token = response.IsTruncated ? response.NextContinuationToken : undefined;
+            } while (token);
+            
+            for (let i = 0; i < expired.length; i += MAX_DELETE_KEYS) {
+                await this.client.send(new DeleteObjectsCommand({
+                    Bucket: this.bucket,
+                    Delete: {
+                        Objects: expired.slice(i, i + MAX_DELETE_KEYS).map(Key => ({ Key })),
+                        Quiet: true
+                    }
+                }));
+            }
+            
+            if (expired.length > 0) {
+                logger.info(`Deleted ${expired.length} staged documents older than ${this.retention}ms`);
+            }
+            return expired.length;
+        
+        } catch (error) {
+            logger.warn(`Failed to sweep staged documents in s3://${this.bucket}/${this.prefix}:`, error);
+            return 0;
+        }
+    }
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = DocumentStager;
@@ -0,0 +1,303 @@
+/**
+ * Filesystem Connector for Amazon Q Business Custom Plugin
+ * Indexes the files under local or mounted directories (e.g. on-prem file shares)
+ * Registered as the `filesystem` data source type
+ *
+ * Each file becomes a record with its path, size, mtime and owner; its bytes are read
+ * through `fetchContent()` when the document is transformed, so listing stays cheap.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const logger = require('../utils/logger');
+const BaseConnector = require('./baseConnector');
+const { createMatcher } = require('../utils/glob');
+const { contentTypeFromPath, sniffContentType } = require('../mapping/contentTypes');
+
+const DEFAULT_MAPPING = {
+    fields: {
+        id: { path: 'path' },
+        title: { path: 'name' },
+        sourceUri: { path: 'url' },
+        contentUrl: { path: 'contentUrl' },
+        createdAt: { path: 'createdAt' },
+        updatedAt: { path: 'mtime' }
+    },
+    attributes: {
+        path: { path: 'path' },
+        mtime: { path: 'mtime', type: 'date' },
+        size: { path: 'size', type: 'number' },
+        owner: { path: 'owner' }
+    }
+};
+
+class FilesystemConnector extends BaseConnector {
+    constructor(config) {
+        super(config);
+        this.roots = (config.get('filesystem.roots') || []).map(root => path.resolve(root));
+        this.include = config.get('filesystem.include') || [];
+        this.isIncludedPath = createMatcher(this.include);
+        this.isExcludedPath = createMatcher(config.get('filesystem.exclude') || []);
+        this.followSymlinks = Boolean(config.get('filesystem.followSymlinks'));
+        this.pageSize = config.get('pagination.pageSize') || 100;
+        this.owners = null;
+        
+        // Incremental runs walk every file, so files that vanished are found without tombstones
+        this.reportsUnchanged = true;
+    }
+    
+    getDefaultMapping() {
+        return DEFAULT_MAPPING;
+    }
+    
+    /**
+     * Check that every root is a readable directory
+     */
+    async testConnection() {
+        try {
+            for (const root of this.roots) {
+                await this.checkRoot(root);
+            }
+            
+            logger.info('Connection test successful');
+            return true;
+        
+        } catch (error) {
+            logger.error('Connection test failed:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Iterate over every included file one page of records at a time
+     */
+    async *iterateDocuments() {
+        let page = [];
+        
+        for await (const { record } of this.walk()) {
+            page.push(record);
+            
+            if (page.length >= this.pageSize) {
+                yield page;
+                page = [];
+            }
+        }
+        
+        if (page.length > 0) {
+            yield page;
+        }
+    }
+    
+    /**
+     * Iterate over the files modified since the last sync, reporting the others as unchanged
+     * The inode change time counts too, so files moved or copied with their mtime preserved are picked up.
+     */
+    async *iterateChanges(lastSyncTime) {
+        logger.info(`Fetching files changed since: ${lastSyncTime}`);
+        
+        const since = Date.parse(lastSyncTime);
+        let page = { documents: [], deletions: [], unchanged: [] };
+        
+        for await (const { record, stats } of this.walk()) {
+            const changed = Math.max(stats.mtimeMs, stats.ctimeMs) > since;
+            (changed ? page.documents : page.unchanged).push(record);
+            
+            if (page.documents.length + page.unchanged.length >= this.pageSize) {
+                yield page;
+                page = { documents: [], deletions: [], unchanged: [] };
+            }
+        }
+        
+        if (page.documents.length > 0 || page.unchanged.length > 0) {
+            yield page;
+        }
+    }
+    
+    /**
+     * Get documents changed since the last sync
+     */
+    async fetchIncremental(lastSyncTime) {
+        const documents = [];
+        
+        for await (const page of this.iterateChanges(lastSyncTime)) {
+            documents.push(...page.documents);
+        }
+        
+        return documents;
+    }
+    
+    /**
+     * Fetch the record of a single file by path
+     */
+    async fetchById(id) {
+        const filePath = path.resolve(id);
+        const root = this.roots.find(candidate => isWithin(candidate, filePath));
+        
+        if (!root) {
+            throw new Error(`${filePath} is not under a configured filesystem root`);
+        }
+        
+        const stats = await fs.stat(filePath);
+        return this.describeFile(root, filePath, stats);
+    }
+    
+    /**
+     * Read a file's bytes; the content type comes from its extension, or else its leading bytes
+     */
+    async fetchContent(url) {
+        try {
+            const filePath = fileURLToPath(url);
+            const data = await fs.readFile(filePath);
+            
+            return {
+                data,
+                contentType: contentTypeFromPath(filePath) || sniffContentType(data)
+            };
+        
+        } catch (error) {
+            logger.error(`Failed to read file ${url}:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Walk every root, yielding `{ record, stats }` for each included file in name order
+     * An unreadable root or directory fails the walk, so its files are never mistaken for deleted ones
+     */
+    async *walk() {
+        for (const root of this.roots) {
+            await this.checkRoot(root);
+            
+            const visited = new Set([await fs.realpath(root)]);
+            yield* this.walkDirectory(root, root, visited);
+        }
+    }
+    
+    async *walkDirectory(root, directory, visited) {
+        let entries;
+        
+        try {
+            entries = await fs.readdir(directory, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return; // Removed while walking
+            }
+            throw new Error(`Failed to read directory ${directory}: ${error.message}`);
+        }
+        
+        entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+        
+        for (const entry of entries) {
+            const filePath = path.join(directory, entry.name);
+            const relativePath = path.relative(root, filePath).split(path.sep).join('/');
+            let stats;
+            
+            if (entry.isSymbolicLink() && !this.followSymlinks) {
+                continue;
+            }
+            
+            try {
+                stats = await fs.stat(filePath);
+            } catch (error) {
+                // Removed while walking, or a dangling or looping link
+                if (error.code !== 'ENOENT' && error.code !== 'ELOOP') {
+                    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+                }
+                logger.debug(`Skipping ${filePath}: ${error.message}`);
+                continue;
+            }
+            
+            if (stats.isDirectory()) {
+                if (this.isExcludedPath(`${relativePath}/`)) {
+                    continue;
+                }
+                
+                // Symbolic links may lead back to a directory already walked
+                const realPath = await fs.realpath(filePath);
+                if (visited.has(realPath)) {
+                    continue;
+                }
+                visited.add(realPath);
+                
+                yield* this.walkDirectory(root, filePath, visited);
+            } else if (stats.isFile() && this.isIncluded(relativePath)) {
+                yield { record: await this.describeFile(root, filePath, stats), stats };
+            }
+        }
+    }
+    
+    /**
+     * Check whether a file, given relative to its root, passes the include and exclude globs
+     */
+    isIncluded(relativePath) {
+        return (this.include.length === 0 || this.isIncludedPath(relativePath)) && !this.isExcludedPath(relativePath);
+    }
+    
+    /**
+     * Build the source record for a file
+     */
+    async describeFile(root, filePath, stats) {
+        const url = pathToFileURL(filePath).href;
+        
+        return {
+            path: filePath,
+            relativePath: path.relative(root, filePath).split(path.sep).join('/'),
+            root,
+            name: path.basename(filePath),
+            url,
+            contentUrl: url,
+            size: stats.size,
+            mtime: stats.mtime.toISOString(),
+            ...(stats.birthtimeMs > 0 && { createdAt: stats.birthtime.toISOString() }),
+            owner: await this.resolveOwner(stats.uid)
+        };
+    }
+    
+    /**
+     * Resolve a user ID to a user name from /etc/passwd, falling back to the ID itself
+     */
+    async resolveOwner(uid) {
+        if (!this.owners) {
+            this.owners = new Map();
+            
+            try {
+                const passwd = await fs.readFile('/etc/passwd', 'utf8');
+                
+                for (const line of passwd.split('\n')) {
+                    const [name, , id] = line.split(':');
+                    if (name && id !== undefined) {
+                        this.owners.set(Number(id), name);
+                    }
+                }
+            } catch (error) {
+                logger.debug(`User names are not available: ${error.message}`);
+            }
+        }
+        
+        return this.owners.get(uid) || String(uid);
+    }
+    
+    async checkRoot(root) {
+        let stats;
+        
+        try {
+            stats = await fs.stat(root);
+        } catch (error) {
+            throw new Error(`Filesystem root ${root} is not accessible: ${error.message}`);
+        }
+        
+        if (!stats.isDirectory()) {
+            throw new Error(`Filesystem root ${root} is not a directory`);
+        }
+    }
+}
+
+function isWithin(directory, filePath) {
+    const relative = path.relative(directory, filePath);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+FilesystemConnector.DEFAULT_MAPPING = DEFAULT_MAPPING;
+
+module.exports = FilesystemConnector;
@@ -0,0 +1,276 @@
+/**
+ * Pagination strategies for Amazon Q Business Custom Plugin
+ * Decide which request fetches the next page of a listing, given the previous page
+ *
+ * A request is `{ url, params, index }`; a page is what `DataSourceConnector.fetchPage()` returns.
+ * Indexed strategies can compute any page up front (`at(index)`), so pages may be prefetched.
+ */
+
+const path = require('path');
+const { getPath } = require('../utils/objectPath');
+
+// Response fields commonly used for the next cursor
+const DEFAULT_CURSOR_PATHS = ['nextCursor', 'next_cursor', 'nextPageToken', 'next_page_token'];
+
+/**
+ * Numbered pages: `?page=N&limit=M`, continuing while the response reports `hasMore`
+ */
+class PagePagination {
+    constructor({ pageParam = 'page', limitParam = 'limit', pageSize = 100 } = {}) {
+        this.pageParam = pageParam;
+        this.limitParam = limitParam;
+        this.pageSize = pageSize;
+        this.indexed = true;
+    }
+    
+    first(base) {
+        return this.at(0, base);
+    }
+    
+    at(index, base) {
+        return {
+            url: base.path,
+            params: { ...base.params, [this.pageParam]: index + 1, [this.limitParam]: this.pageSize },
+            index
+        };
+    }
+    
+    next(request, page, base) {
+        return page.documents.length > 0 && page.hasMore ? this.at(request.index + 1, base) : null;
+    }
+}
+
+/**
+ * Offset/limit: `?offset=N&limit=M`, continuing while `hasMore`, the total, or a full page says so
+ */
+class OffsetPagination {
+    constructor({ offsetParam = 'offset', limitParam = 'limit', pageSize = 100 } = {}) {
+        this.offsetParam = offsetParam;
+        this.limitParam = limitParam;
+        this.pageSize = pageSize;
+        this.indexed = true;
+    }
+    
+    first(base) {
+        return this.at(0, base);
+    }
+    
+    at(index, base) {
+        return {
+            url: base.path,
+            params: { ...base.params, [this.offsetParam]: index * this.pageSize, [this.limitParam]: this.pageSize },
+            index
+        };
+    }
+    
+    next(request, page, base) {
+        if (page.documents.length === 0) {
+            return null;
+        }
+        
+        let hasMore;
+        if (page.hasMore !== undefined) {
+            hasMore = Boolean(page.hasMore);
+        } else if (page.totalCount !== undefined) {
+            hasMore = request.params[this.offsetParam] + page.documents.length < page.totalCount;
+        } else {
+            hasMore = page.documents.length >= this.pageSize;
+        }
+        
+        return hasMore ? this.at(request.index + 1, base) : null;
+    }
+}
+
+/**
+ * Cursor tokens: the response carries the cursor (e.g. `nextPageToken`) sent back for the next page
+ */
+class CursorPagination {
+    constructor({ cursorParam = 'cursor', cursorPath = null, limitParam = 'limit', pageSize = 100 } = {}) {
+        this.cursorParam = cursorParam;
+        this.cursorPaths = cursorPath ? [cursorPath] : DEFAULT_CURSOR_PATHS;
+        this.limitParam = limitParam;
+        this.pageSize = pageSize;
+        this.indexed = false;
+    }
+    
+    first(base) {
+        return { url: base.path, params: { ...base.params, [this.limitParam]: this.pageSize }, index: 0 };
+    }
+    
+    next(request, page, base) {
+        if (page.documents.length === 0 || page.hasMore === false) {
+            return null;
+        }
+        
+        const cursor = this.cursorPaths
+            .map(cursorPath => getPath(page.data, cursorPath))
+            .find(value => value !== undefined && value !== null && value !== '');
+        
+        if (cursor === undefined) {
+            return null;
+        }
+        
+        const first = this.first(base);
+        return { ...first, params: { ...first.params, [this.cursorParam]: cursor }, index: request.index + 1 };
+    }
+}
+
+/**
+ * RFC 5988 `Link` headers: follow the `rel="next"` URL until there is none
+ */
+class LinkHeaderPagination {
+    constructor({ limitParam = 'limit', pageSize = 100 } = {}) {
+        this.limitParam = limitParam;
+        this.pageSize = pageSize;
+        this.indexed = false;
+    }
+    
+    first(base) {
+        return { url: base.path, params: { ...base.params, [this.limitParam]: this.pageSize }, index: 0 };
+    }
+    
+    next(request, page) {
+        const nextUrl = parseLinkHeader(page.headers?.link).next;
+        
+        // The next URL already carries every query parameter
+        return nextUrl ? { url: nextUrl, params: {}, index: request.index + 1 } : null;
+    }
+}
+
+/**
+ * Relay-style GraphQL connections: request params are the query variables, and the page's
+ * `pageInfo { hasNextPage endCursor }` says whether to ask for the next page after `endCursor`
+ */
+class RelayPagination {
+    constructor({ cursorVariable = 'after', pageSizeVariable = 'first', pageSize = 100 } = {}) {
+        this.cursorVariable = cursorVariable;
+        this.pageSizeVariable = pageSizeVariable;
+        this.pageSize = pageSize;
+        this.indexed = false;
+    }
+    
+    first(base) {
+        return { url: base.path, params: { ...base.params, [this.pageSizeVariable]: this.pageSize }, index: 0 };
+    }
+    
+    next(request, page) {
+        const { hasNextPage, endCursor } = page.pageInfo || {};
+        
+        if (!hasNextPage) {
+            return null;
+        }
+        if (endCursor === undefined || endCursor === null) {
+            throw new Error('GraphQL pageInfo reports hasNextPage without an endCursor');
+        }
+        
+        return { ...request, params: { ...request.params, [this.cursorVariable]: endCursor }, index: request.index + 1 };
+    }
+}
+
+/**
+ * User-supplied pagination: `next({ request, page, base })` returns the next request or null
+ */
+class CustomPagination {
+    constructor({ next, first = null }) {
+        if (typeof next !== 'function') {
+            throw new Error('Custom pagination requires a next(context) function');
+        }
+        
+        this.nextRequest = next;
+        this.firstRequest = first;
+        this.indexed = false;
+    }
+    
+    first(base) {
+        const request = this.firstRequest ? this.firstRequest(base) : { params: base.params };
+        return { url: base.path, params: {}, ...request, index: 0 };
+    }
+    
+    next(request, page, base) {
+        const next = this.nextRequest({ request, page, base });
+        return next ? { url: base.path, params: {}, ...next, index: request.index + 1 } : null;
+    }
+}
+
+/**
+ * Parse an RFC 5988 `Link` header into a map of rel to URL
+ */
+function parseLinkHeader(header) {
+    const links = {};
+    if (!header) {
+        return links;
+    }
+    
+    for (const part of String(header).split(/,(?=\s*<)/)) {
+        const match = part.match(/<([^>]*)>(.*)/);
+        if (!match) {
+            continue;
+        }
+        
+        const rel = match[2].match(/;\s*rel\s*=\s*"?([^";]+)"?/i);
+        if (rel) {
+            for (const name of rel[1].trim().split(/\s+/)) {
+                links[name.toLowerCase()] = match[1].trim();
+            }
+        }
+    }
+    
+    return links;
+}
+
+/**
+ * Load a custom strategy from `pagination.custom` (a function) or `pagination.module` (a module path)
+ */
+function loadCustomPagination(config) {
+    let custom = config.get('pagination.custom');
+    
+    if (!custom && config.get('pagination.module')) {
+        custom = require(path.resolve(config.get('pagination.module')));
+    }
+    
+    if (!custom) {
+        throw new Error('Custom pagination requires pagination.custom or pagination.module');
+    }
+    
+    return new CustomPagination(typeof custom === 'function' ? { next: custom } : custom);
+}
+
+/**
+ * Create the pagination strategy selected by `pagination.strategy`
+ */
+function createPaginationStrategy(config) {
+    const strategy = config.get('pagination.strategy') || 'page';
+    const pageSize = config.get('pagination.pageSize') || 100;
+    const limitParam = config.get('pagination.limitParam') || 'limit';
+    
+    switch (strategy) {
+    case 'page':
+        return new PagePagination({ pageParam: config.get('pagination.pageParam'), limitParam, pageSize });
+    case 'offset':
+        return new OffsetPagination({ offsetParam: config.get('pagination.offsetParam'), limitParam, pageSize });
+    case 'cursor':
+        return new CursorPagination({
+            cursorParam: config.get('pagination.cursorParam'),
+            cursorPath: config.get('pagination.cursorPath'),
+            limitParam,
+            pageSize
+        });
+    case 'link-header':
+        return new LinkHeaderPagination({ limitParam, pageSize });
+    case 'custom':
+        return loadCustomPagination(config);
+    default:
+        throw new Error(`Unknown pagination strategy: ${strategy}`);
+    }
+}
+
+module.exports = {
+    createPaginationStrategy,
+    parseLinkHeader,
+    PagePagination,
+    OffsetPagination,
+    CursorPagination,
+    LinkHeaderPagination,
+    RelayPagination,
+    CustomPagination
+};
@@ -3,9 +3,47 @@
  * Handles data synchronization between external data source and Amazon Q Business
  */
 
-const { QBusinessClient, BatchPutDocumentCommand } = require('@aws-sdk/client-qbusiness');
+const crypto = require('crypto');
+const {
+    QBusinessClient,
+    BatchPutDocumentCommand,
+    BatchDeleteDocumentCommand
+} = require('@aws-sdk/client-qbusiness');
 const logger = require('../utils/logger');
-const DataSourceConnector = require('./dataSourceConnector');
+const { createConnector } = require('./registry');
+const DocumentStager = require('./documentStager');
+const FieldMapping = require('../mapping/fieldMapping');
+const { detectContentType } = require('../mapping/contentTypes');
+const { getPath } = require('../utils/objectPath');
+const { BatchQueue, sleep } = require('../utils/concurrency');
+const { RateLimiter, isThrottlingError } = require('../utils/rateLimiter');
+const { createStateStore } = require('../state/stateStore');
+const DeadLetterQueue = require('../state/deadLetterQueue');
+
+const SYNC_MODES = ['full', 'incremental'];
+
+// Settings a checkpoint can only be resumed under; secrets are left out so rotating them doesn't matter
+const CHECKPOINT_SETTINGS = [
+    'aws.qBusinessApplicationId',
+    'aws.indexId',
+    'aws.dataSourceId',
+    'dataSource.type',
+    'dataSource.baseUrl',
+    'dataSource.protocol',
+    'dataSource.idFields',
+    'plugin.name',
+    'pagination',
+    'graphql',
+    'filesystem',
+    's3Source',
+    'sql.client',
+    'sql.query',
+    'sql.keyColumn',
+    'sql.updatedAtColumn'
+];
+
+// Failed document error codes that may succeed when sent again
+const RETRYABLE_ERROR_CODES = ['InternalError', 'ResourceInactive', 'ThrottlingException'];
 
 class PluginManager {
     constructor(config) {
@@ -13,133 +51,1066 @@ class PluginManager {
         this.qBusinessClient = new QBusinessClient({
             region: config.get('aws.region')
         });
-        this.dataSourceConnector = new DataSourceConnector(config);
+        this.qBusinessLimiter = new RateLimiter({
+            requestsPerSecond: config.get('rateLimit.qBusinessRequestsPerSecond'),
+            burst: config.get('rateLimit.qBusinessBurst')
+        });
+        this.dataSourceConnector = createConnector(config);
+        this.stateStore = createStateStore(config);
+        this.documentStager = new DocumentStager(config);
+        this.deadLetterQueue = new DeadLetterQueue(config.get('plugin.deadLetterFile') || '.state/dead-letter.jsonl');
+        this.fieldMapping = new FieldMapping(
+            config.getFieldMapping() || this.dataSourceConnector.getDefaultMapping() || {}
+        );
+        // Aborted when a shutdown has waited `plugin.shutdownTimeout` for uploads in flight
+        this.uploadCancellation = new AbortController();
     }
     
     /**
      * Main synchronization method
+     * In incremental mode only changes since the last successful sync are fetched;
+     * without a stored watermark, or a connector that can't list changes, it falls back to a full sync.
+     *
+     * Every `plugin.checkpointInterval` a checkpoint records the listing position after the last page
+     * whose documents are all uploaded. With `resume`, a run continues from the last checkpoint,
+     * keeping its run ID, mode and start time; a missing, stale or unusable checkpoint, or one written
+     * under a different configuration, starts a fresh run instead.
+     *
+     * When `signal` aborts, requests to the data source are cancelled and no further pages are fetched.
+     * Queued batches get `plugin.shutdownTimeout` to finish uploading before they are cancelled too.
+     * Deletions are skipped, the watermark stays put, a final checkpoint is saved, and the summary
+     * is marked `interrupted`.
      */
-    async sync() {
+    async sync({ mode = 'full', signal = null, resume = false } = {}) {
+        const stopShutdownTimer = this.cancelUploadsAfterShutdown(signal);
+        
         try {
-            logger.info('Starting data synchronization...');
+            if (!SYNC_MODES.includes(mode)) {
+                throw new Error(`Unknown sync mode: ${mode}`);
+            }
             
-            // Fetch data from external source
-            const documents = await this.fetchDocuments();
+            const syncState = await this.loadSyncState();
+            const configHash = this.getConfigHash();
+            const checkpoint = resume ? await this.loadResumableCheckpoint(configHash) : null;
+            let effectiveMode = checkpoint ? checkpoint.mode : mode;
             
-            if (documents.length === 0) {
-                logger.info('No documents to sync');
-                return;
+            if (checkpoint) {
+                logger.info(`Resuming ${effectiveMode} run ${checkpoint.runId} after page ${checkpoint.pages}, ` +
+                    `saved at ${checkpoint.savedAt}`);
+            } else if (mode === 'incremental' && !this.dataSourceConnector.supportsIncremental()) {
+                logger.info(`The ${this.config.get('dataSource.type')} connector does not support incremental sync, ` +
+                    'falling back to full sync');
+                effectiveMode = 'full';
+            } else if (mode === 'incremental' && !syncState.lastSyncTime) {
+                logger.info('No previous sync watermark found, falling back to full sync');
+                effectiveMode = 'full';
+            }
+            
+            const run = {
+                runId: checkpoint?.runId ?? crypto.randomUUID(),
+                mode: effectiveMode,
+                // A resumed run keeps its start time, so changes made while it was down are listed next time
+                startedAt: checkpoint?.startedAt ?? new Date().toISOString(),
+                since: checkpoint ? checkpoint.since : (effectiveMode === 'incremental' ? syncState.lastSyncTime : null),
+                configHash
+            };
+            
+            if (!checkpoint) {
+                logger.info(`Starting ${effectiveMode} data synchronization (run ${run.runId})...`);
+                // A fresh run's checkpoint starts over, so an older one's deltas can't be mixed into it
+                await this.clearCheckpoint();
+            }
+            
+            await this.documentStager.sweep();
+            
+            const manifest = await this.loadManifest();
+            // What the pages before the checkpoint contributed, and what this run adds to it
+            const base = this.restoreProgress(checkpoint);
+            const seenIds = new Set(base.seenIds);
+            const fingerprints = new Map(Object.entries(base.fingerprints));
+            const deletedIds = [...base.deletedIds];
+            const totals = { ...base.totals };
+            // The listing position after each page taken since the last checkpoint, the last batch
+            // holding its documents, the IDs it listed and the running totals
+            const pageMarks = [];
+            // The checkpoint as last saved, without the pages folded into its deltas
+            let saved = this.createCheckpointHeader(run, base);
+            const checkpointInterval = this.config.get('plugin.checkpointInterval') ?? 60000;
+            let lastCheckpointAt = Date.now();
+            let position = null;
+            
+            // Stream pages from the source into upload batches; adding waits while all upload slots are busy.
+            // Batches already uploaded before the checkpoint keep their numbers.
+            const uploads = this.createBatchDispatcher('upload', batch => this.uploadBatch(batch), this.getUploadHooks(), {
+                batchOffset: base.batches
+            });
+            const pages = this.fetchDocumentPages(run.since, seenIds, {
+                signal,
+                onPosition: next => {
+                    position = next;
+                },
+                resumeFrom: checkpoint?.position ?? null
+            });
+            
+            try {
+                for await (const page of pages) {
+                    if (signal?.aborted) {
+                        break;
+                    }
+                    
+                    const { changed, fingerprints: pageFingerprints, counts: pageCounts } =
+                        this.detectChanges(page.documents, manifest);
+                    
+                    totals.documents += page.documents.length;
+                    totals.collisions += page.collisions;
+                    totals.skipped += page.skippedIds.length;
+                    deletedIds.push(...page.deletedIds);
+                    pageFingerprints.forEach((fingerprint, id) => fingerprints.set(id, fingerprint));
+                    ['new', 'changed', 'unchanged'].forEach(key => { totals[key] += pageCounts[key]; });
+                    
+                    await uploads.add(changed);
+                    pageMarks.push({
+                        position,
+                        lastBatch: uploads.lastBatchNumber(),
+                        // Unchanged IDs go in too, so a resumed run doesn't take them for deletions
+                        ids: [...page.documents.map(document => document.id), ...page.skippedIds, ...page.unchangedIds],
+                        deletedIds: page.deletedIds,
+                        totals: { ...totals }
+                    });
+                    
+                    if (Date.now() - lastCheckpointAt >= checkpointInterval) {
+                        saved = await this.saveCheckpointProgress(saved, pageMarks, uploads.progress(), fingerprints);
+                        lastCheckpointAt = Date.now();
+                    }
+                }
+            } catch (error) {
+                // Requests cancelled by the shutdown end the listing like any other interruption
+                if (!signal?.aborted) {
+                    throw error;
+                }
+            }
+            
+            if (signal?.aborted) {
+                logger.warn('Sync interrupted, finishing the batches already queued');
             }
             
-            logger.info(`Found ${documents.length} documents to sync`);
+            const result = await uploads.finish();
+            
+            // An interrupted run hasn't seen every document, so it deletes nothing and keeps the watermark
+            const interrupted = Boolean(signal?.aborted);
             
-            // Process documents in batches
-            await this.processBatches(documents);
+            // A full sync deletes whatever the previous sync indexed but the source no longer returns,
+            // as does an incremental one from a connector that reports unchanged documents;
+            // skipped documents are in seenIds since they still exist upstream
+            const listedEverything = effectiveMode === 'full' || this.dataSourceConnector.reportsUnchanged;
+            let idsToDelete = listedEverything
+                ? [...new Set([...manifest.keys()].filter(id => !seenIds.has(id)).concat(deletedIds))]
+                : deletedIds;
             
-            logger.info('Data synchronization completed successfully');
+            if (interrupted) {
+                idsToDelete = [];
+            }
             
+            // A listing that would empty most of the index more likely failed than found everything gone
+            const refusedDeletions = listedEverything && !this.checkDeletions(idsToDelete, manifest, seenIds) ?
+                idsToDelete.length :
+                0;
+            
+            if (refusedDeletions > 0) {
+                idsToDelete = [];
+            }
+            
+            let deleteResult = { batches: 0, failedDocuments: 0, failedIds: [] };
+            
+            if (idsToDelete.length > 0) {
+                logger.info(`Found ${idsToDelete.length} documents to delete`);
+                deleteResult = await this.processDeletions(idsToDelete);
+            }
+            
+            // Cancelled uploads keep their previous fingerprint, like failed ones, so they are sent again
+            await this.saveManifest(this.updateManifest(
+                manifest,
+                fingerprints,
+                idsToDelete,
+                { ...result, failedIds: [...base.failedIds, ...result.failedIds, ...result.cancelledIds] },
+                deleteResult
+            ));
+            
+            const summary = {
+                runId: run.runId,
+                mode: effectiveMode,
+                resumed: Boolean(checkpoint),
+                documents: totals.documents,
+                new: totals.new,
+                changed: totals.changed,
+                unchanged: totals.unchanged,
+                deleted: idsToDelete.length,
+                collisions: totals.collisions,
+                batches: result.batches + deleteResult.batches,
+                failedDocuments: base.failedIds.length + result.failedDocuments + totals.skipped,
+                failedDeletions: deleteResult.failedDocuments,
+                refusedDeletions,
+                cancelledDocuments: result.cancelledIds.length,
+                watermarkAdvanced: false,
+                interrupted,
+                checkpoint: null
+            };
+            
+            logger.info(`Sync results: ${summary.new} new, ${summary.changed} changed, ` +
+                `${summary.unchanged} unchanged, ${summary.deleted} deleted`);
+            
+            if (interrupted) {
+                summary.checkpoint = await this.saveCheckpointProgress(saved, pageMarks, result, fingerprints, {
+                    interruptedAt: new Date().toISOString()
+                });
+                logger.warn(`Sync interrupted after ${summary.checkpoint.pages} pages and ` +
+                    `${summary.checkpoint.batches} batches, checkpoint saved; sync watermark not advanced`);
+                return summary;
+            }
+            
+            await this.clearCheckpoint();
+            
+            // Only move the watermark forward when every document made it into the index
+            if (summary.failedDocuments === 0 && summary.failedDeletions === 0 && refusedDeletions === 0) {
+                await this.saveSyncState({
+                    ...syncState,
+                    lastSyncTime: run.startedAt,
+                    lastSyncMode: effectiveMode,
+                    ...(effectiveMode === 'full' && { lastFullSyncTime: run.startedAt })
+                });
+                summary.watermarkAdvanced = true;
+                logger.info('Data synchronization completed successfully');
+            } else {
+                logger.warn(`${summary.failedDocuments} uploads and ${summary.failedDeletions} deletions failed, ` +
+                    `${refusedDeletions} deletions refused, sync watermark not advanced`);
+            }
+            
+            return summary;
+        
         } catch (error) {
             logger.error('Synchronization failed:', error);
             throw error;
+        
+        } finally {
+            stopShutdownTimer();
+        }
+    }
+    
+    /**
+     * Check whether the deletions a listing implies are safe to send
+     * Refuses them when the source listed nothing at all, or when they exceed `plugin.maxDeleteRatio`
+     * of the documents in the manifest; a ratio of 1 allows both.
+     */
+    checkDeletions(idsToDelete, manifest, seenIds) {
+        const maxRatio = this.config.get('plugin.maxDeleteRatio') ?? 0.5;
+        
+        if (idsToDelete.length === 0 || manifest.size === 0 || maxRatio >= 1) {
+            return true;
+        }
+        
+        if (seenIds.size === 0) {
+            logger.error(`The data source listed no documents, refusing to delete the ${manifest.size} indexed ones; ` +
+                'set MAX_DELETE_RATIO=1 if the source really is empty');
+            return false;
+        }
+        
+        if (idsToDelete.length > manifest.size * maxRatio) {
+            logger.error(`Refusing to delete ${idsToDelete.length} of ${manifest.size} indexed documents, ` +
+                `more than MAX_DELETE_RATIO (${maxRatio}) allows; raise it if the source really lost them`);
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Once `signal` aborts, give the uploads in flight `plugin.shutdownTimeout` before cancelling them
+     * Returns a function that stops waiting for the signal
+     */
+    cancelUploadsAfterShutdown(signal) {
+        this.uploadCancellation = new AbortController();
+        
+        if (!signal) {
+            return () => {};
+        }
+        
+        const cancellation = this.uploadCancellation;
+        const timeout = this.config.get('plugin.shutdownTimeout') ?? 30000;
+        let timer = null;
+        
+        const onAbort = () => {
+            logger.info(`Shutting down, waiting up to ${timeout}ms for uploads in flight`);
+            timer = setTimeout(() => {
+                logger.warn('Shutdown timeout reached, cancelling uploads in flight');
+                cancellation.abort();
+            }, timeout);
+        };
+        
+        if (signal.aborted) {
+            onAbort();
+        } else {
+            signal.addEventListener('abort', onAbort, { once: true });
         }
+        
+        return () => {
+            signal.removeEventListener('abort', onAbort);
+            clearTimeout(timer);
+        };
+    }
+    
+    /**
+     * The small part of a checkpoint that is rewritten with every save
+     * `position` is the listing position after the last page whose documents were all uploaded, and
+     * `batches` the number of batches uploaded up to it. What those pages listed is kept in `deltas`
+     * documents appended one per save (see `saveCheckpointProgress()`).
+     */
+    createCheckpointHeader(run, progress) {
+        return {
+            ...run,
+            pages: progress.pages,
+            position: progress.position,
+            batches: progress.batches,
+            totals: progress.totals,
+            deltas: progress.deltas,
+            savedAt: new Date().toISOString()
+        };
     }
     
     /**
-     * Fetch documents from external data source
+     * Save how far a run got since the checkpoint `saved`, for it to be resumed
+     * Pages whose batches have all been uploaded are removed from `pageMarks`, and the IDs and fingerprints
+     * they listed are appended as a delta, so a resumed run can still reconcile deletions and the manifest
+     * while each save only writes what is new. `uploads` is the upload dispatcher's progress.
+     * Returns the new checkpoint header; `extra` is merged into it.
      */
-    async fetchDocuments() {
+    async saveCheckpointProgress(saved, pageMarks, uploads, fingerprints, extra = {}) {
+        const completed = new Set(uploads.completedBatches);
+        const failed = new Set(uploads.failedIds);
+        let uploadedThrough = saved.batches;
+        
+        // Batches finish out of order; a page counts once every batch up to its last one has
+        while (completed.has(uploadedThrough + 1)) {
+            uploadedThrough++;
+        }
+        
+        const pending = pageMarks.findIndex(mark => mark.lastBatch > uploadedThrough);
+        const done = pageMarks.splice(0, pending === -1 ? pageMarks.length : pending);
+        const last = done[done.length - 1];
+        const header = {
+            ...this.createCheckpointHeader(saved, {
+                pages: saved.pages + done.length,
+                position: last ? last.position ?? null : saved.position,
+                batches: uploadedThrough,
+                totals: last ? last.totals : saved.totals,
+                deltas: saved.deltas + (done.length > 0 ? 1 : 0)
+            }),
+            ...extra
+        };
+        
+        if (done.length > 0) {
+            const ids = done.flatMap(mark => mark.ids);
+            const uploaded = ids.filter(id => fingerprints.has(id) && !failed.has(id));
+            
+            // The delta is written first, so a crash in between leaves the previous header consistent
+            await this.stateStore.save(this.getCheckpointDeltaKey(header.deltas), {
+                seenIds: ids,
+                fingerprints: Object.fromEntries(uploaded.map(id => [id, fingerprints.get(id)])),
+                failedIds: ids.filter(id => failed.has(id)),
+                deletedIds: done.flatMap(mark => mark.deletedIds)
+            });
+        }
+        
+        await this.saveCheckpoint(header);
+        return header;
+    }
+    
+    /**
+     * Progress carried over from a checkpoint, or none for a fresh run
+     * The resumed run numbers its batches on from the last one uploaded through the checkpoint's position
+     */
+    restoreProgress(checkpoint) {
+        return {
+            pages: checkpoint?.pages ?? 0,
+            position: checkpoint?.position ?? null,
+            batches: checkpoint?.batches ?? 0,
+            deltas: checkpoint?.deltas ?? 0,
+            seenIds: checkpoint?.seenIds ?? [],
+            fingerprints: checkpoint?.fingerprints ?? {},
+            failedIds: checkpoint?.failedIds ?? [],
+            deletedIds: checkpoint?.deletedIds ?? [],
+            totals: checkpoint?.totals ?? { documents: 0, new: 0, changed: 0, unchanged: 0, collisions: 0, skipped: 0 }
+        };
+    }
+    
+    /**
+     * Load the last checkpoint if a run can resume from it, logging why not otherwise
+     */
+    async loadResumableCheckpoint(configHash) {
+        const checkpoint = await this.loadCheckpoint();
+        const maxAge = this.config.get('plugin.checkpointMaxAge') ?? 86400000;
+        
+        if (!checkpoint) {
+            logger.info('No checkpoint to resume from, starting a fresh sync');
+            return null;
+        }
+        
+        const age = Date.now() - Date.parse(checkpoint.savedAt);
+        
+        if (checkpoint.configHash !== configHash) {
+            logger.warn(`The configuration changed since run ${checkpoint.runId} was checkpointed, starting a fresh sync`);
+            return null;
+        }
+        if (!(age <= maxAge)) {
+            logger.warn(`The checkpoint of run ${checkpoint.runId} is older than ${maxAge}ms, starting a fresh sync`);
+            return null;
+        }
+        if (checkpoint.position === null || checkpoint.position === undefined) {
+            logger.info(`The checkpoint of run ${checkpoint.runId} has no listing position to resume from, ` +
+                'starting a fresh sync');
+            return null;
+        }
+        
+        return checkpoint;
+    }
+    
+    /**
+     * Hash the settings that decide which documents a listing returns and what they become
+     * A checkpoint written under a different hash is not resumed
+     */
+    getConfigHash() {
+        const settings = CHECKPOINT_SETTINGS.map(path => [path, this.config.get(path)]);
+        
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify([settings, this.config.getFieldMapping()]))
+            .digest('hex');
+    }
+    
+    /**
+     * State key for a kind of persisted state of the configured data source
+     */
+    getStateKey(kind) {
+        const dataSourceId = this.config.get('aws.dataSourceId') || this.config.get('plugin.name');
+        return `${kind}-${dataSourceId}`;
+    }
+    
+    /**
+     * Load the persisted sync state for this data source
+     */
+    async loadSyncState() {
+        return (await this.stateStore.load(this.getStateKey('sync-state'))) || {};
+    }
+    
+    /**
+     * Persist the sync state for this data source
+     */
+    async saveSyncState(state) {
+        await this.stateStore.save(this.getStateKey('sync-state'), state);
+    }
+    
+    /**
+     * Load the checkpoint of the last interrupted run with its deltas merged in, or null
+     */
+    async loadCheckpoint() {
+        const checkpoint = await this.stateStore.load(this.getStateKey('checkpoint'));
+        
+        if (!checkpoint) {
+            return null;
+        }
+        
+        const seenIds = [];
+        const fingerprints = {};
+        const failedIds = [];
+        const deletedIds = [];
+        
+        for (let number = 1; number <= (checkpoint.deltas || 0); number++) {
+            const delta = await this.stateStore.load(this.getCheckpointDeltaKey(number));
+            
+            if (!delta) {
+                logger.warn(`Delta ${number} of the checkpoint of run ${checkpoint.runId} is missing, ignoring the checkpoint`);
+                return null;
+            }
+            
+            // Deltas can be large, so they are copied item by item rather than spread into arguments
+            delta.seenIds.forEach(id => seenIds.push(id));
+            delta.failedIds.forEach(id => failedIds.push(id));
+            delta.deletedIds.forEach(id => deletedIds.push(id));
+            Object.assign(fingerprints, delta.fingerprints);
+        }
+        
+        return { ...checkpoint, seenIds, fingerprints, failedIds, deletedIds };
+    }
+    
+    /**
+     * Persist the header of a run's checkpoint; see `saveCheckpointProgress()` for its deltas
+     */
+    async saveCheckpoint(checkpoint) {
+        await this.stateStore.save(this.getStateKey('checkpoint'), checkpoint);
+    }
+    
+    /**
+     * Remove the checkpoint and its deltas once a run has finished
+     */
+    async clearCheckpoint() {
+        const checkpoint = await this.stateStore.load(this.getStateKey('checkpoint'));
+        
+        for (let number = 1; number <= (checkpoint?.deltas || 0); number++) {
+            await this.stateStore.remove(this.getCheckpointDeltaKey(number));
+        }
+        
+        await this.stateStore.remove(this.getStateKey('checkpoint'));
+    }
+    
+    /**
+     * State key of a checkpoint delta; `.` keeps it apart from the keys of other data sources
+     */
+    getCheckpointDeltaKey(number) {
+        return `${this.getStateKey('checkpoint')}.delta-${number}`;
+    }
+    
+    /**
+     * Load the manifest of indexed document IDs and their fingerprints
+     */
+    async loadManifest() {
+        const manifest = await this.stateStore.load(this.getStateKey('manifest'));
+        return new Map(Object.entries(manifest?.documents || {}));
+    }
+    
+    /**
+     * Persist the manifest of indexed document IDs and their fingerprints
+     */
+    async saveManifest(manifest) {
+        await this.stateStore.save(this.getStateKey('manifest'), {
+            updatedAt: new Date().toISOString(),
+            documents: Object.fromEntries(manifest)
+        });
+    }
+    
+    /**
+     * Record successful uploads and deletions in a copy of the manifest
+     * Failed documents keep their previous fingerprint so the next sync retries them
+     */
+    updateManifest(manifest, fingerprints, deletedIds, uploadResult, deleteResult) {
+        const updated = new Map(manifest);
+        const failedUploads = new Set(uploadResult.failedIds);
+        const failedDeletions = new Set(deleteResult.failedIds);
+        
+        for (const [id, fingerprint] of fingerprints) {
+            if (!failedUploads.has(id)) {
+                updated.set(id, fingerprint);
+            }
+        }
+        
+        for (const id of deletedIds) {
+            if (!failedDeletions.has(id)) {
+                updated.delete(id);
+            }
+        }
+        
+        return updated;
+    }
+    
+    /**
+     * Fingerprint documents and keep only those that are new or changed since the manifest
+     */
+    detectChanges(documents, manifest) {
+        const changed = [];
+        const fingerprints = new Map();
+        const counts = { new: 0, changed: 0, unchanged: 0 };
+        
+        for (const document of documents) {
+            const fingerprint = this.computeFingerprint(document);
+            const previous = manifest.get(document.id);
+            
+            if (previous === fingerprint) {
+                counts.unchanged++;
+                continue;
+            }
+            
+            counts[previous ? 'changed' : 'new']++;
+            changed.push(document);
+            fingerprints.set(document.id, fingerprint);
+        }
+        
+        return { changed, fingerprints, counts };
+    }
+    
+    /**
+     * Hash the transformed content and attributes of a document
+     */
+    computeFingerprint(document) {
+        const hash = crypto.createHash('sha256');
+        
+        hash.update(JSON.stringify({
+            title: document.title,
+            contentType: document.contentType,
+            attributes: document.attributes
+        }));
+        
+        if (document.content?.blob) {
+            hash.update(document.content.blob);
+        } else {
+            hash.update(JSON.stringify(document.content || null));
+        }
+        
+        return hash.digest('hex');
+    }
+    
+    /**
+     * Fetch and transform documents from the external data source one page at a time
+     * When `since` is set only changes after it are fetched, including deletions, and the IDs of
+     * documents a connector reports as unchanged are passed on as `unchangedIds`.
+     * `options` (`signal`, `onPosition`) are passed on to the connector's listing.
+     */
+    async *fetchDocumentPages(since = null, seenIds = new Set(), options = {}) {
         try {
             logger.info('Fetching documents from data source...');
             
-            const documents = await this.dataSourceConnector.fetchAll();
-            
-            // Transform documents to Amazon Q Business format
-            return documents.map(doc => this.transformDocument(doc));
+            if (since) {
+                const changes = this.dataSourceConnector.iterateChanges(since, options);
+                
+                for await (const { documents, deletions, unchanged = [] } of changes) {
+                    // Connectors that list every document report the unchanged ones so they aren't deleted
+                    const unchangedIds = unchanged.map(doc => this.getDocumentId(doc));
+                    unchangedIds.forEach(id => seenIds.add(id));
+                    yield {
+                        ...(await this.transformDocuments(documents, seenIds, options)),
+                        unchangedIds,
+                        deletedIds: deletions.map(doc => this.getDocumentId(doc))
+                    };
+                }
+                return;
+            }
             
+            for await (const documents of this.dataSourceConnector.iterateDocuments(options)) {
+                yield {
+                    ...(await this.transformDocuments(documents, seenIds, options)),
+                    unchangedIds: [],
+                    deletedIds: []
+                };
+            }
+        
         } catch (error) {
-            logger.error('Failed to fetch documents:', error);
+            if (!options.signal?.aborted) {
+                logger.error('Failed to fetch documents:', error);
+            }
             throw error;
         }
     }
     
+    /**
+     * Transform documents to Amazon Q Business format, dropping records that collide on ID
+     * `seenIds` tracks the IDs of the whole run so collisions are caught across pages.
+     * Documents whose attachment cannot be downloaded are skipped and reported in `skippedIds`;
+     * downloads cancelled by `signal` fail the page instead.
+     */
+    async transformDocuments(sourceDocuments, seenIds = new Set(), { signal = null } = {}) {
+        const documents = [];
+        const skippedIds = [];
+        let collisions = 0;
+        
+        for (const sourceDocument of sourceDocuments) {
+            let attachment = null;
+            
+            try {
+                attachment = await this.fetchAttachment(sourceDocument, { signal });
+            } catch (error) {
+                if (signal?.aborted) {
+                    throw error;
+                }
+                
+                const id = this.getDocumentId(sourceDocument);
+                logger.error(`Failed to download content for document ${id}, skipping it:`, error);
+                skippedIds.push(id);
+                seenIds.add(id);
+                continue;
+            }
+            
+            const document = this.transformDocument(sourceDocument, attachment);
+            
+            if (seenIds.has(document.id)) {
+                collisions++;
+                logger.warn(`Two source records map to document ID ${document.id}, keeping the first`, {
+                    identity: this.getIdentityValues(sourceDocument)
+                });
+                continue;
+            }
+            
+            seenIds.add(document.id);
+            documents.push(document);
+        }
+        
+        return { documents, collisions, skippedIds };
+    }
+    
+    /**
+     * Download the binary content referenced by a document's `contentUrl` field, if any
+     */
+    async fetchAttachment(document, { signal = null } = {}) {
+        const url = this.fieldMapping.resolve(this.fieldMapping.fields.contentUrl, document);
+        
+        if (!url) {
+            return null;
+        }
+        
+        return this.dataSourceConnector.fetchContent(url, { signal });
+    }
+    
     /**
      * Transform document to Amazon Q Business format
+     * When an attachment is given its raw bytes are sent instead of the mapped content field
      */
-    transformDocument(document) {
+    transformDocument(document, attachment = null) {
+        const fields = this.fieldMapping.mapFields(document);
+        const content = attachment ? attachment.data : fields.content;
+        const isStructured = content !== null && typeof content === 'object' && !Buffer.isBuffer(content);
+        const blob = this.encodeContent(content);
+        
         return {
-            id: document.id || this.generateDocumentId(document),
-            title: document.title || document.name || 'Untitled',
+            id: this.getDocumentId(document),
+            title: String(fields.title ?? 'Untitled'),
             content: {
-                blob: Buffer.from(document.content || document.body || '', 'utf-8')
+                blob
             },
-            contentType: 'PLAIN_TEXT',
+            contentType: detectContentType({
+                declared: fields.contentType || (isStructured ? 'JSON' : null),
+                headerContentType: attachment?.contentType,
+                uri: attachment ? fields.contentUrl : null,
+                data: blob
+            }),
             attributes: {
-                _source_uri: document.url || document.source || '',
-                _created_at: document.createdAt || new Date().toISOString(),
-                _updated_at: document.updatedAt || new Date().toISOString(),
+                _source_uri: fields.sourceUri || '',
+                // Timestamps are only set from the source so unchanged documents keep the same fingerprint
+                ...(fields.createdAt && { _created_at: fields.createdAt }),
+                ...(fields.updatedAt && { _updated_at: fields.updatedAt }),
                 ...this.extractCustomAttributes(document)
             }
         };
     }
     
     /**
-     * Extract custom attributes from document
+     * Encode document content as bytes, passing binary payloads through unchanged
+     */
+    encodeContent(content) {
+        if (Buffer.isBuffer(content)) {
+            return content;
+        }
+        if (ArrayBuffer.isView(content)) {
+            return Buffer.from(content.buffer, content.byteOffset, content.byteLength);
+        }
+        if (content instanceof ArrayBuffer) {
+            return Buffer.from(content);
+        }
+        if (content !== null && typeof content === 'object') {
+            return Buffer.from(JSON.stringify(content), 'utf-8');
+        }
+        return Buffer.from(String(content ?? ''), 'utf-8');
+    }
+    
+    /**
+     * Resolve the Amazon Q Business document ID for a source document
+     */
+    getDocumentId(document) {
+        const id = this.fieldMapping.resolve(this.fieldMapping.fields.id, document);
+        return id !== undefined ? String(id) : this.generateDocumentId(document);
+    }
+    
+    /**
+     * Extract custom attributes from document using the field mapping
      */
     extractCustomAttributes(document) {
-        const customAttributes = {};
-        
-        // Add any custom fields from your data source
-        if (document.author) customAttributes.author = document.author;
-        if (document.category) customAttributes.category = document.category;
-        if (document.tags) customAttributes.tags = document.tags;
-        
-        return customAttributes;
+        return this.fieldMapping.mapAttributes(document);
     }
     
     /**
-     * Generate unique document ID
+     * Generate a stable document ID from the configured identity fields
+     * Records without any identity field fall back to a hash of the whole record
      */
     generateDocumentId(document) {
         const source = this.config.get('plugin.name');
-        const timestamp = Date.now();
-        const hash = require('crypto')
-            .createHash('md5')
-            .update(JSON.stringify(document))
+        const identity = this.getIdentityValues(document);
+        const hasIdentity = Object.values(identity).some(value => value !== undefined && value !== null && value !== '');
+        
+        if (!hasIdentity) {
+            logger.debug('Document has no identity fields, deriving ID from its content');
+        }
+        
+        const hash = crypto
+            .createHash('sha256')
+            .update(source)
+            .update('\0')
+            .update(JSON.stringify(hasIdentity ? identity : document))
             .digest('hex')
-            .substring(0, 8);
+            .substring(0, 32);
         
-        return `${source}-${timestamp}-${hash}`;
+        return `${source}-${hash}`;
+    }
+    
+    /**
+     * Read the configured identity fields (dot notation) from a source record
+     */
+    getIdentityValues(document) {
+        const idFields = this.config.get('dataSource.idFields') || [];
+        const identity = {};
+        
+        for (const field of idFields) {
+            identity[field] = getPath(document, field);
+        }
+        
+        return identity;
     }
     
     /**
      * Process documents in batches
      */
     async processBatches(documents) {
-        const batchSize = this.config.get('dataSource.batchSize');
-        const batches = this.createBatches(documents, batchSize);
+        return this.runBatches(documents, 'upload', batch => this.uploadBatch(batch), this.getUploadHooks());
+    }
+    
+    /**
+     * Hooks that offload oversized documents to S3 before their batch is sent
+     * Staged objects outlive the batch, since ingestion reads them asynchronously; `sync` sweeps expired ones
+     */
+    getUploadHooks() {
+        return {
+            prepare: batch => this.documentStager.stage(batch)
+        };
+    }
+    
+    /**
+     * Delete documents from the index in batches
+     */
+    async processDeletions(documentIds) {
+        return this.runBatches(documentIds, 'delete', batch => this.deleteBatch(batch));
+    }
+    
+    /**
+     * Send a list of items in batches
+     */
+    async runBatches(items, operation, send, hooks = {}) {
+        const dispatcher = this.createBatchDispatcher(operation, send, hooks);
+        await dispatcher.add(items);
+        return dispatcher.finish();
+    }
+    
+    /**
+     * Create a dispatcher that groups items into batches and sends up to
+     * `plugin.uploadConcurrency` batches at once; `add()` waits while every slot is busy
+     * Batches are numbered from `batchOffset + 1`.
+     */
+    createBatchDispatcher(operation, send, hooks = {}, { batchOffset = 0 } = {}) {
+        const failedIds = [];
+        const cancelledIds = [];
+        const completedBatches = [];
+        const cancellation = this.uploadCancellation.signal;
+        const queue = new BatchQueue({
+            batchSize: this.config.get('dataSource.batchSize'),
+            concurrency: this.config.get('plugin.uploadConcurrency') || 1,
+            handler: async (batch, queueNumber) => {
+                const batchNumber = batchOffset + queueNumber;
+                
+                try {
+                    cancellation.throwIfAborted();
+                    failedIds.push(...await this.sendBatch(batch, batchNumber, operation, send, hooks));
+                    completedBatches.push(batchNumber);
+                } catch (error) {
+                    if (!cancellation.aborted) {
+                        throw error;
+                    }
+                    
+                    // Cancelled batches are neither failed nor dead-lettered; the next run sends them again
+                    logger.warn(`${operation} batch ${batchNumber} cancelled by shutdown`);
+                    cancelledIds.push(...batch.map(item => this.getItemId(item)));
+                }
+            }
+        });
         
-        logger.info(`Processing ${batches.length} batches of ${batchSize} documents each`);
+        return {
+            add: items => queue.add(items),
+            // Number of the batch the most recently added item belongs to
+            lastBatchNumber: () => batchOffset + queue.batchCount + (queue.buffer.length > 0 ? 1 : 0),
+            progress: () => ({ completedBatches: [...completedBatches], failedIds: [...failedIds] }),
+            finish: async () => {
+                const { batches } = await queue.finish();
+                return { batches, failedDocuments: failedIds.length, failedIds, cancelledIds, completedBatches };
+            }
+        };
+    }
+    
+    /**
+     * Send one batch with retries on failure, returning the IDs of documents that failed permanently
+     * Optional `prepare` and `cleanup` hooks run before and after the batch, including its retries.
+     * Documents that still fail after per-document retries are written to the dead-letter file.
+     */
+    async sendBatch(items, batchNumber, operation, send, { prepare, cleanup } = {}) {
+        logger.info(`Processing ${operation} batch ${batchNumber} of ${items.length} documents`);
+        
+        const batch = prepare ? await prepare(items) : items;
         
-        for (let i = 0; i < batches.length; i++) {
-            const batch = batches[i];
-            logger.info(`Processing batch ${i + 1}/${batches.length}`);
+        try {
+            let response;
             
             try {
-                await this.uploadBatch(batch);
-                logger.info(`Batch ${i + 1} uploaded successfully`);
-                
-                // Add delay between batches to avoid rate limiting
-                if (i < batches.length - 1) {
-                    await this.delay(1000);
-                }
-                
+                response = await send(batch);
             } catch (error) {
-                logger.error(`Failed to upload batch ${i + 1}:`, error);
+                this.uploadCancellation.signal.throwIfAborted();
+                logger.error(`Failed to ${operation} batch ${batchNumber}:`, error);
                 
                 // Implement retry logic
-                await this.retryBatch(batch, i + 1);
+                response = await this.retryBatch(batch, batchNumber, send, error);
+            }
+            
+            const failures = await this.retryFailedDocuments(batch, response?.failedDocuments || [], send, batchNumber);
+            
+            if (failures.length > 0) {
+                await this.deadLetter(operation, items, failures);
+            } else {
+                logger.info(`Batch ${batchNumber} ${operation} completed successfully`);
+            }
+            
+            return failures.map(failure => failure.id);
+        
+        } finally {
+            if (cleanup) {
+                await cleanup(batch);
+            }
+        }
+    }
+    
+    /**
+     * Retry the individually failed documents of a batch with exponential backoff
+     * Returns the failures that are permanent or still failing once retries are exhausted
+     */
+    async retryFailedDocuments(batch, failedDocuments, send, batchNumber) {
+        const maxRetries = this.config.get('plugin.maxRetries');
+        const baseDelay = this.config.get('plugin.retryDelay');
+        const permanent = [];
+        let pending = failedDocuments;
+        
+        for (let attempt = 1; attempt <= maxRetries && pending.length > 0; attempt++) {
+            const retryable = [];
+            
+            for (const failure of pending) {
+                if (this.isRetryableFailure(failure)) {
+                    retryable.push(failure);
+                } else {
+                    permanent.push({ ...failure, retries: attempt - 1 });
+                }
+            }
+            
+            pending = retryable;
+            
+            if (retryable.length === 0) {
+                break;
+            }
+            
+            const retryIds = new Set(retryable.map(failure => failure.id));
+            const retryItems = batch.filter(item => retryIds.has(this.getItemId(item)));
+            
+            logger.info(`Retrying ${retryItems.length} failed documents from batch ${batchNumber}, ` +
+                `attempt ${attempt}/${maxRetries}`);
+            
+            await this.delay(baseDelay * Math.pow(2, attempt - 1), this.uploadCancellation.signal);
+            this.uploadCancellation.signal.throwIfAborted();
+            
+            try {
+                const response = await send(retryItems);
+                pending = (response?.failedDocuments || []).filter(failure => retryIds.has(failure.id));
+            } catch (error) {
+                this.uploadCancellation.signal.throwIfAborted();
+                logger.error(`Retry ${attempt} failed for documents from batch ${batchNumber}:`, error);
             }
         }
+        
+        return [...permanent, ...pending.map(failure => ({ ...failure, retries: maxRetries }))];
+    }
+    
+    /**
+     * Check whether a failed document's error code is worth retrying
+     */
+    isRetryableFailure(failure) {
+        return RETRYABLE_ERROR_CODES.includes(failure.error?.errorCode);
+    }
+    
+    /**
+     * Get the document ID of a batch item (a document, or a document ID for deletions)
+     */
+    getItemId(item) {
+        return typeof item === 'string' ? item : item.id;
+    }
+    
+    /**
+     * Write permanently failed documents to the dead-letter file
+     */
+    async deadLetter(operation, batch, failures) {
+        const items = new Map(batch.map(item => [this.getItemId(item), item]));
+        
+        logger.warn(`${failures.length} documents failed to ${operation} permanently, ` +
+            `writing them to ${this.deadLetterQueue.filePath}`);
+        
+        await this.deadLetterQueue.add(failures.map(failure => ({
+            operation,
+            documentId: failure.id,
+            errorCode: failure.error?.errorCode,
+            errorMessage: failure.error?.errorMessage,
+            retries: failure.retries,
+            ...(operation === 'upload' && { document: items.get(failure.id) })
+        })));
+    }
+    
+    /**
+     * Replay the documents recorded in the dead-letter file
+     * Documents that fail again are written back to it
+     */
+    async replayFailures() {
+        try {
+            const { entries, release } = await this.deadLetterQueue.claim();
+            
+            if (entries.length === 0) {
+                logger.info('No failed documents to replay');
+                return { replayed: 0, failedDocuments: 0, failedDeletions: 0 };
+            }
+            
+            // The latest entry for a document decides whether it is uploaded or deleted
+            const uploads = new Map();
+            const deletions = new Set();
+            
+            for (const entry of entries) {
+                if (entry.operation === 'delete') {
+                    uploads.delete(entry.documentId);
+                    deletions.add(entry.documentId);
+                } else {
+                    deletions.delete(entry.documentId);
+                    uploads.set(entry.documentId, entry.document);
+                }
+            }
+            
+            logger.info(`Replaying ${uploads.size} uploads and ${deletions.size} deletions`);
+            
+            const documents = [...uploads.values()];
+            const fingerprints = new Map(documents.map(doc => [doc.id, this.computeFingerprint(doc)]));
+            const emptyResult = { batches: 0, failedDocuments: 0, failedIds: [] };
+            
+            const result = documents.length > 0 ? await this.processBatches(documents) : emptyResult;
+            const deleteResult = deletions.size > 0 ? await this.processDeletions([...deletions]) : emptyResult;
+            
+            const manifest = await this.loadManifest();
+            await this.saveManifest(this.updateManifest(manifest, fingerprints, [...deletions], result, deleteResult));
+            await release();
+            
+            const summary = {
+                replayed: uploads.size + deletions.size,
+                failedDocuments: result.failedDocuments,
+                failedDeletions: deleteResult.failedDocuments
+            };
+            
+            logger.info('Replay of failed documents completed', summary);
+            return summary;
+        
+        } catch (error) {
+            logger.error('Replay of failed documents failed:', error);
+            throw error;
+        }
     }
     
     /**
@@ -157,13 +1128,16 @@ class PluginManager {
      * Upload a batch of documents to Amazon Q Business
      */
     async uploadBatch(documents) {
+        const roleArn = this.config.get('s3.roleArn');
         const command = new BatchPutDocumentCommand({
             applicationId: this.config.get('aws.qBusinessApplicationId'),
             indexId: this.config.get('aws.indexId'),
-            documents: documents
+            documents: documents,
+            // Lets Amazon Q Business read documents staged in S3
+            ...(roleArn && { roleArn })
         });
         
-        const response = await this.qBusinessClient.send(command);
+        const response = await this.sendCommand(command);
         
         if (response.failedDocuments && response.failedDocuments.length > 0) {
             logger.warn(`${response.failedDocuments.length} documents failed to upload:`, 
@@ -173,24 +1147,82 @@ class PluginManager {
         return response;
     }
     
+    /**
+     * Delete a batch of documents from Amazon Q Business
+     */
+    async deleteBatch(documentIds) {
+        const command = new BatchDeleteDocumentCommand({
+            applicationId: this.config.get('aws.qBusinessApplicationId'),
+            indexId: this.config.get('aws.indexId'),
+            documents: documentIds.map(documentId => ({ documentId }))
+        });
+        
+        const response = await this.sendCommand(command);
+        
+        if (response.failedDocuments && response.failedDocuments.length > 0) {
+            logger.warn(`${response.failedDocuments.length} documents failed to delete:`, 
+                response.failedDocuments);
+        }
+        
+        return response;
+    }
+    
+    /**
+     * Send a command to Amazon Q Business through the shared rate limiter
+     * Throttling errors pause every Q Business call and are retried with exponential backoff.
+     * Requests in flight are aborted when a shutdown cancels uploads.
+     */
+    async sendCommand(command) {
+        const maxRetries = this.config.get('plugin.maxRetries') || 0;
+        const baseDelay = this.config.get('plugin.retryDelay') || 1000;
+        const abortSignal = this.uploadCancellation.signal;
+        
+        for (let attempt = 0; ; attempt++) {
+            await this.qBusinessLimiter.acquire(abortSignal);
+            
+            try {
+                return await this.qBusinessClient.send(command, { abortSignal });
+            } catch (error) {
+                if (!isThrottlingError(error) || attempt >= maxRetries || abortSignal.aborted) {
+                    throw error;
+                }
+                
+                const wait = baseDelay * Math.pow(2, attempt);
+                logger.warn(`Amazon Q Business throttled the request, retrying in ${wait}ms`);
+                this.qBusinessLimiter.pause(wait);
+            }
+        }
+    }
+    
     /**
      * Retry failed batch with exponential backoff
+     * Throws the last error once retries are exhausted, or `error` when no retries are allowed
      */
-    async retryBatch(batch, batchNumber) {
-        const maxRetries = this.config.get('plugin.maxRetries');
+    async retryBatch(batch, batchNumber, send = documents => this.uploadBatch(documents), error = null) {
+        const maxRetries = this.config.get('plugin.maxRetries') || 0;
         const baseDelay = this.config.get('plugin.retryDelay');
+        const cancellation = this.uploadCancellation.signal;
+        
+        if (maxRetries < 1) {
+            logger.error(`Retries are disabled, batch ${batchNumber} failed`);
+            throw error || new Error(`Batch ${batchNumber} failed`);
+        }
         
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
                 logger.info(`Retrying batch ${batchNumber}, attempt ${attempt}/${maxRetries}`);
                 
-                await this.delay(baseDelay * Math.pow(2, attempt - 1));
-                await this.uploadBatch(batch);
-                
-                logger.info(`Batch ${batchNumber} uploaded successfully on retry ${attempt}`);
-                return;
+                await this.delay(baseDelay * Math.pow(2, attempt - 1), cancellation);
+                cancellation.throwIfAborted();
+                const response = await send(batch);
                 
+                logger.info(`Batch ${batchNumber} succeeded on retry ${attempt}`);
+                return response;
+            
             } catch (error) {
+                if (cancellation.aborted) {
+                    throw error;
+                }
                 logger.error(`Retry ${attempt} failed for batch ${batchNumber}:`, error);
                 
                 if (attempt === maxRetries) {
@@ -202,10 +1234,10 @@ class PluginManager {
     }
     
     /**
-     * Utility method for delays
+     * Utility method for delays, ending early when `signal` aborts
      */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    delay(ms, signal = null) {
+        return sleep(ms, signal);
     }
 }
 
@@ -0,0 +1,116 @@
+/**
+ * Connector registry for Amazon Q Business Custom Plugin
+ * Maps each `dataSource.type` to the connector class that handles it
+ *
+ * Third-party connectors are modules, named by package or path in `dataSource.connectorModules`,
+ * that export a connector class (usually extending BaseConnector) with a static `type`.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const { problem } = require('../config/schema');
+const DataSourceConnector = require('./dataSourceConnector');
+const FilesystemConnector = require('./filesystemConnector');
+const S3Connector = require('./s3Connector');
+const SqlConnector = require('./sqlConnector');
+
+const connectors = new Map();
+
+/**
+ * Register a connector class for a data source type, replacing any registered before
+ */
+function registerConnector(type, Connector) {
+    if (!type || typeof type !== 'string') {
+        throw new Error('Connector type must be a non-empty string');
+    }
+    if (typeof Connector !== 'function') {
+        throw new Error(`Connector for type ${type} must be a class`);
+    }
+    
+    connectors.set(type, Connector);
+}
+
+/**
+ * Get the registered data source types
+ */
+function getConnectorTypes() {
+    return [...connectors.keys()];
+}
+
+/**
+ * Load a connector module by package name or path, and register the class it exports
+ * Paths (starting with `.` or `/`) are resolved from the working directory
+ */
+function loadConnectorModule(spec) {
+    const isPath = spec.startsWith('.') || path.isAbsolute(spec);
+    const resolved = isPath ?
+        path.resolve(spec) :
+        require.resolve(spec, { paths: [process.cwd(), __dirname] });
+    const Connector = require(resolved);
+    
+    if (typeof Connector !== 'function' || typeof Connector.type !== 'string') {
+        throw new Error(`Connector module ${spec} must export a connector class with a static type`);
+    }
+    
+    registerConnector(Connector.type, Connector);
+    logger.debug(`Registered ${Connector.type} connector from ${spec}`);
+    return Connector.type;
+}
+
+/**
+ * Load every module in `dataSource.connectorModules`
+ */
+function loadConnectorModules(config) {
+    for (const spec of config.get('dataSource.connectorModules') || []) {
+        loadConnectorModule(spec);
+    }
+}
+
+/**
+ * Check that the connector modules load and `dataSource.type` names a registered connector
+ */
+function validateConnectorConfig(config) {
+    try {
+        loadConnectorModules(config);
+    } catch (error) {
+        return [problem('dataSource.connectorModules', 'invalid', `could not be loaded: ${error.message}`)];
+    }
+    
+    const type = config.get('dataSource.type');
+    
+    if (!connectors.has(type)) {
+        return [problem('dataSource.type', 'enum',
+            `must be one of ${getConnectorTypes().join(', ')}, got ${JSON.stringify(type)}`)];
+    }
+    
+    return [];
+}
+
+/**
+ * Create the connector selected by `dataSource.type`
+ */
+function createConnector(config) {
+    loadConnectorModules(config);
+    
+    const type = config.get('dataSource.type') || 'api';
+    const Connector = connectors.get(type);
+    
+    if (!Connector) {
+        throw new Error(`Unknown data source type: ${type} (available: ${getConnectorTypes().join(', ')})`);
+    }
+    
+    return new Connector(config);
+}
+
+registerConnector('api', DataSourceConnector);
+registerConnector('filesystem', FilesystemConnector);
+registerConnector('s3', S3Connector);
+registerConnector('sql', SqlConnector);
+
+module.exports = {
+    registerConnector,
+    getConnectorTypes,
+    loadConnectorModule,
+    validateConnectorConfig,
+    createConnector
+};
@@ -0,0 +1,324 @@
+/**
+ * S3 Connector for Amazon Q Business Custom Plugin
+ * Indexes the objects under an S3 bucket and prefix
+ * Registered as the `s3` data source type
+ *
+ * Each object becomes a record with its key, size, ETag, last modified time, user metadata and tags;
+ * its bytes are downloaded through `fetchContent()` when the document is transformed.
+ * `s3Source.endpoint` points the client at an S3-compatible server such as MinIO or LocalStack.
+ */
+
+const {
+    S3Client,
+    ListObjectsV2Command,
+    HeadObjectCommand,
+    GetObjectTaggingCommand,
+    GetObjectCommand,
+    HeadBucketCommand
+} = require('@aws-sdk/client-s3');
+const logger = require('../utils/logger');
+const BaseConnector = require('./baseConnector');
+const { TaskPool } = require('../utils/concurrency');
+const { createMatcher } = require('../utils/glob');
+
+const DEFAULT_MAPPING = {
+    fields: {
+        id: { path: 'url' },
+        title: { path: 'name' },
+        sourceUri: { path: 'url' },
+        contentUrl: { path: 'contentUrl' },
+        updatedAt: { path: 'lastModified' }
+    },
+    attributes: {
+        key: { path: 'key' },
+        size: { path: 'size', type: 'number' },
+        lastModified: { path: 'lastModified', type: 'date' },
+        etag: { path: 'etag' },
+        'metadata_*': { path: 'metadata.*' },
+        'tag_*': { path: 'tags.*' }
+    }
+};
+
+class S3Connector extends BaseConnector {
+    constructor(config, client = null) {
+        super(config);
+        this.bucket = config.get('s3Source.bucket');
+        this.prefix = config.get('s3Source.prefix') || '';
+        this.include = config.get('s3Source.include') || [];
+        this.isIncludedKey = createMatcher(this.include);
+        this.isExcludedKey = createMatcher(config.get('s3Source.exclude') || []);
+        this.fetchMetadata = config.get('s3Source.fetchMetadata') !== false;
+        this.fetchTags = config.get('s3Source.fetchTags') !== false;
+        this.pageSize = Math.min(config.get('pagination.pageSize') || 100, 1000);
+        this.concurrency = config.get('dataSource.fetchConcurrency') || 1;
+        
+        const endpoint = config.get('s3Source.endpoint');
+        
+        this.client = client || new S3Client({
+            region: config.get('s3Source.region') || config.get('aws.region'),
+            ...(endpoint && { endpoint }),
+            forcePathStyle: Boolean(config.get('s3Source.forcePathStyle'))
+        });
+        
+        // Incremental runs list the whole prefix, so deleted objects are found without tombstones
+        this.reportsUnchanged = true;
+    }
+    
+    getDefaultMapping() {
+        return DEFAULT_MAPPING;
+    }
+    
+    /**
+     * Check that the bucket exists and is accessible
+     */
+    async testConnection() {
+        try {
+            await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+            
+            logger.info('Connection test successful');
+            return true;
+        
+        } catch (error) {
+            logger.error('Connection test failed:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Iterate over every included object, one listing page of records at a time
+     * The position after each page is the last key listed
+     */
+    async *iterateDocuments({ onPosition = null, resumeFrom = null } = {}) {
+        for await (const { objects, position } of this.listObjects(resumeFrom)) {
+            const records = await this.describeObjects(objects);
+            
+            if (records.length > 0) {
+                onPosition?.(position);
+                yield records;
+            }
+        }
+    }
+    
+    /**
+     * Iterate over the objects modified since the last sync, reporting the others as unchanged
+     * S3 reports LastModified in whole seconds, so objects from the watermark's second are listed again;
+     * their ETag and content keep the fingerprint unchanged, so they are not uploaded twice.
+     */
+    async *iterateChanges(lastSyncTime, { onPosition = null, resumeFrom = null } = {}) {
+        logger.info(`Fetching objects changed since: ${lastSyncTime}`);
+        
+        const since = Math.floor(Date.parse(lastSyncTime) / 1000) * 1000;
+        
+        for await (const { objects, position } of this.listObjects(resumeFrom)) {
+            const changed = objects.filter(object => new Date(object.LastModified).getTime() >= since);
+            const unchanged = objects.filter(object => !changed.includes(object));
+            const documents = await this.describeObjects(changed);
+            
+            if (documents.length > 0 || unchanged.length > 0) {
+                onPosition?.(position);
+                yield { documents, deletions: [], unchanged: unchanged.map(object => this.describeListing(object)) };
+            }
+        }
+    }
+    
+    /**
+     * Get documents changed since the last sync
+     */
+    async fetchIncremental(lastSyncTime) {
+        const documents = [];
+        
+        for await (const page of this.iterateChanges(lastSyncTime)) {
+            documents.push(...page.documents);
+        }
+        
+        return documents;
+    }
+    
+    /**
+     * Fetch the record of a single object by key or `s3://` URL
+     */
+    async fetchById(id) {
+        const { bucket, key } = id.startsWith('s3://') ? parseS3Url(id) : { bucket: this.bucket, key: id };
+        
+        if (bucket !== this.bucket) {
+            throw new Error(`${id} is not in the configured bucket ${this.bucket}`);
+        }
+        
+        const head = await this.client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        
+        return this.describeObject({
+            Key: key,
+            Size: head.ContentLength,
+            ETag: head.ETag,
+            LastModified: head.LastModified,
+            StorageClass: head.StorageClass
+        }, head);
+    }
+    
+    /**
+     * Download an object's bytes; its stored Content-Type is passed on for content type detection
+     */
+    async fetchContent(url, { signal = null } = {}) {
+        try {
+            const { bucket, key } = parseS3Url(url);
+            const response = await this.client.send(new GetObjectCommand({ Bucket: bucket, Key: key }), {
+                abortSignal: signal || undefined
+            });
+            
+            return {
+                data: Buffer.from(await response.Body.transformToByteArray()),
+                contentType: response.ContentType
+            };
+        
+        } catch (error) {
+            // Downloads cancelled on shutdown are reported by the caller
+            if (error.name !== 'AbortError') {
+                logger.error(`Failed to download object ${url}:`, error);
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * List the included objects under the prefix, yielding each page of the listing as `{ objects, position }`
+     * The position is the last key listed, which `startAfter` continues from, or null on the last page.
+     * A repeated continuation token fails the listing, so a runaway listing is never taken as complete.
+     */
+    async *listObjects(startAfter = null) {
+        const tokens = new Set();
+        let token;
+        
+        try {
+            do {
+                const response = await this.client.send(new ListObjectsV2Command({
+                    Bucket: this.bucket,
+                    Prefix: this.prefix || undefined,
+                    MaxKeys: this.pageSize,
+                    ContinuationToken: token,
+                    // Only the first request starts after a key; later ones follow the continuation token
+                    StartAfter: token ? undefined : startAfter || undefined
+                }));
+                const contents = response.Contents || [];
+                
+                token = response.IsTruncated ? response.NextContinuationToken : undefined;
+                
+                yield {
+                    objects: contents.filter(object => !object.Key.endsWith('/') && this.isIncluded(object.Key)),
+                    position: response.IsTruncated && contents.length > 0 ? contents[contents.length - 1].Key : null
+                };
+                
+                if (response.IsTruncated && !token) {
+                    throw new Error('S3 listing was truncated without a continuation token');
+                }
+                if (token) {
+                    if (tokens.has(token)) {
+                        throw new Error(`S3 listing repeated continuation token ${token}`);
+                    }
+                    tokens.add(token);
+                }
+            } while (token);
+        
+        } catch (error) {
+            logger.error(`Failed to list s3://${this.bucket}/${this.prefix}:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Check whether a key passes the include and exclude globs, matched relative to the prefix
+     */
+    isIncluded(key) {
+        const relativeKey = key.slice(this.prefix.length).replace(/^\/+/, '');
+        return (this.include.length === 0 || this.isIncludedKey(relativeKey)) && !this.isExcludedKey(relativeKey);
+    }
+    
+    /**
+     * Describe listed objects with their metadata and tags, up to `dataSource.fetchConcurrency` at once
+     * Objects deleted since they were listed are left out
+     */
+    async describeObjects(objects) {
+        const records = new Array(objects.length);
+        const pool = new TaskPool(this.concurrency);
+        
+        for (const [index, object] of objects.entries()) {
+            await pool.submit(async () => {
+                records[index] = await this.describeObject(object);
+            });
+        }
+        await pool.drain();
+        
+        return records.filter(Boolean);
+    }
+    
+    /**
+     * Build the record for an object, reading its metadata and tags as configured
+     * Returns null when the object no longer exists
+     */
+    async describeObject(object, head = null) {
+        const record = this.describeListing(object);
+        
+        try {
+            if (this.fetchMetadata) {
+                head = head || await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: object.Key }));
+                record.contentType = head.ContentType;
+                record.metadata = head.Metadata || {};
+            }
+            
+            if (this.fetchTags) {
+                const { TagSet = [] } = await this.client.send(new GetObjectTaggingCommand({
+                    Bucket: this.bucket,
+                    Key: object.Key
+                }));
+                record.tags = Object.fromEntries(TagSet.map(tag => [tag.Key, tag.Value]));
+            }
+        } catch (error) {
+            if (isNotFound(error)) {
+                logger.debug(`Skipping s3://${this.bucket}/${object.Key}: deleted while listing`);
+                return null;
+            }
+            throw error;
+        }
+        
+        return record;
+    }
+    
+    /**
+     * Build the record for an object from its listing entry alone
+     */
+    describeListing(object) {
+        const url = `s3://${this.bucket}/${object.Key}`;
+        
+        return {
+            key: object.Key,
+            bucket: this.bucket,
+            name: object.Key.split('/').pop(),
+            url,
+            contentUrl: url,
+            size: object.Size,
+            etag: object.ETag ? object.ETag.replace(/"/g, '') : undefined,
+            lastModified: object.LastModified ? new Date(object.LastModified).toISOString() : undefined,
+            storageClass: object.StorageClass
+        };
+    }
+}
+
+/**
+ * Split an `s3://bucket/key` URL into its bucket and key
+ */
+function parseS3Url(url) {
+    const match = /^s3:\/\/([^/]+)\/(.+)$/.exec(url);
+    
+    if (!match) {
+        throw new Error(`Invalid S3 URL: ${url}`);
+    }
+    
+    return { bucket: match[1], key: match[2] };
+}
+
+function isNotFound(error) {
+    return error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+}
+
+S3Connector.DEFAULT_MAPPING = DEFAULT_MAPPING;
+
+module.exports = S3Connector;
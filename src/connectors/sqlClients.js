@@ -0,0 +1,169 @@
+/**
+ * SQL clients for Amazon Q Business Custom Plugin
+ * Adapt the Postgres, MySQL and SQLite drivers to the few operations the SQL connector needs
+ *
+ * A client implements `query(sql, params)`, resolving to an array of row objects, and `close()`.
+ * It connects on the first query, and builds dialect-specific SQL through `quote(name)`,
+ * `placeholder(index)` (1-based) and `newerThan(column, placeholder)`.
+ * Drivers are optional dependencies, loaded only when their client is used.
+ */
+
+/**
+ * Load a database driver, explaining how to install it when it is missing
+ */
+function loadDriver(client, packageName) {
+    try {
+        return require(packageName);
+    } catch (error) {
+        if (error.code === 'MODULE_NOT_FOUND') {
+            throw new Error(`The ${client} SQL client requires the ${packageName} package: npm install ${packageName}`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Postgres through `pg`; the connection is a `postgres://` URL
+ */
+class PostgresClient {
+    constructor(connection) {
+        this.connection = connection;
+        this.client = null;
+    }
+    
+    quote(name) {
+        return `"${name.replace(/"/g, '""')}"`;
+    }
+    
+    placeholder(index) {
+        return `$${index}`;
+    }
+    
+    newerThan(column, placeholder) {
+        return `${column} > ${placeholder}`;
+    }
+    
+    async query(sql, params = []) {
+        if (!this.client) {
+            const { Client } = loadDriver('postgres', 'pg');
+            this.client = new Client({ connectionString: this.connection });
+            await this.client.connect();
+        }
+        
+        const { rows } = await this.client.query(sql, params);
+        return rows;
+    }
+    
+    async close() {
+        if (this.client) {
+            await this.client.end();
+            this.client = null;
+        }
+    }
+}
+
+/**
+ * MySQL and MariaDB through `mysql2`; the connection is a `mysql://` URL
+ */
+class MysqlClient {
+    constructor(connection) {
+        this.connection = connection;
+        this.client = null;
+    }
+    
+    quote(name) {
+        return `\`${name.replace(/`/g, '``')}\``;
+    }
+    
+    placeholder() {
+        return '?';
+    }
+    
+    newerThan(column, placeholder) {
+        return `${column} > ${placeholder}`;
+    }
+    
+    async query(sql, params = []) {
+        if (!this.client) {
+            const mysql = loadDriver('mysql', 'mysql2/promise');
+            this.client = await mysql.createConnection(this.connection);
+        }
+        
+        const [rows] = await this.client.query(sql, params);
+        return rows;
+    }
+    
+    async close() {
+        if (this.client) {
+            await this.client.end();
+            this.client = null;
+        }
+    }
+}
+
+/**
+ * SQLite through `better-sqlite3`; the connection is the database file, opened read-only
+ */
+class SqliteClient {
+    constructor(connection) {
+        this.connection = connection;
+        this.database = null;
+    }
+    
+    quote(name) {
+        return `"${name.replace(/"/g, '""')}"`;
+    }
+    
+    placeholder() {
+        return '?';
+    }
+    
+    // SQLite stores timestamps as text in several formats; julianday() compares them as instants
+    newerThan(column, placeholder) {
+        return `julianday(${column}) > julianday(${placeholder})`;
+    }
+    
+    async query(sql, params = []) {
+        if (!this.database) {
+            const Database = loadDriver('sqlite', 'better-sqlite3');
+            this.database = new Database(this.connection, { readonly: true, fileMustExist: true });
+        }
+        
+        return this.database.prepare(sql).all(...params.map(value => (
+            value instanceof Date ? value.toISOString() : value
+        )));
+    }
+    
+    async close() {
+        if (this.database) {
+            this.database.close();
+            this.database = null;
+        }
+    }
+}
+
+/**
+ * Create the client selected by `sql.client`
+ */
+function createSqlClient(config) {
+    const client = config.get('sql.client');
+    const connection = config.get('sql.connection');
+    
+    switch (client) {
+    case 'postgres':
+        return new PostgresClient(connection);
+    case 'mysql':
+        return new MysqlClient(connection);
+    case 'sqlite':
+        return new SqliteClient(connection);
+    default:
+        throw new Error(`Unknown SQL client: ${client}`);
+    }
+}
+
+module.exports = {
+    PostgresClient,
+    MysqlClient,
+    SqliteClient,
+    createSqlClient
+};
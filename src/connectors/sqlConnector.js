@@ -0,0 +1,198 @@
+/**
+ * SQL Connector for Amazon Q Business Custom Plugin
+ * Indexes the rows returned by a configured query against Postgres, MySQL or SQLite
+ * Registered as the `sql` data source type
+ *
+ * The query is wrapped as a subquery and read with keyset pagination on `sql.keyColumn`:
+ * each page asks for the rows whose key is greater than the last one seen, so pages stay
+ * consistent while rows are inserted and cost the same however deep the listing goes.
+ * Columns become record fields, mapped to documents by the field mapping.
+ */
+
+const logger = require('../utils/logger');
+const BaseConnector = require('./baseConnector');
+const { createSqlClient } = require('./sqlClients');
+
+class SqlConnector extends BaseConnector {
+    constructor(config, createClient = createSqlClient) {
+        super(config);
+        this.query = (config.get('sql.query') || '').trim().replace(/;\s*$/, '');
+        this.keyColumn = config.get('sql.keyColumn') || 'id';
+        this.updatedAtColumn = config.get('sql.updatedAtColumn') || 'updated_at';
+        this.pageSize = config.get('pagination.pageSize') || 100;
+        this.createClient = () => createClient(config);
+    }
+    
+    /**
+     * Rows are identified by their key column and dated by their updated_at column
+     */
+    getDefaultMapping() {
+        return {
+            fields: {
+                id: { path: this.keyColumn },
+                updatedAt: { path: this.updatedAtColumn, type: 'date' }
+            }
+        };
+    }
+    
+    /**
+     * Check that the database is reachable and the query runs
+     */
+    async testConnection() {
+        const client = this.createClient();
+        
+        try {
+            await client.query(...this.buildQuery(client, { limit: 1 }));
+            
+            logger.info('Connection test successful');
+            return true;
+        
+        } catch (error) {
+            logger.error('Connection test failed:', error);
+            return false;
+        } finally {
+            await client.close();
+        }
+    }
+    
+    /**
+     * Iterate over every row of the query one page at a time
+     * The position after each page is the last key read
+     */
+    async *iterateDocuments({ onPosition = null, resumeFrom = null } = {}) {
+        yield* this.queryPages(null, { onPosition, resumeFrom });
+    }
+    
+    /**
+     * Iterate over the rows updated since the last sync
+     * Deleted rows leave nothing to list, so they are removed by the next full sync
+     */
+    async *iterateChanges(lastSyncTime, { onPosition = null, resumeFrom = null } = {}) {
+        logger.info(`Fetching rows updated since: ${lastSyncTime}`);
+        
+        for await (const documents of this.queryPages(new Date(lastSyncTime), { onPosition, resumeFrom })) {
+            yield { documents, deletions: [] };
+        }
+    }
+    
+    /**
+     * Get rows updated since the last sync
+     */
+    async fetchIncremental(lastSyncTime) {
+        const documents = [];
+        
+        for await (const page of this.iterateChanges(lastSyncTime)) {
+            documents.push(...page.documents);
+        }
+        
+        return documents;
+    }
+    
+    /**
+     * Fetch a single row by its key
+     */
+    async fetchById(id) {
+        const client = this.createClient();
+        
+        try {
+            const [row] = await client.query(...this.buildQuery(client, { key: id, limit: 1 }));
+            
+            if (!row) {
+                throw new Error(`No row with ${this.keyColumn} ${id}`);
+            }
+            return normalizeRow(row);
+        
+        } catch (error) {
+            logger.error(`Failed to fetch row ${id}:`, error);
+            throw error;
+        } finally {
+            await client.close();
+        }
+    }
+    
+    /**
+     * Query the rows in key order, one page at a time, on a connection held for the whole listing
+     * When `since` is set only rows updated after it are listed; `resumeFrom` continues after a key.
+     * `onPosition` receives the last key of each page, or null on the last page.
+     */
+    async *queryPages(since = null, { onPosition = null, resumeFrom = null } = {}) {
+        const client = this.createClient();
+        let after = resumeFrom ?? undefined;
+        
+        try {
+            for (;;) {
+                const rows = await client.query(...this.buildQuery(client, { since, after, limit: this.pageSize }));
+                
+                if (rows.length === 0) {
+                    return;
+                }
+                
+                const last = rows[rows.length - 1][this.keyColumn];
+                
+                if (last === undefined || last === null) {
+                    throw new Error(`The SQL query must return a non-null ${this.keyColumn} column for keyset pagination`);
+                }
+                
+                onPosition?.(rows.length < this.pageSize ? null : last);
+                yield rows.map(normalizeRow);
+                
+                if (rows.length < this.pageSize) {
+                    return;
+                }
+                after = last;
+            }
+        
+        } catch (error) {
+            logger.error('Failed to query the SQL data source:', error);
+            throw error;
+        } finally {
+            await client.close();
+        }
+    }
+    
+    /**
+     * Build the page query and its parameters for a client's dialect
+     * Returns `[sql, params]`; `key` selects a single row, `after` continues after a key
+     */
+    buildQuery(client, { since = null, after, key, limit }) {
+        const keyColumn = client.quote(this.keyColumn);
+        const conditions = [];
+        const params = [];
+        const bind = (value) => {
+            params.push(value);
+            return client.placeholder(params.length);
+        };
+        
+        if (since) {
+            conditions.push(client.newerThan(client.quote(this.updatedAtColumn), bind(since)));
+        }
+        if (key !== undefined) {
+            conditions.push(`${keyColumn} = ${bind(key)}`);
+        }
+        if (after !== undefined) {
+            conditions.push(`${keyColumn} > ${bind(after)}`);
+        }
+        
+        const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+        
+        return [
+            `SELECT * FROM (${this.query}) AS source${where} ORDER BY ${keyColumn} LIMIT ${bind(limit)}`,
+            params
+        ];
+    }
+}
+
+/**
+ * Copy a row into a plain record, with dates as ISO strings
+ */
+function normalizeRow(row) {
+    const record = {};
+    
+    for (const [column, value] of Object.entries(row)) {
+        record[column] = value instanceof Date ? value.toISOString() : value;
+    }
+    
+    return record;
+}
+
+module.exports = SqlConnector;
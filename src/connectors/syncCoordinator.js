@@ -0,0 +1,214 @@
+/**
+ * Sync Coordinator for Amazon Q Business Custom Plugin
+ * Runs every configured data source with its own PluginManager, one after another,
+ * so a failing source doesn't stop the others, and reports how each one fared
+ *
+ * Each source runs under a lock file in its state directory, so a second process on the same
+ * host skips a source that is already syncing instead of running it twice at once.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const PluginManager = require('./pluginManager');
+const FileLock = require('../state/fileLock');
+
+class SyncCoordinator {
+    constructor(config, { createManager = sourceConfig => new PluginManager(sourceConfig) } = {}) {
+        this.config = config;
+        this.createManager = createManager;
+    }
+    
+    /**
+     * Get the data sources to run as `{ name, config }`, optionally only those named
+     * Without `sources` in the config file, the whole configuration is a single source
+     */
+    getSources(names = []) {
+        const configured = this.config.getSourceNames();
+        
+        if (configured.length === 0) {
+            const name = this.config.get('plugin.name');
+            if (names.some(selected => selected !== name)) {
+                throw new Error(`Unknown data source: ${names.join(', ')} (no sources are configured)`);
+            }
+            return [{ name, config: this.config }];
+        }
+        
+        const unknown = names.filter(name => !configured.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown data source: ${unknown.join(', ')} (configured: ${configured.join(', ')})`);
+        }
+        
+        return configured
+            .filter(name => names.length === 0 || names.includes(name))
+            .map(name => ({ name, config: this.config.forSource(name) }));
+    }
+    
+    /**
+     * Run a command (`sync` or `replay-failures`) for each data source
+     * `mode` overrides each source's `dataSource.syncMode`; with `dueOnly`, sources synced less than
+     * `dataSource.syncInterval` ago are skipped; with `resume`, each sync continues from its source's
+     * last checkpoint. Once `signal` aborts, the running source finishes its queued batches and the
+     * remaining sources don't start. Returns one result per source that ran.
+     */
+    async run({ command = 'sync', mode = null, sources = [], dueOnly = false, resume, signal } = {}) {
+        const results = [];
+        
+        for (const source of this.getSources(sources)) {
+            if (signal?.aborted) {
+                logger.warn(`Shutting down, not starting data source ${source.name}`);
+                break;
+            }
+            results.push(await this.runSource(source, { command, mode, dueOnly, resume, signal }));
+        }
+        
+        this.logSummary(results);
+        return results;
+    }
+    
+    /**
+     * Run one data source, turning any failure into a `failed` result
+     * Status is `succeeded`, `partial` (some documents failed), `interrupted` (stopped by `signal`),
+     * `failed` or `skipped` (not due, or already running elsewhere; see `reason`)
+     */
+    async runSource({ name, config }, { command = 'sync', mode = null, dueOnly = false, resume, signal } = {}) {
+        const startedAt = Date.now();
+        const result = { source: name, status: 'succeeded', summary: null, error: null, reason: null, durationMs: 0 };
+        let lock = null;
+        
+        try {
+            // The top-level configuration is resolved and validated by the caller
+            if (config !== this.config) {
+                await config.resolveSecrets();
+                
+                if (!config.validate()) {
+                    throw new Error('Configuration is invalid');
+                }
+            }
+            
+            lock = new FileLock(this.getLockPath(name, config));
+            
+            if (!(await lock.acquire())) {
+                const { pid, hostname } = lock.holder || {};
+                logger.warn(`Data source ${name} is already running (process ${pid} on ${hostname}), skipping`);
+                result.status = 'skipped';
+                result.reason = `already running in process ${pid} on ${hostname}`;
+                return result;
+            }
+            
+            const manager = this.createManager(config);
+            
+            if (dueOnly && !(await this.isDue(manager, config))) {
+                logger.info(`Data source ${name} is not due yet, skipping`);
+                result.status = 'skipped';
+                result.reason = 'not due';
+                return result;
+            }
+            
+            logger.info(`Running ${command} for data source ${name}...`);
+            
+            if (command === 'replay-failures') {
+                result.summary = await manager.replayFailures();
+            } else {
+                const syncMode = mode || config.get('dataSource.syncMode');
+                
+                result.summary = await manager.sync({
+                    mode: syncMode === 'auto' ? await this.chooseMode(manager, config) : syncMode,
+                    resume,
+                    signal
+                });
+            }
+            
+            if (result.summary.interrupted) {
+                result.status = 'interrupted';
+            } else if (result.summary.failedDocuments > 0 || result.summary.failedDeletions > 0 ||
+                result.summary.refusedDeletions > 0) {
+                result.status = 'partial';
+            }
+            
+            return result;
+        
+        } catch (error) {
+            logger.error(`Data source ${name} failed:`, error);
+            result.status = 'failed';
+            result.error = error.message;
+            return result;
+        
+        } finally {
+            if (lock) {
+                await lock.release();
+            }
+            result.durationMs = Date.now() - startedAt;
+        }
+    }
+    
+    /**
+     * Path of the lock file held while a data source runs
+     */
+    getLockPath(name, config) {
+        const directory = config.get('state.directory') || '.state';
+        return path.join(directory, 'locks', `${name.replace(/[^A-Za-z0-9._-]/g, '_')}.lock`);
+    }
+    
+    /**
+     * Check whether a data source's last successful sync is at least `dataSource.syncInterval` old
+     */
+    async isDue(manager, config, now = Date.now()) {
+        const { lastSyncTime } = await manager.loadSyncState();
+        return !lastSyncTime || now - Date.parse(lastSyncTime) >= config.get('dataSource.syncInterval');
+    }
+    
+    /**
+     * Pick the mode for the `auto` sync mode: a full sync when the last one is at least
+     * `schedule.fullSyncInterval` old (0 never repeats it), an incremental one otherwise
+     */
+    async chooseMode(manager, config, now = Date.now()) {
+        const { lastFullSyncTime } = await manager.loadSyncState();
+        const interval = config.get('schedule.fullSyncInterval');
+        
+        if (!lastFullSyncTime || (interval > 0 && now - Date.parse(lastFullSyncTime) >= interval)) {
+            return 'full';
+        }
+        return 'incremental';
+    }
+    
+    /**
+     * Log one line per data source
+     */
+    logSummary(results) {
+        logger.info(`Summary for ${results.length} data source(s):`);
+        
+        for (const result of results) {
+            const line = `  ${result.source}: ${describeResult(result)}`;
+            
+            if (result.status === 'failed') {
+                logger.error(line);
+            } else if (result.status === 'partial' || result.status === 'interrupted') {
+                logger.warn(line);
+            } else {
+                logger.info(line);
+            }
+        }
+    }
+}
+
+function describeResult({ status, summary, error, reason, durationMs }) {
+    const duration = `${(durationMs / 1000).toFixed(1)}s`;
+    
+    switch (status) {
+    case 'failed':
+        return `failed after ${duration}: ${error}`;
+    case 'skipped':
+        return `skipped, ${reason}`;
+    default:
+        if (summary.replayed !== undefined) {
+            return `${status} in ${duration}: ${summary.replayed} replayed, ` +
+                `${summary.failedDocuments} failed, ${summary.failedDeletions} deletions failed`;
+        }
+        return `${status} in ${duration}: ${summary.mode}${summary.resumed ? ' (resumed)' : ''}, ` +
+            `${summary.documents} documents ` +
+            `(${summary.new} new, ${summary.changed} changed, ${summary.deleted} deleted), ` +
+            `${summary.failedDocuments} failed, ${summary.failedDeletions} deletions failed`;
+    }
+}
+
+module.exports = SyncCoordinator;
@@ -0,0 +1,73 @@
+/**
+ * Sync Daemon for Amazon Q Business Custom Plugin
+ * Keeps the plugin running and syncs the data sources on a schedule
+ *
+ * With `schedule.cron` set, every selected source syncs each time the expression fires; the cron is
+ * shared by all sources, and configuration validation rejects one set on a single source.
+ * Otherwise the daemon checks the sources at once, and again the shortest `dataSource.syncInterval`
+ * after each check ends, syncing those whose last successful sync is at least their interval old.
+ * Sources run in the `auto` mode by default: incremental, with a full reconciliation every
+ * `schedule.fullSyncInterval`. Aborting `signal` lets the running sync finish its queued batches,
+ * then stops the daemon.
+ */
+
+const logger = require('../utils/logger');
+const { CronSchedule } = require('../utils/cron');
+const { sleep } = require('../utils/concurrency');
+const SyncCoordinator = require('./syncCoordinator');
+
+const MAX_TIMER_DELAY = 2147483647;
+
+class SyncDaemon {
+    constructor(config, { coordinator = new SyncCoordinator(config) } = {}) {
+        this.config = config;
+        this.coordinator = coordinator;
+    }
+    
+    /**
+     * Sync on schedule until `signal` aborts
+     * Resolves to the results of the last run, empty when none ran
+     */
+    async run({ mode = 'auto', sources = [], signal } = {}) {
+        const cron = this.config.get('schedule.cron');
+        const schedule = cron ? new CronSchedule(cron) : null;
+        const interval = schedule ? null : this.getCheckInterval(sources);
+        let nextRun = schedule ? schedule.next() : new Date();
+        let results = [];
+        
+        logger.info(schedule
+            ? `Sync daemon started, syncing on "${cron}"`
+            : `Sync daemon started, checking for due data sources every ${interval / 1000}s`);
+        
+        while (!signal?.aborted) {
+            logger.info(`Next sync at ${nextRun.toISOString()}`);
+            
+            // Timers can't wait longer than about 24 days, so long waits are slept in steps
+            while (!signal?.aborted && Date.now() < nextRun.getTime()) {
+                await sleep(Math.min(nextRun.getTime() - Date.now(), MAX_TIMER_DELAY), signal);
+            }
+            
+            if (signal?.aborted) {
+                break;
+            }
+            
+            results = await this.coordinator.run({ command: 'sync', mode, sources, dueOnly: !schedule, signal });
+            
+            // A run that overlaps scheduled times skips them rather than running back to back.
+            // Due checks count from the end of the run, after the watermarks of the sources it synced.
+            nextRun = schedule ? schedule.next(new Date()) : new Date(Date.now() + interval);
+        }
+        
+        logger.info('Sync daemon stopped');
+        return results;
+    }
+    
+    /**
+     * Get how often to check for due sources: the shortest `dataSource.syncInterval` among them
+     */
+    getCheckInterval(names = []) {
+        return Math.min(...this.coordinator.getSources(names).map(({ config }) => config.get('dataSource.syncInterval')));
+    }
+}
+
+module.exports = SyncDaemon;
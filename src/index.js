@@ -8,46 +8,154 @@
 require('dotenv').config();
 const logger = require('./utils/logger');
 const config = require('./config/config');
-const PluginManager = require('./connectors/pluginManager');
+const SyncCoordinator = require('./connectors/syncCoordinator');
+const SyncDaemon = require('./connectors/syncDaemon');
 
-async function main() {
+const COMMANDS = ['sync', 'daemon', 'replay-failures', 'show-config'];
+
+// Exit code when a shutdown interrupted a sync (EX_TEMPFAIL), so supervisors can tell it from a failure
+const EXIT_INTERRUPTED = 75;
+
+// Extra time given after the upload shutdown timeout before the process is stopped regardless
+const SHUTDOWN_GRACE_PERIOD = 10000;
+
+// Aborted on SIGINT or SIGTERM so the running sync can finish its queued batches
+const shutdown = new AbortController();
+
+/**
+ * Parse command line arguments
+ * Supports a command (`sync` by default, `daemon`, `replay-failures` or `show-config`),
+ * `--mode=<full|incremental|auto>`, `--full`, `--incremental`, `--config=<file>`, `--profile=<name>`,
+ * `--source=<name>[,<name>]` (repeatable), `--due` and `--resume`
+ */
+function parseArgs(argv) {
+    const options = { command: 'sync', sources: [], due: false, resume: false };
+    
+    for (const arg of argv) {
+        if (COMMANDS.includes(arg)) {
+            options.command = arg;
+        } else if (arg === '--full' || arg === '--incremental') {
+            options.mode = arg.slice(2);
+        } else if (arg.startsWith('--mode=')) {
+            options.mode = arg.slice('--mode='.length);
+        } else if (arg.startsWith('--config=')) {
+            options.configFile = arg.slice('--config='.length);
+        } else if (arg.startsWith('--profile=')) {
+            options.profile = arg.slice('--profile='.length);
+        } else if (arg.startsWith('--source=')) {
+            options.sources.push(...arg.slice('--source='.length).split(',').map(name => name.trim()).filter(Boolean));
+        } else if (arg === '--due') {
+            options.due = true;
+        } else if (arg === '--resume') {
+            options.resume = true;
+        }
+    }
+    
+    return options;
+}
+
+async function main(argv = process.argv.slice(2)) {
     try {
         logger.info('Starting Amazon Q Business Custom Plugin...');
         
+        const options = parseArgs(argv);
+        
+        // Command line flags take precedence over CONFIG_FILE and CONFIG_PROFILE
+        if (options.configFile || options.profile) {
+            config.load({
+                file: options.configFile || process.env.CONFIG_FILE,
+                profile: options.profile || process.env.CONFIG_PROFILE
+            });
+        }
+        
+        if (options.command === 'show-config') {
+            // Print the effective configuration and where each value came from, then any problems
+            const shown = options.sources.length > 0 ? config.forSource(options.sources[0]) : config;
+            process.stdout.write(`${JSON.stringify(shown.getEffectiveConfig(), null, 2)}\n`);
+            if (!shown.validate()) {
+                process.exit(1);
+            }
+            return;
+        }
+        
+        // Resolve secret references (file:, env:, secretsmanager:) before anything uses them
+        await config.resolveSecrets();
+        
         // Validate configuration
         if (!config.validate()) {
             logger.error('Configuration validation failed');
             process.exit(1);
         }
         
-        // Initialize plugin manager
-        const pluginManager = new PluginManager(config);
+        const coordinator = new SyncCoordinator(config);
         
-        // Start the synchronization process
-        await pluginManager.sync();
+        if (options.command === 'daemon') {
+            // Keep syncing on schedule until SIGINT or SIGTERM
+            const results = await new SyncDaemon(config, { coordinator }).run({
+                mode: options.mode,
+                sources: options.sources,
+                signal: shutdown.signal
+            });
+            if (results.some(result => result.status === 'interrupted')) {
+                process.exit(EXIT_INTERRUPTED);
+            }
+            return;
+        }
         
-        logger.info('Plugin execution completed successfully');
+        // Sync each data source, or re-send documents from its dead-letter file;
+        // a failing source is reported without stopping the others
+        const results = await coordinator.run({
+            command: options.command,
+            mode: options.mode,
+            sources: options.sources,
+            dueOnly: options.due,
+            resume: options.resume,
+            signal: shutdown.signal
+        });
+        
+        const failed = results.filter(result => result.status === 'failed');
+        if (failed.length > 0) {
+            logger.error(`${failed.length} of ${results.length} data source(s) failed`);
+            process.exit(1);
+        }
         
+        if (shutdown.signal.aborted) {
+            logger.warn('Plugin stopped before finishing; the next sync picks up the remaining changes');
+            process.exit(EXIT_INTERRUPTED);
+        }
+        
+        logger.info('Plugin execution completed successfully');
+    
     } catch (error) {
         logger.error('Plugin execution failed:', error);
         process.exit(1);
     }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-    logger.info('Received SIGINT, shutting down gracefully...');
-    process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-    logger.info('Received SIGTERM, shutting down gracefully...');
-    process.exit(0);
-});
+// Handle graceful shutdown: the first signal stops fetching and gives the batches in flight
+// `plugin.shutdownTimeout` to finish, a second one exits at once
+function handleSignal(signal) {
+    if (shutdown.signal.aborted) {
+        logger.warn(`Received ${signal} again, exiting immediately`);
+        process.exit(EXIT_INTERRUPTED);
+    }
+    
+    logger.info(`Received ${signal}, shutting down gracefully after the batches in flight...`);
+    shutdown.abort();
+    
+    // Backstop in case something doesn't respond to the abort; doesn't keep the process alive itself
+    const timeout = (config.get('plugin.shutdownTimeout') ?? 30000) + SHUTDOWN_GRACE_PERIOD;
+    setTimeout(() => {
+        logger.error(`Shutdown did not finish within ${timeout}ms, exiting`);
+        process.exit(EXIT_INTERRUPTED);
+    }, timeout).unref();
+}
 
 // Run the main function
 if (require.main === module) {
+    process.on('SIGINT', () => handleSignal('SIGINT'));
+    process.on('SIGTERM', () => handleSignal('SIGTERM'));
     main();
 }
 
-module.exports = { main };
+module.exports = { main, parseArgs };
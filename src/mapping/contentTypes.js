@@ -0,0 +1,163 @@
+/**
+ * Content type detection for Amazon Q Business Custom Plugin
+ * Resolves MIME types, file extensions and content sniffing to Amazon Q Business content types
+ */
+
+const path = require('path');
+
+const DEFAULT_CONTENT_TYPE = 'PLAIN_TEXT';
+
+const CONTENT_TYPES = [
+    'PDF', 'HTML', 'MS_WORD', 'PLAIN_TEXT', 'PPT', 'RTF', 'XML', 'XSLT', 'MS_EXCEL', 'CSV', 'JSON', 'MD'
+];
+
+const MIME_TYPES = {
+    'application/pdf': 'PDF',
+    'text/html': 'HTML',
+    'application/xhtml+xml': 'HTML',
+    'application/msword': 'MS_WORD',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'MS_WORD',
+    'application/vnd.ms-excel': 'MS_EXCEL',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'MS_EXCEL',
+    'application/vnd.ms-powerpoint': 'PPT',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'PPT',
+    'text/plain': 'PLAIN_TEXT',
+    'text/markdown': 'MD',
+    'text/x-markdown': 'MD',
+    'application/json': 'JSON',
+    'text/csv': 'CSV',
+    'application/rtf': 'RTF',
+    'text/rtf': 'RTF',
+    'application/xml': 'XML',
+    'text/xml': 'XML',
+    'application/xslt+xml': 'XSLT'
+};
+
+const EXTENSIONS = {
+    '.pdf': 'PDF',
+    '.html': 'HTML',
+    '.htm': 'HTML',
+    '.doc': 'MS_WORD',
+    '.docx': 'MS_WORD',
+    '.xls': 'MS_EXCEL',
+    '.xlsx': 'MS_EXCEL',
+    '.ppt': 'PPT',
+    '.pptx': 'PPT',
+    '.txt': 'PLAIN_TEXT',
+    '.md': 'MD',
+    '.markdown': 'MD',
+    '.json': 'JSON',
+    '.csv': 'CSV',
+    '.rtf': 'RTF',
+    '.xml': 'XML',
+    '.xsl': 'XSLT',
+    '.xslt': 'XSLT'
+};
+
+/**
+ * Resolve a declared content type, MIME type or file extension, or null if unknown
+ */
+function resolveContentType(value) {
+    if (!value || typeof value !== 'string') {
+        return null;
+    }
+    
+    const normalized = value.trim();
+    
+    if (CONTENT_TYPES.includes(normalized.toUpperCase())) {
+        return normalized.toUpperCase();
+    }
+    
+    const mimeType = normalized.split(';')[0].trim().toLowerCase();
+    if (MIME_TYPES[mimeType]) {
+        return MIME_TYPES[mimeType];
+    }
+    
+    const extension = normalized.startsWith('.') ? normalized.toLowerCase() : `.${normalized.toLowerCase()}`;
+    return EXTENSIONS[extension] || null;
+}
+
+/**
+ * Resolve the content type from the extension of a file path or URL
+ */
+function contentTypeFromPath(uri) {
+    if (!uri || typeof uri !== 'string') {
+        return null;
+    }
+    
+    const pathname = uri.split(/[?#]/)[0];
+    return EXTENSIONS[path.extname(pathname).toLowerCase()] || null;
+}
+
+/**
+ * Sniff the content type from the leading bytes of a payload
+ */
+function sniffContentType(data) {
+    if (!data || data.length === 0) {
+        return null;
+    }
+    
+    const head = Buffer.from(data.subarray ? data.subarray(0, 512) : String(data).slice(0, 512));
+    
+    if (head.subarray(0, 5).toString('latin1') === '%PDF-') {
+        return 'PDF';
+    }
+    if (head.subarray(0, 5).toString('latin1') === '{\\rtf') {
+        return 'RTF';
+    }
+    if (head.subarray(0, 4).toString('latin1') === 'PK\x03\x04') {
+        return sniffOfficeOpenXml(data.subarray ? data : head);
+    }
+    
+    const text = head.toString('utf-8').trimStart().toLowerCase();
+    
+    if (text.startsWith('<!doctype html') || text.startsWith('<html')) {
+        return 'HTML';
+    }
+    if (text.startsWith('<?xml')) {
+        return 'XML';
+    }
+    
+    return null;
+}
+
+/**
+ * Tell Word, Excel and PowerPoint files apart by the part names in the first entries of their ZIP archive
+ * Other ZIP archives are not a supported content type
+ */
+function sniffOfficeOpenXml(data) {
+    const names = Buffer.from(data.subarray(0, 4096)).toString('latin1');
+    
+    if (names.includes('word/')) {
+        return 'MS_WORD';
+    }
+    if (names.includes('xl/')) {
+        return 'MS_EXCEL';
+    }
+    if (names.includes('ppt/')) {
+        return 'PPT';
+    }
+    
+    return null;
+}
+
+/**
+ * Detect the content type of a document
+ * Checks the declared type, then response headers, then the source path, then the content itself
+ */
+function detectContentType({ declared, headerContentType, uri, data } = {}) {
+    return resolveContentType(declared) ||
+        resolveContentType(headerContentType) ||
+        contentTypeFromPath(uri) ||
+        sniffContentType(data) ||
+        DEFAULT_CONTENT_TYPE;
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    DEFAULT_CONTENT_TYPE,
+    resolveContentType,
+    contentTypeFromPath,
+    sniffContentType,
+    detectContentType
+};
@@ -0,0 +1,178 @@
+/**
+ * Field Mapping for Amazon Q Business Custom Plugin
+ * Maps source records to document fields and attributes from a declarative definition
+ */
+
+const { getPath } = require('../utils/objectPath');
+
+const DEFAULT_MAPPING = {
+    fields: {
+        id: { path: 'id' },
+        title: { path: 'title', fallbacks: ['name'], default: 'Untitled' },
+        content: { path: 'content', fallbacks: ['body'], default: '' },
+        sourceUri: { path: 'url', fallbacks: ['source'], default: '' },
+        createdAt: { path: 'createdAt' },
+        updatedAt: { path: 'updatedAt' },
+        contentType: { path: 'contentType', fallbacks: ['mimeType'] },
+        contentUrl: { path: 'contentUrl', fallbacks: ['downloadUrl'] }
+    },
+    attributes: {
+        author: { path: 'author' },
+        category: { path: 'category' },
+        tags: { path: 'tags' }
+    },
+    staticAttributes: {}
+};
+
+const COERCIONS = {
+    string: value => (typeof value === 'object' ? JSON.stringify(value) : String(value)),
+    number: value => {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : undefined;
+    },
+    date: value => {
+        const date = new Date(typeof value === 'number' || /^\d+$/.test(value) ? Number(value) : value);
+        return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+    },
+    stringList: value => {
+        const list = Array.isArray(value) ? value : String(value).split(',');
+        return list
+            .map(item => String(item).trim())
+            .filter(item => item !== '');
+    }
+};
+
+/**
+ * Check whether a resolved value counts as missing
+ */
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+class FieldMapping {
+    constructor(definition = {}) {
+        this.fields = this.normalizeSection('fields', {
+            ...DEFAULT_MAPPING.fields,
+            ...definition.fields
+        });
+        this.attributes = this.normalizeSection('attributes', definition.attributes || DEFAULT_MAPPING.attributes);
+        this.staticAttributes = { ...DEFAULT_MAPPING.staticAttributes, ...definition.staticAttributes };
+    }
+    
+    /**
+     * Normalize and validate the specs of a mapping section
+     * A spec may be a path string or an object with path, fallbacks, default and type.
+     * An attribute such as `tag_*: tags.*` copies every entry of an object, named with the prefix.
+     */
+    normalizeSection(section, specs) {
+        const normalized = {};
+        
+        for (const [target, spec] of Object.entries(specs)) {
+            const rule = typeof spec === 'string' ? { path: spec } : { ...spec };
+            
+            if (!rule.path && rule.default === undefined) {
+                throw new Error(`Invalid field mapping for ${section}.${target}: a path or default is required`);
+            }
+            if (target.endsWith('*')) {
+                if (section !== 'attributes' || !rule.path?.endsWith('.*') || rule.fallbacks) {
+                    throw new Error(`Invalid field mapping for ${section}.${target}: ` +
+                        'only attributes can use *, with a single path ending in .*');
+                }
+                rule.prefix = target.slice(0, -1);
+                rule.path = rule.path.slice(0, -2);
+            }
+            if (rule.type && !COERCIONS[rule.type]) {
+                throw new Error(`Invalid field mapping for ${section}.${target}: unknown type ${rule.type}`);
+            }
+            
+            rule.paths = [rule.path, ...(rule.fallbacks || [])].filter(Boolean);
+            normalized[target] = rule;
+        }
+        
+        return normalized;
+    }
+    
+    /**
+     * Resolve a single rule against a source record
+     * The first non-empty path wins; values failing type coercion fall through to the default
+     */
+    resolve(rule, document) {
+        for (const path of rule.paths) {
+            let value = getPath(document, path);
+            
+            if (!isEmpty(value) && rule.type) {
+                value = COERCIONS[rule.type](value);
+            }
+            
+            if (!isEmpty(value)) {
+                return value;
+            }
+        }
+        
+        return rule.default;
+    }
+    
+    /**
+     * Map a source record to document fields (id, title, content, sourceUri, createdAt, updatedAt,
+     * contentType, contentUrl)
+     */
+    mapFields(document) {
+        const fields = {};
+        
+        for (const [target, rule] of Object.entries(this.fields)) {
+            fields[target] = this.resolve(rule, document);
+        }
+        
+        return fields;
+    }
+    
+    /**
+     * Map a source record to custom attributes, including static attributes
+     */
+    mapAttributes(document) {
+        const attributes = { ...this.staticAttributes };
+        
+        for (const [target, rule] of Object.entries(this.attributes)) {
+            if (rule.prefix !== undefined) {
+                Object.assign(attributes, this.spread(rule, document));
+                continue;
+            }
+            
+            const value = this.resolve(rule, document);
+            
+            if (!isEmpty(value)) {
+                attributes[target] = value;
+            }
+        }
+        
+        return attributes;
+    }
+    
+    /**
+     * Map every entry of the object at a wildcard rule's path to a prefixed attribute
+     * Characters not allowed in attribute names are replaced with `_`
+     */
+    spread(rule, document) {
+        const entries = getPath(document, rule.path);
+        const attributes = {};
+        
+        if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+            return attributes;
+        }
+        
+        for (const [key, raw] of Object.entries(entries)) {
+            const value = isEmpty(raw) || !rule.type ? raw : COERCIONS[rule.type](raw);
+            
+            if (!isEmpty(value)) {
+                attributes[`${rule.prefix}${key.replace(/[^A-Za-z0-9_-]/g, '_')}`] = value;
+            }
+        }
+        
+        return attributes;
+    }
+}
+
+FieldMapping.DEFAULT_MAPPING = DEFAULT_MAPPING;
+
+module.exports = FieldMapping;
@@ -0,0 +1,109 @@
+/**
+ * Dead-letter queue for Amazon Q Business Custom Plugin
+ * Records permanently failed documents in a JSON Lines file so they can be inspected and replayed
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class DeadLetterQueue {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this.claimedPath = `${this.filePath}.replaying`;
+    }
+    
+    /**
+     * Append failure entries to the dead-letter file
+     */
+    async add(entries) {
+        if (entries.length === 0) {
+            return;
+        }
+        
+        const lines = entries.map(entry => JSON.stringify({
+            failedAt: new Date().toISOString(),
+            ...entry,
+            ...(entry.document && { document: DeadLetterQueue.serializeDocument(entry.document) })
+        }));
+        
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.appendFile(this.filePath, `${lines.join('\n')}\n`);
+    }
+    
+    /**
+     * Read all entries currently in the dead-letter file
+     */
+    async readAll() {
+        return this.readFile(this.filePath);
+    }
+    
+    /**
+     * Claim all entries for replay, moving them out of the dead-letter file
+     * Entries left by an interrupted replay are claimed again; call `release()` once the replay finishes
+     */
+    async claim() {
+        const entries = [
+            ...await this.readFile(this.claimedPath),
+            ...await this.readFile(this.filePath)
+        ];
+        
+        if (entries.length > 0) {
+            await fs.promises.writeFile(this.claimedPath, `${entries.map(entry => JSON.stringify(entry)).join('\n')}\n`);
+            await fs.promises.rm(this.filePath, { force: true });
+        }
+        
+        return {
+            entries: entries.map(entry => ({
+                ...entry,
+                ...(entry.document && { document: DeadLetterQueue.deserializeDocument(entry.document) })
+            })),
+            release: () => fs.promises.rm(this.claimedPath, { force: true })
+        };
+    }
+    
+    /**
+     * Read and parse a JSON Lines file, or return no entries if it does not exist
+     */
+    async readFile(filePath) {
+        try {
+            const data = await fs.promises.readFile(filePath, 'utf-8');
+            return data
+                .split('\n')
+                .filter(line => line.trim() !== '')
+                .map(line => JSON.parse(line));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Encode a document's binary blob as base64 for storage
+     */
+    static serializeDocument(document) {
+        if (!Buffer.isBuffer(document.content?.blob)) {
+            return document;
+        }
+        return {
+            ...document,
+            content: { blobBase64: document.content.blob.toString('base64') }
+        };
+    }
+    
+    /**
+     * Restore a stored document's binary blob
+     */
+    static deserializeDocument(document) {
+        if (!document.content?.blobBase64) {
+            return document;
+        }
+        return {
+            ...document,
+            content: { blob: Buffer.from(document.content.blobBase64, 'base64') }
+        };
+    }
+}
+
+module.exports = DeadLetterQueue;
@@ -0,0 +1,137 @@
+/**
+ * File lock for Amazon Q Business Custom Plugin
+ * Keeps two processes on one host from syncing the same data source at once
+ *
+ * The lock file is created exclusively and holds the owner's pid and hostname. A lock left
+ * by a process that no longer runs on this host is stale and taken over; a lock from another
+ * host can't be checked, so it is only taken over once removed by hand.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// A lock file that can't be read is taken as one being written, until it is this old
+const UNREADABLE_LOCK_TIMEOUT = 60000;
+
+class FileLock {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this.token = null;
+        this.holder = null;
+    }
+    
+    /**
+     * Try to take the lock, returning false when another live process holds it
+     * The holder is then available as `holder` (`{ pid, hostname, acquiredAt }`)
+     */
+    async acquire() {
+        const owner = {
+            pid: process.pid,
+            hostname: os.hostname(),
+            acquiredAt: new Date().toISOString(),
+            token: crypto.randomUUID()
+        };
+        
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        
+        // Retry once after removing a stale lock; losing that race to another process means it is held
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                await fs.promises.writeFile(this.filePath, JSON.stringify(owner), { flag: 'wx' });
+                this.token = owner.token;
+                this.holder = null;
+                return true;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+            
+            const holder = await this.readHolder();
+            
+            if (holder && !this.isStale(holder)) {
+                this.holder = holder;
+                return false;
+            }
+            
+            // Only remove the stale lock if no other process has replaced it meanwhile
+            if (holder && isSameHolder(holder, await this.readHolder())) {
+                logger.warn(`Removing stale lock ${this.filePath} left by process ${holder.pid}`);
+                await fs.promises.rm(this.filePath, { force: true });
+            }
+        }
+        
+        this.holder = await this.readHolder();
+        return false;
+    }
+    
+    /**
+     * Release the lock if this instance still holds it
+     */
+    async release() {
+        if (!this.token) {
+            return;
+        }
+        
+        const holder = await this.readHolder();
+        
+        if (holder && holder.token === this.token) {
+            await fs.promises.rm(this.filePath, { force: true });
+        }
+        this.token = null;
+    }
+    
+    /**
+     * Read the lock file's owner, or null when there is no lock file
+     */
+    async readHolder() {
+        try {
+            const [content, stats] = await Promise.all([
+                fs.promises.readFile(this.filePath, 'utf8'),
+                fs.promises.stat(this.filePath)
+            ]);
+            
+            try {
+                return JSON.parse(content);
+            } catch (error) {
+                return { unreadable: true, modifiedAt: stats.mtimeMs };
+            }
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Check whether a lock was left by a process that is gone
+     */
+    isStale(holder) {
+        if (holder.unreadable) {
+            return Date.now() - holder.modifiedAt > UNREADABLE_LOCK_TIMEOUT;
+        }
+        return holder.hostname === os.hostname() && !isRunning(holder.pid);
+    }
+}
+
+/**
+ * Check whether a process exists; EPERM means it does but belongs to another user
+ */
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+function isSameHolder(holder, current) {
+    return Boolean(current) && holder.token === current.token && holder.modifiedAt === current.modifiedAt;
+}
+
+module.exports = FileLock;
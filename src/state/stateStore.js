@@ -0,0 +1,150 @@
+/**
+ * State stores for Amazon Q Business Custom Plugin
+ * Persist small JSON documents (sync watermarks, manifests) between runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const logger = require('../utils/logger');
+
+/**
+ * Local JSON file state store (default)
+ */
+class FileStateStore {
+    constructor(directory) {
+        this.directory = path.resolve(directory);
+    }
+    
+    /**
+     * Resolve the file path for a state key
+     */
+    filePath(key) {
+        return path.join(this.directory, `${key}.json`);
+    }
+    
+    /**
+     * Load a state document, or null if it does not exist
+     */
+    async load(key) {
+        try {
+            const data = await fs.promises.readFile(this.filePath(key), 'utf-8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            logger.error(`Failed to load state ${key}:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Save a state document, replacing the file atomically
+     */
+    async save(key, value) {
+        const target = this.filePath(key);
+        const temp = `${target}.${process.pid}.tmp`;
+        
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.writeFile(temp, JSON.stringify(value, null, 2));
+        await fs.promises.rename(temp, target);
+    }
+    
+    /**
+     * Remove a state document
+     */
+    async remove(key) {
+        await fs.promises.rm(this.filePath(key), { force: true });
+    }
+}
+
+/**
+ * S3 backed state store, for runs that do not keep local disk between syncs
+ */
+class S3StateStore {
+    constructor({ bucket, prefix = '', region, client }) {
+        if (!bucket) {
+            throw new Error('S3 state store requires a bucket');
+        }
+        
+        this.bucket = bucket;
+        this.prefix = prefix;
+        this.client = client || new S3Client({ region });
+    }
+    
+    /**
+     * Resolve the object key for a state key
+     */
+    objectKey(key) {
+        return `${this.prefix}${key}.json`;
+    }
+    
+    /**
+     * Load a state document, or null if it does not exist
+     */
+    async load(key) {
+        try {
+            const response = await this.client.send(new GetObjectCommand({
+                Bucket: this.bucket,
+                Key: this.objectKey(key)
+            }));
+            
+            return JSON.parse(await response.Body.transformToString());
+        } catch (error) {
+            if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+                return null;
+            }
+            logger.error(`Failed to load state ${key} from S3:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Save a state document
+     */
+    async save(key, value) {
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key),
+            Body: JSON.stringify(value, null, 2),
+            ContentType: 'application/json'
+        }));
+    }
+    
+    /**
+     * Remove a state document
+     */
+    async remove(key) {
+        await this.client.send(new DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key)
+        }));
+    }
+}
+
+/**
+ * Create the state store selected by `state.backend`
+ */
+function createStateStore(config) {
+    const backend = config.get('state.backend') || 'file';
+    
+    switch (backend) {
+    case 'file':
+        return new FileStateStore(config.get('state.directory') || '.state');
+    case 's3':
+        return new S3StateStore({
+            bucket: config.get('state.s3Bucket'),
+            prefix: config.get('state.s3Prefix'),
+            region: config.get('aws.region')
+        });
+    default:
+        throw new Error(`Unknown state backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    FileStateStore,
+    S3StateStore,
+    createStateStore
+};
@@ -0,0 +1,134 @@
+/**
+ * Concurrency utilities for Amazon Q Business Custom Plugin
+ * Bounded task pools and batch queues used to apply backpressure between pipeline stages,
+ * and delays that end early on shutdown
+ */
+
+/**
+ * Runs at most `concurrency` tasks at once; `submit()` waits for a free slot
+ */
+class TaskPool {
+    constructor(concurrency = 1) {
+        this.concurrency = Math.max(1, concurrency);
+        this.active = new Set();
+        this.errors = [];
+    }
+    
+    /**
+     * Start a task once a slot is free
+     * Rethrows the first error of a previously failed task
+     */
+    async submit(task) {
+        this.throwIfFailed();
+        
+        while (this.active.size >= this.concurrency) {
+            await Promise.race(this.active);
+            this.throwIfFailed();
+        }
+        
+        const running = Promise.resolve()
+            .then(task)
+            .catch(error => {
+                this.errors.push(error);
+            })
+            .finally(() => {
+                this.active.delete(running);
+            });
+        
+        this.active.add(running);
+    }
+    
+    /**
+     * Wait for all running tasks, rethrowing the first failure
+     */
+    async drain() {
+        while (this.active.size > 0) {
+            await Promise.race(this.active);
+        }
+        this.throwIfFailed();
+    }
+    
+    /**
+     * Rethrow the first task failure, if any
+     */
+    throwIfFailed() {
+        if (this.errors.length > 0) {
+            throw this.errors[0];
+        }
+    }
+}
+
+/**
+ * Groups items into batches and hands full batches to a handler through a TaskPool
+ */
+class BatchQueue {
+    constructor({ batchSize, concurrency = 1, handler }) {
+        this.batchSize = batchSize;
+        this.handler = handler;
+        this.pool = new TaskPool(concurrency);
+        this.buffer = [];
+        this.batchCount = 0;
+    }
+    
+    /**
+     * Add an array of items, waiting whenever a full batch has to wait for a free slot
+     */
+    async add(items) {
+        for (const item of items) {
+            this.buffer.push(item);
+        }
+        
+        while (this.buffer.length >= this.batchSize) {
+            await this.dispatch(this.buffer.splice(0, this.batchSize));
+        }
+    }
+    
+    /**
+     * Hand a batch to the handler
+     */
+    async dispatch(batch) {
+        const batchNumber = ++this.batchCount;
+        await this.pool.submit(() => this.handler(batch, batchNumber));
+    }
+    
+    /**
+     * Dispatch the remaining partial batch and wait for every batch to finish
+     */
+    async finish() {
+        if (this.buffer.length > 0) {
+            await this.dispatch(this.buffer.splice(0));
+        }
+        await this.pool.drain();
+        
+        return { batches: this.batchCount };
+    }
+}
+
+/**
+ * Wait for a delay, resolving early when `signal` aborts
+ */
+function sleep(ms, signal = null) {
+    return new Promise(resolve => {
+        if (signal?.aborted) {
+            resolve();
+            return;
+        }
+        
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+module.exports = {
+    TaskPool,
+    BatchQueue,
+    sleep
+};
@@ -0,0 +1,174 @@
+/**
+ * Cron schedules for Amazon Q Business Custom Plugin
+ * Parses standard five-field cron expressions (minute, hour, day of month, month, day of week)
+ * and finds the next time they match, in local time
+ *
+ * Fields accept `*`, values, ranges (`1-5`), lists (`1,15`) and steps (`*\/15`, `0-30/10`);
+ * months and days of the week also accept names (`jan`, `mon`). When both day fields are
+ * restricted a day matches either one, as in classic cron. `@hourly`, `@daily`, `@weekly`,
+ * `@monthly` and `@yearly` are shorthands.
+ */
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, firstName: 1 },
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, firstName: 0 } // 7 is Sunday too
+];
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// Give up looking for a match after this many years, e.g. for `0 0 30 2 *`
+const SEARCH_YEARS = 5;
+
+class CronSchedule {
+    constructor(expression) {
+        this.expression = String(expression).trim();
+        
+        const fields = (MACROS[this.expression.toLowerCase()] || this.expression).split(/\s+/);
+        
+        if (fields.length !== FIELDS.length) {
+            throw new Error(`Invalid cron expression "${this.expression}": expected 5 fields, got ${fields.length}`);
+        }
+        
+        [this.minutes, this.hours, this.days, this.months, this.weekdays] =
+            fields.map((text, index) => parseField(text, FIELDS[index], this.expression));
+        
+        if (this.weekdays.has(7)) {
+            this.weekdays.add(0);
+        }
+        
+        // A field starting with `*` doesn't restrict the day
+        this.daysRestricted = !fields[2].startsWith('*');
+        this.weekdaysRestricted = !fields[4].startsWith('*');
+    }
+    
+    /**
+     * Check whether a date's day matches the day of month and day of week fields
+     */
+    matchesDay(date) {
+        const dayMatches = this.days.has(date.getDate());
+        const weekdayMatches = this.weekdays.has(date.getDay());
+        
+        if (this.daysRestricted && this.weekdaysRestricted) {
+            return dayMatches || weekdayMatches;
+        }
+        return dayMatches && weekdayMatches;
+    }
+    
+    /**
+     * Check whether the schedule fires in a date's minute
+     */
+    matches(date) {
+        return this.months.has(date.getMonth() + 1) &&
+            this.matchesDay(date) &&
+            this.hours.has(date.getHours()) &&
+            this.minutes.has(date.getMinutes());
+    }
+    
+    /**
+     * Get the first time the schedule fires strictly after a date
+     */
+    next(after = new Date()) {
+        const date = new Date(after.getTime());
+        const limit = new Date(after.getTime());
+        
+        limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+        
+        // Skip whole months, days and hours that can't match before stepping through minutes
+        while (date < limit) {
+            if (!this.months.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!this.matchesDay(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!this.hours.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+            } else if (!this.minutes.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+            } else {
+                return date;
+            }
+        }
+        
+        throw new Error(`Cron expression "${this.expression}" has no run time in the next ${SEARCH_YEARS} years`);
+    }
+}
+
+/**
+ * Parse one field into the set of values it allows
+ */
+function parseField(text, field, expression) {
+    const values = new Set();
+    const fail = (part, reason) => {
+        throw new Error(`Invalid cron expression "${expression}": ${field.name} "${part}" ${reason}`);
+    };
+    
+    for (const part of text.split(',')) {
+        const [range, stepText, ...rest] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        
+        if (rest.length > 0 || !Number.isInteger(step) || step < 1) {
+            fail(part, 'has an invalid step');
+        }
+        
+        let start;
+        let end;
+        
+        if (range === '*') {
+            [start, end] = [field.min, field.max];
+        } else {
+            const bounds = range.split('-');
+            
+            if (bounds.length > 2) {
+                fail(part, 'is not a value or a range');
+            }
+            
+            start = parseValue(bounds[0], field) ?? fail(part, 'is not a valid value');
+            end = bounds.length === 2 ? parseValue(bounds[1], field) ?? fail(part, 'is not a valid value') :
+                (stepText === undefined ? start : field.max);
+        }
+        
+        if (start < field.min || end > field.max) {
+            fail(part, `is outside ${field.min}-${field.max}`);
+        }
+        if (start > end) {
+            fail(part, 'is a reversed range');
+        }
+        
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    
+    return values;
+}
+
+/**
+ * Parse a number, or a month or day name, returning null when it is neither
+ */
+function parseValue(text, field) {
+    if (/^\d+$/.test(text)) {
+        return Number(text);
+    }
+    
+    const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+    return index === -1 ? null : index + field.firstName;
+}
+
+module.exports = { CronSchedule };
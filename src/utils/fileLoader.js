@@ -0,0 +1,29 @@
+/**
+ * Structured file loader for Amazon Q Business Custom Plugin
+ * Parses JSON or YAML files based on their extension
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Load and parse a JSON or YAML file
+ */
+function loadStructuredFile(filePath) {
+    const contents = fs.readFileSync(filePath, 'utf-8');
+    const extension = path.extname(filePath).toLowerCase();
+    
+    try {
+        if (extension === '.yaml' || extension === '.yml') {
+            return yaml.load(contents) || {};
+        }
+        return JSON.parse(contents);
+    } catch (error) {
+        throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+    }
+}
+
+module.exports = {
+    loadStructuredFile
+};
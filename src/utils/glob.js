@@ -0,0 +1,74 @@
+/**
+ * Glob matching utilities for Amazon Q Business Custom Plugin
+ * Matches `/`-separated relative paths against patterns such as `docs/**\/*.md` or `*.{tmp,bak}`
+ *
+ * `*` and `?` stay within one path segment, `**` spans any number of segments, and `[...]` and
+ * `{a,b}` work as in the shell. A pattern without `/` matches a segment at any depth, along with
+ * everything under it when that segment is a directory: `node_modules` works as `**\/node_modules/**`.
+ */
+
+/**
+ * Convert a glob pattern to a regular expression over relative paths
+ */
+function globToRegExp(pattern) {
+    const anyDepth = !pattern.includes('/');
+    let source = '';
+    let braceDepth = 0;
+    
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+        
+        if (char === '*' && pattern[index + 1] === '*') {
+            const atSegmentStart = index === 0 || pattern[index - 1] === '/';
+            const atSegmentEnd = index + 2 === pattern.length || pattern[index + 2] === '/';
+            index++;
+            
+            if (atSegmentStart && atSegmentEnd && pattern[index + 1] === '/') {
+                // `**/` matches zero or more whole directories
+                source += '(?:.*/)?';
+                index++;
+            } else {
+                source += '.*';
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', index + 1);
+            
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                const set = pattern.slice(index + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+                source += `[${set}]`;
+                index = end;
+            }
+        } else if (char === '{') {
+            source += '(?:';
+            braceDepth++;
+        } else if (char === '}' && braceDepth > 0) {
+            source += ')';
+            braceDepth--;
+        } else if (char === ',' && braceDepth > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+    
+    return new RegExp(anyDepth ? `^(?:.*/)?${source}(?:/.*)?$` : `^${source}$`);
+}
+
+/**
+ * Create a function that checks whether a relative path matches any of the patterns
+ */
+function createMatcher(patterns = []) {
+    const expressions = patterns.map(globToRegExp);
+    return relativePath => expressions.some(expression => expression.test(relativePath));
+}
+
+module.exports = {
+    globToRegExp,
+    createMatcher
+};
@@ -3,11 +3,16 @@
  */
 
 const winston = require('winston');
+const { redactLogEntry } = require('./redaction');
+
+// Mask registered secrets before any other format or transport sees an entry
+const redactSecrets = winston.format(info => redactLogEntry(info));
 
 // Create logger instance
 const logger = winston.createLogger({
     level: process.env.LOG_LEVEL || 'info',
     format: winston.format.combine(
+        redactSecrets(),
         winston.format.timestamp({
             format: 'YYYY-MM-DD HH:mm:ss'
         }),
@@ -0,0 +1,52 @@
+/**
+ * Object path utilities for Amazon Q Business Custom Plugin
+ * Resolves dot/array notation paths such as `author.name`, `items[0].id` or `labels[*].name`
+ */
+
+/**
+ * Split a path into property tokens
+ */
+function parsePath(path) {
+    return String(path)
+        .replace(/\[(\d+|\*)\]/g, '.$1')
+        .split('.')
+        .filter(token => token !== '');
+}
+
+/**
+ * Resolve path tokens against a value, mapping over arrays at `*` tokens
+ */
+function resolveTokens(value, tokens) {
+    if (tokens.length === 0) {
+        return value;
+    }
+    
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    
+    const [token, ...rest] = tokens;
+    
+    if (token === '*') {
+        if (!Array.isArray(value)) {
+            return undefined;
+        }
+        return value
+            .map(item => resolveTokens(item, rest))
+            .filter(item => item !== undefined);
+    }
+    
+    return resolveTokens(value[token], rest);
+}
+
+/**
+ * Get the value at a path, or undefined if any segment is missing
+ */
+function getPath(object, path) {
+    return resolveTokens(object, parsePath(path));
+}
+
+module.exports = {
+    parsePath,
+    getPath
+};
@@ -0,0 +1,104 @@
+/**
+ * Rate limiter for Amazon Q Business Custom Plugin
+ * Token bucket shared by every request to one endpoint, with pauses for throttling responses
+ */
+
+const { sleep } = require('./concurrency');
+
+class RateLimiter {
+    /**
+     * A rate of 0 disables limiting; `burst` is the bucket size
+     */
+    constructor({ requestsPerSecond = 0, burst = 1 } = {}) {
+        this.requestsPerSecond = requestsPerSecond;
+        this.burst = Math.max(1, burst);
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.pausedUntil = 0;
+    }
+    
+    /**
+     * Wait until a request may be sent
+     * Throws the abort reason once `signal` aborts, so a shutdown isn't held up by a long pause
+     */
+    async acquire(signal = null) {
+        for (;;) {
+            signal?.throwIfAborted();
+            
+            const now = Date.now();
+            
+            if (now < this.pausedUntil) {
+                await this.sleep(this.pausedUntil - now, signal);
+                continue;
+            }
+            
+            if (!this.requestsPerSecond) {
+                return;
+            }
+            
+            this.refill(now);
+            
+            if (this.tokens >= 1) {
+                this.tokens -= 1;
+                return;
+            }
+            
+            await this.sleep(Math.ceil((1 - this.tokens) * 1000 / this.requestsPerSecond), signal);
+        }
+    }
+    
+    /**
+     * Hold back every request for the given time, e.g. after a throttling response
+     */
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    }
+    
+    /**
+     * Add the tokens accrued since the last refill
+     */
+    refill(now) {
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.burst, this.tokens + elapsed * this.requestsPerSecond);
+        this.lastRefill = now;
+    }
+    
+    /**
+     * Utility method for delays
+     */
+    sleep(ms, signal = null) {
+        return sleep(ms, signal);
+    }
+}
+
+/**
+ * Parse an HTTP Retry-After header (seconds or an HTTP date) into milliseconds
+ * Returns null when the header is missing or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    
+    if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+        return Math.round(parseFloat(value) * 1000);
+    }
+    
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Check whether an AWS SDK error is a throttling error
+ */
+function isThrottlingError(error) {
+    return error?.name === 'ThrottlingException' ||
+        error?.$retryable?.throttling === true ||
+        error?.$metadata?.httpStatusCode === 429;
+}
+
+module.exports = {
+    RateLimiter,
+    parseRetryAfter,
+    isThrottlingError
+};
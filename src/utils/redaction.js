@@ -0,0 +1,111 @@
+/**
+ * Secret redaction utilities for Amazon Q Business Custom Plugin
+ * Masks registered secret values wherever they appear in log output
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Shorter values would mask unrelated text throughout the logs
+const MIN_SECRET_LENGTH = 4;
+const MAX_DEPTH = 10;
+
+const secrets = new Set();
+
+/**
+ * Register a secret value to be masked from now on
+ */
+function registerSecret(value) {
+    if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+        secrets.add(value);
+    }
+}
+
+/**
+ * Forget every registered secret
+ */
+function clearSecrets() {
+    secrets.clear();
+}
+
+/**
+ * Mask registered secrets in a string
+ */
+function redactString(value) {
+    let redacted = value;
+    for (const secret of secrets) {
+        if (redacted.includes(secret)) {
+            redacted = redacted.split(secret).join(REDACTED);
+        }
+    }
+    return redacted;
+}
+
+/**
+ * Return a copy of a value with registered secrets masked in every string it contains
+ * Plain objects, arrays, errors and anything with `toJSON()` are copied; other instances are left as they are
+ */
+function redact(value, seen = new WeakSet(), depth = 0) {
+    if (typeof value === 'string') {
+        return secrets.size > 0 ? redactString(value) : value;
+    }
+    
+    if (secrets.size === 0 || value === null || typeof value !== 'object' || depth > MAX_DEPTH) {
+        return value;
+    }
+    
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    seen.add(value);
+    
+    try {
+        if (Array.isArray(value)) {
+            return value.map(item => redact(item, seen, depth + 1));
+        }
+        
+        if (typeof value.toJSON === 'function') {
+            return redact(value.toJSON(), seen, depth + 1);
+        }
+        
+        const prototype = Object.getPrototypeOf(value);
+        const isError = value instanceof Error;
+        if (!isError && prototype !== Object.prototype && prototype !== null) {
+            return value;
+        }
+        
+        const copy = isError ? { name: value.name, message: value.message, stack: value.stack } : {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = item;
+        }
+        for (const key of Object.keys(copy)) {
+            copy[key] = redact(copy[key], seen, depth + 1);
+        }
+        return copy;
+        
+    } finally {
+        seen.delete(value);
+    }
+}
+
+/**
+ * Mask registered secrets in a log entry's own fields, in place
+ * An entry may itself be an Error, whose message and stack are not enumerable
+ */
+function redactLogEntry(info) {
+    if (secrets.size > 0) {
+        for (const key of new Set([...Object.keys(info), 'message', 'stack'])) {
+            if (info[key] !== undefined) {
+                info[key] = redact(info[key]);
+            }
+        }
+    }
+    return info;
+}
+
+module.exports = {
+    REDACTED,
+    registerSecret,
+    clearSecrets,
+    redact,
+    redactLogEntry
+};
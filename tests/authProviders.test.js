@@ -0,0 +1,126 @@
+/**
+ * Tests for authentication providers
+ */
+
+const config = require('../src/config/config');
+const {
+    createAuthProvider,
+    ApiKeyAuthProvider,
+    BasicAuthProvider,
+    OAuth2AuthProvider
+} = require('../src/connectors/authProviders');
+
+describe('authProviders', () => {
+    describe('createAuthProvider', () => {
+        afterEach(() => {
+            config.set('auth.type', undefined);
+            config.set('dataSource.apiKey', undefined);
+            config.set('dataSource.username', undefined);
+            config.set('dataSource.password', undefined);
+        });
+        
+        test('should infer API key and Basic providers from the data source credentials', async () => {
+            config.set('dataSource.apiKey', 'key');
+            expect(createAuthProvider(config)).toBeInstanceOf(ApiKeyAuthProvider);
+            
+            config.set('dataSource.apiKey', undefined);
+            config.set('dataSource.username', 'user');
+            config.set('dataSource.password', 'pass');
+            const provider = createAuthProvider(config);
+            
+            expect(provider).toBeInstanceOf(BasicAuthProvider);
+            await expect(provider.getAuthorization()).resolves.toBe(`Basic ${Buffer.from('user:pass').toString('base64')}`);
+        });
+        
+        test('should reject unknown types', () => {
+            config.set('auth.type', 'kerberos');
+            expect(() => createAuthProvider(config)).toThrow('Unknown authentication type: kerberos');
+        });
+    });
+    
+    describe('OAuth2AuthProvider', () => {
+        let httpClient;
+        let now;
+        
+        const tokenResponse = (data) => ({ data: { token_type: 'Bearer', ...data } });
+        
+        beforeEach(() => {
+            now = 1000000;
+            jest.spyOn(Date, 'now').mockImplementation(() => now);
+            httpClient = { post: jest.fn() };
+        });
+        
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+        
+        test('should fetch a client-credentials token and cache it until near expiry', async () => {
+            httpClient.post
+                .mockResolvedValueOnce(tokenResponse({ access_token: 'one', expires_in: 3600 }))
+                .mockResolvedValueOnce(tokenResponse({ access_token: 'two', expires_in: 3600 }));
+            const provider = new OAuth2AuthProvider({
+                tokenUrl: 'https://auth.example.com/token',
+                clientId: 'client',
+                clientSecret: 'secret',
+                scope: 'read',
+                refreshMargin: 60000,
+                httpClient
+            });
+            
+            await expect(provider.getAuthorization()).resolves.toBe('Bearer one');
+            
+            now += 3600 * 1000 - 60001;
+            await expect(provider.getAuthorization()).resolves.toBe('Bearer one');
+            expect(httpClient.post).toHaveBeenCalledTimes(1);
+            
+            now += 1;
+            await expect(provider.getAuthorization()).resolves.toBe('Bearer two');
+            
+            const [url, body, { headers }] = httpClient.post.mock.calls[0];
+            expect(url).toBe('https://auth.example.com/token');
+            expect(Object.fromEntries(new URLSearchParams(body))).toEqual({ grant_type: 'client_credentials', scope: 'read' });
+            expect(headers.Authorization).toBe(`Basic ${Buffer.from('client:secret').toString('base64')}`);
+        });
+        
+        test('should use and rotate the refresh token', async () => {
+            httpClient.post
+                .mockResolvedValueOnce(tokenResponse({ access_token: 'one', expires_in: 60, refresh_token: 'r2' }))
+                .mockResolvedValueOnce(tokenResponse({ access_token: 'two', expires_in: 60 }));
+            const provider = new OAuth2AuthProvider({
+                tokenUrl: 'https://auth.example.com/token',
+                clientId: 'client',
+                refreshToken: 'r1',
+                clientAuthMethod: 'body',
+                httpClient
+            });
+            
+            await provider.getAuthorization();
+            provider.invalidate();
+            await expect(provider.getAuthorization()).resolves.toBe('Bearer two');
+            
+            const bodies = httpClient.post.mock.calls.map(([, body]) => Object.fromEntries(new URLSearchParams(body)));
+            expect(bodies).toEqual([
+                { grant_type: 'refresh_token', refresh_token: 'r1', client_id: 'client' },
+                { grant_type: 'refresh_token', refresh_token: 'r2', client_id: 'client' }
+            ]);
+        });
+        
+        test('should share one token request between concurrent callers', async () => {
+            httpClient.post.mockResolvedValue(tokenResponse({ access_token: 'one', expires_in: 3600 }));
+            const provider = new OAuth2AuthProvider({ tokenUrl: 'https://auth.example.com/token', clientId: 'client', httpClient });
+            
+            await Promise.all([provider.getAuthorization(), provider.getAuthorization(), provider.getAuthorization()]);
+            
+            expect(httpClient.post).toHaveBeenCalledTimes(1);
+        });
+        
+        test('should surface token endpoint errors', async () => {
+            const error = new Error('Request failed with status code 400');
+            error.response = { status: 400, data: { error: 'invalid_client' } };
+            httpClient.post.mockRejectedValue(error);
+            const provider = new OAuth2AuthProvider({ tokenUrl: 'https://auth.example.com/token', clientId: 'client', httpClient });
+            
+            await expect(provider.getAuthorization()).rejects.toThrow('OAuth2 token request failed: invalid_client');
+        });
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for concurrency utilities
+ */
+
+const { TaskPool, BatchQueue } = require('../src/utils/concurrency');
+
+const deferred = () => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+};
+
+describe('TaskPool', () => {
+    test('should never run more than the configured number of tasks', async () => {
+        const pool = new TaskPool(2);
+        let running = 0;
+        let peak = 0;
+        
+        const task = async () => {
+            running++;
+            peak = Math.max(peak, running);
+            await new Promise(resolve => setImmediate(resolve));
+            running--;
+        };
+        
+        for (let i = 0; i < 6; i++) {
+            await pool.submit(task);
+        }
+        await pool.drain();
+        
+        expect(peak).toBe(2);
+    });
+    
+    test('should rethrow task failures', async () => {
+        const pool = new TaskPool(1);
+        
+        await pool.submit(async () => {
+            throw new Error('upload failed');
+        });
+        
+        await expect(pool.drain()).rejects.toThrow('upload failed');
+    });
+});
+
+describe('BatchQueue', () => {
+    test('should batch items and apply backpressure when all slots are busy', async () => {
+        const gate = deferred();
+        const batches = [];
+        const queue = new BatchQueue({
+            batchSize: 2,
+            concurrency: 1,
+            handler: async (batch) => {
+                batches.push(batch);
+                await gate.promise;
+            }
+        });
+        
+        await queue.add([1, 2]);
+        let added = false;
+        const adding = queue.add([3, 4]).then(() => { added = true; });
+        
+        await new Promise(resolve => setImmediate(resolve));
+        expect(added).toBe(false);
+        
+        gate.resolve();
+        await adding;
+        await queue.add([5]);
+        
+        await expect(queue.finish()).resolves.toEqual({ batches: 3 });
+        expect(batches).toEqual([[1, 2], [3, 4], [5]]);
+    });
+});
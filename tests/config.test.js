@@ -0,0 +1,291 @@
+/**
+ * Tests for configuration loading and validation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config/config');
+const { forEachSetting } = require('../src/config/schema');
+
+describe('Config', () => {
+    const Config = config.constructor;
+    const originalEnv = process.env;
+    
+    const createConfig = (env) => {
+        process.env = {
+            ...originalEnv,
+            Q_BUSINESS_APPLICATION_ID: 'app-id',
+            Q_BUSINESS_DATA_SOURCE_ID: 'data-source-id',
+            DATA_SOURCE_BASE_URL: 'https://api.example.com',
+            ...env
+        };
+        return new Config();
+    };
+    
+    const codesByPath = (instance) => Object.fromEntries(
+        instance.getValidationErrors().map(({ path, code }) => [path, code])
+    );
+    
+    afterEach(() => {
+        process.env = originalEnv;
+    });
+    
+    test('should accept a minimal configuration with schema defaults', () => {
+        const instance = createConfig({});
+        
+        expect(instance.getValidationErrors()).toEqual([]);
+        expect(instance.validate()).toBe(true);
+        expect(instance.get('dataSource.batchSize')).toBe(10);
+        expect(instance.get('s3.cleanupStaged')).toBe(true);
+        expect(instance.get('dataSource.idFields')).toEqual(['url']);
+    });
+    
+    test('should parse typed environment variables, keeping explicit zeros', () => {
+        const instance = createConfig({
+            BATCH_SIZE: '5',
+            DATA_SOURCE_RATE_LIMIT: '0',
+            S3_CLEANUP_STAGED: 'false',
+            DOCUMENT_ID_FIELDS: 'source.id, source.version'
+        });
+        
+        expect(instance.get('dataSource.batchSize')).toBe(5);
+        expect(instance.get('rateLimit.dataSourceRequestsPerSecond')).toBe(0);
+        expect(instance.get('s3.cleanupStaged')).toBe(false);
+        expect(instance.get('dataSource.idFields')).toEqual(['source.id', 'source.version']);
+    });
+    
+    test('should report every problem at once', () => {
+        const instance = createConfig({
+            Q_BUSINESS_APPLICATION_ID: '',
+            BATCH_SIZE: 'abc',
+            UPLOAD_CONCURRENCY: '0',
+            DATA_SOURCE_TYPE: 'ftp',
+            DATA_SOURCE_BASE_URL: 'not a url',
+            S3_CLEANUP_STAGED: 'maybe'
+        });
+        
+        expect(codesByPath(instance)).toEqual({
+            'aws.qBusinessApplicationId': 'required',
+            'dataSource.batchSize': 'type',
+            'plugin.uploadConcurrency': 'range',
+            'dataSource.type': 'enum',
+            'dataSource.baseUrl': 'type',
+            's3.cleanupStaged': 'type'
+        });
+        expect(instance.validate()).toBe(false);
+    });
+    
+    test('should name the setting, expectation and source in messages', () => {
+        const instance = createConfig({ BATCH_SIZE: '25' });
+        
+        expect(instance.getValidationErrors()).toEqual([{
+            path: 'dataSource.batchSize',
+            code: 'range',
+            message: 'dataSource.batchSize must be between 1 and 10, got 25 (from env:BATCH_SIZE)'
+        }]);
+    });
+    
+    test('should apply cross-field rules', () => {
+        expect(codesByPath(createConfig({ DATA_SOURCE_API_KEY: 'key', DATA_SOURCE_USERNAME: 'user', DATA_SOURCE_PASSWORD: 'pass' })))
+            .toEqual({ 'dataSource.apiKey': 'conflict' });
+        expect(codesByPath(createConfig({ DATA_SOURCE_USERNAME: 'user' })))
+            .toEqual({ 'dataSource.password': 'required' });
+        expect(codesByPath(createConfig({ AUTH_TYPE: 'oauth2', OAUTH_CLIENT_ID: 'client' })))
+            .toEqual({ 'auth.tokenUrl': 'required' });
+        expect(codesByPath(createConfig({ STATE_BACKEND: 's3' })))
+            .toEqual({ 'state.s3Bucket': 'required' });
+        expect(codesByPath(createConfig({ S3_BUCKET_NAME: 'plugin-bucket' })))
+            .toEqual({ 's3.roleArn': 'required' });
+        expect(codesByPath(createConfig({ DATA_SOURCE_TRUSTED_ORIGINS: 'https://files.example.com,files.example.net' })))
+            .toEqual({ 'dataSource.trustedOrigins': 'type' });
+        expect(codesByPath(createConfig({ SYNC_CRON: '0 25 * * *' })))
+            .toEqual({ 'schedule.cron': 'invalid' });
+        expect(codesByPath(createConfig({ SYNC_CRON: '0 */6 * * mon-fri' }))).toEqual({});
+    });
+    
+    test('should validate values set after loading', () => {
+        const instance = createConfig({});
+        instance.set('dataSource.syncMode', 'sometimes');
+        
+        expect(codesByPath(instance)).toEqual({ 'dataSource.syncMode': 'enum' });
+    });
+    
+    test('should report an unreadable field mapping file', () => {
+        const instance = createConfig({ FIELD_MAPPING_FILE: '/nonexistent/mapping.yaml' });
+        
+        expect(codesByPath(instance)).toEqual({ 'mapping.file': 'invalid' });
+    });
+    
+    test('should declare a type for every setting', () => {
+        forEachSetting((path, setting) => {
+            expect(['string', 'url', 'integer', 'number', 'boolean', 'list', 'function', 'any']).toContain(setting.type);
+        });
+    });
+    
+    describe('config files', () => {
+        let tmpDir;
+        let configFile;
+        
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+            configFile = path.join(tmpDir, 'plugin.yaml');
+            fs.writeFileSync(configFile, [
+                'dataSource:',
+                '  baseUrl: https://${API_HOST:-api.example.com}/v1',
+                '  batchSize: 5',
+                '  idFields: [source.id]',
+                'plugin:',
+                '  name: file-plugin',
+                'profiles:',
+                '  staging:',
+                '    dataSource:',
+                '      batchSize: 8',
+                '  prod:',
+                '    dataSource:',
+                '      apiKey: ${PROD_API_KEY}',
+                '      batchSize: "${PROD_BATCH_SIZE}"'
+            ].join('\n'));
+        });
+        
+        afterEach(() => {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+        
+        test('should layer the file, the profile and environment variables with provenance', () => {
+            const instance = createConfig({ CONFIG_FILE: configFile, CONFIG_PROFILE: 'staging', PLUGIN_NAME: 'env-plugin' });
+            
+            expect(instance.get('dataSource.batchSize')).toBe(8);
+            expect(instance.getSource('dataSource.batchSize')).toBe('profile:staging');
+            expect(instance.get('dataSource.idFields')).toEqual(['source.id']);
+            expect(instance.getSource('dataSource.idFields')).toBe(`file:${configFile}`);
+            expect(instance.get('plugin.name')).toBe('env-plugin');
+            expect(instance.getSource('plugin.name')).toBe('env:PLUGIN_NAME');
+            expect(instance.getSource('plugin.uploadConcurrency')).toBe('default');
+        });
+        
+        test('should interpolate environment variables, with fallbacks', () => {
+            const instance = createConfig({
+                CONFIG_FILE: configFile,
+                CONFIG_PROFILE: 'prod',
+                DATA_SOURCE_BASE_URL: '',
+                PROD_API_KEY: 'prod-key',
+                PROD_BATCH_SIZE: '9'
+            });
+            
+            expect(instance.get('dataSource.baseUrl')).toBe('https://api.example.com/v1');
+            expect(instance.get('dataSource.apiKey')).toBe('prod-key');
+            expect(instance.get('dataSource.batchSize')).toBe(9);
+            expect(instance.getValidationErrors()).toEqual([]);
+        });
+        
+        test('should report unset variables, unknown settings and missing profiles', () => {
+            fs.appendFileSync(configFile, '\nstate:\n  bakend: s3\n');
+            
+            const messagesFor = (env) => createConfig({ CONFIG_FILE: configFile, PROD_API_KEY: '', PROD_BATCH_SIZE: '9', ...env })
+                .getValidationErrors()
+                .map(({ message }) => message);
+            
+            expect(messagesFor({ CONFIG_PROFILE: 'prod' })).toEqual([
+                `state.bakend is not a recognized setting (from file:${configFile})`,
+                'profiles.prod.dataSource.apiKey references ${PROD_API_KEY}, which is not set'
+            ]);
+            expect(messagesFor({ CONFIG_PROFILE: 'qa' })).toEqual([
+                `state.bakend is not a recognized setting (from file:${configFile})`,
+                `configProfile "qa" is not defined in ${configFile} (available: staging, prod)`
+            ]);
+        });
+        
+        test('should expose the effective configuration with secrets redacted', () => {
+            const instance = createConfig({ CONFIG_FILE: configFile, CONFIG_PROFILE: 'prod', PROD_API_KEY: 'prod-key', PROD_BATCH_SIZE: '9' });
+            const effective = instance.getEffectiveConfig();
+            
+            expect(effective['dataSource.apiKey']).toEqual({ value: '[REDACTED]', source: 'profile:prod' });
+            expect(effective['dataSource.batchSize']).toEqual({ value: 9, source: 'profile:prod' });
+            expect(effective['aws.qBusinessApplicationId']).toEqual({ value: 'app-id', source: 'env:Q_BUSINESS_APPLICATION_ID' });
+            expect(effective).not.toHaveProperty('s3.bucket');
+        });
+        
+        test('should merge each data source over the shared settings', () => {
+            fs.appendFileSync(configFile, [
+                '',
+                'sources:',
+                '  - name: wiki',
+                '    aws:',
+                '      dataSourceId: wiki-ds',
+                '    dataSource:',
+                '      baseUrl: https://wiki.example.com/api',
+                '      syncMode: incremental',
+                '  - name: tickets',
+                '    aws:',
+                '      dataSourceId: tickets-ds',
+                '    plugin:',
+                '      deadLetterFile: /var/lib/plugin/tickets.jsonl'
+            ].join('\n'));
+            
+            const instance = createConfig({ CONFIG_FILE: configFile, Q_BUSINESS_DATA_SOURCE_ID: '', DATA_SOURCE_BASE_URL: '' });
+            const wiki = instance.forSource('wiki');
+            const tickets = instance.forSource('tickets');
+            
+            expect(instance.getSourceNames()).toEqual(['wiki', 'tickets']);
+            expect(instance.getValidationErrors()).toEqual([]);
+            
+            expect(wiki.get('dataSource.baseUrl')).toBe('https://wiki.example.com/api');
+            expect(wiki.getSource('dataSource.baseUrl')).toBe('source:wiki');
+            expect(wiki.get('dataSource.batchSize')).toBe(5);
+            expect(wiki.get('plugin.deadLetterFile')).toBe(path.join('.state', 'dead-letter-wiki.jsonl'));
+            expect(wiki.getValidationErrors()).toEqual([]);
+            
+            expect(tickets.get('dataSource.baseUrl')).toBe('https://api.example.com/v1');
+            expect(tickets.get('dataSource.syncMode')).toBe('full');
+            expect(tickets.get('plugin.deadLetterFile')).toBe('/var/lib/plugin/tickets.jsonl');
+            expect(() => instance.forSource('crm')).toThrow('Unknown data source: crm');
+        });
+        
+        test('should reject a cron schedule set on a single source', () => {
+            fs.appendFileSync(configFile, [
+                '',
+                'sources:',
+                '  - name: wiki',
+                '    aws: { dataSourceId: wiki-ds }',
+                '    schedule: { cron: "0 * * * *" }',
+                '  - name: tickets',
+                '    aws: { dataSourceId: tickets-ds }'
+            ].join('\n'));
+            
+            const instance = createConfig({ CONFIG_FILE: configFile, Q_BUSINESS_DATA_SOURCE_ID: '', SYNC_CRON: '*/5 * * * *' });
+            
+            expect(codesByPath(instance)).toEqual({ 'sources.wiki.schedule.cron': 'unsupported' });
+            expect(codesByPath(instance.forSource('wiki'))).toEqual({ 'schedule.cron': 'unsupported' });
+            expect(codesByPath(instance.forSource('tickets'))).toEqual({});
+        });
+        
+        test('should report invalid source lists', () => {
+            fs.appendFileSync(configFile, [
+                '',
+                'sources:',
+                '  - name: wiki',
+                '    aws: { dataSourceId: shared-ds }',
+                '  - name: wiki',
+                '  - aws: { dataSourceId: other-ds }',
+                '  - name: tickets',
+                '    aws: { dataSourceId: shared-ds }',
+                '    dataSource: { baseUrl: not-a-url, pageSize: 10 }'
+            ].join('\n'));
+            
+            const instance = createConfig({ CONFIG_FILE: configFile, Q_BUSINESS_DATA_SOURCE_ID: '' });
+            
+            expect(codesByPath(instance)).toEqual({
+                'sources[1].name': 'conflict',
+                'sources[2].name': 'invalid',
+                'sources.tickets.aws.dataSourceId': 'conflict'
+            });
+            expect(codesByPath(instance.forSource('tickets'))).toEqual({
+                'sources[1].name': 'conflict',
+                'sources[2].name': 'invalid',
+                'dataSource.pageSize': 'unknown',
+                'dataSource.baseUrl': 'type'
+            });
+        });
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for the connector registry and base connector contract
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BaseConnector = require('../src/connectors/baseConnector');
+const DataSourceConnector = require('../src/connectors/dataSourceConnector');
+const {
+    registerConnector,
+    getConnectorTypes,
+    loadConnectorModule,
+    validateConnectorConfig,
+    createConnector
+} = require('../src/connectors/registry');
+
+// Configuration stub whose `get` reads from a flat map of settings
+const configOf = (settings) => ({ get: path => settings[path] });
+
+// Connector serving fixed pages through `fetchPage()`
+class ListConnector extends BaseConnector {
+    async fetchPage(request) {
+        const index = request ? request.index : 0;
+        const pages = [[{ id: 'a' }, { id: 'b' }], [], [{ id: 'c' }]];
+        
+        return { documents: pages[index], next: index + 1 < pages.length ? { index: index + 1 } : null };
+    }
+}
+
+describe('Connector registry', () => {
+    let tmpDir;
+    
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'connectors-'));
+    });
+    
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+    
+    test('should create the built-in api connector by default', () => {
+        const connector = createConnector(configOf({ 'dataSource.baseUrl': 'https://api.example.com' }));
+        
+        expect(connector).toBeInstanceOf(DataSourceConnector);
+        expect(connector).toBeInstanceOf(BaseConnector);
+        expect(connector.supportsIncremental()).toBe(true);
+        expect(getConnectorTypes()).toContain('api');
+    });
+    
+    test('should create registered connectors by data source type', () => {
+        registerConnector('list', ListConnector);
+        
+        const config = configOf({ 'dataSource.type': 'list' });
+        
+        expect(createConnector(config)).toBeInstanceOf(ListConnector);
+        expect(validateConnectorConfig(config)).toEqual([]);
+        expect(() => registerConnector('broken', {})).toThrow('Connector for type broken must be a class');
+    });
+    
+    test('should load connector modules by path', () => {
+        const modulePath = path.join(tmpDir, 'wikiConnector.js');
+        fs.writeFileSync(modulePath, [
+            `const BaseConnector = require(${JSON.stringify(require.resolve('../src/connectors/baseConnector'))});`,
+            'class WikiConnector extends BaseConnector {',
+            '    async testConnection() { return true; }',
+            '}',
+            'WikiConnector.type = \'wiki\';',
+            'module.exports = WikiConnector;'
+        ].join('\n'));
+        
+        const connector = createConnector(configOf({ 'dataSource.type': 'wiki', 'dataSource.connectorModules': [modulePath] }));
+        
+        expect(connector.constructor.name).toBe('WikiConnector');
+        expect(connector.supportsIncremental()).toBe(false);
+    });
+    
+    test('should report unknown types and modules that fail to load', () => {
+        const invalidModule = path.join(tmpDir, 'invalid.js');
+        fs.writeFileSync(invalidModule, 'module.exports = { type: \'invalid\' };');
+        
+        expect(validateConnectorConfig(configOf({ 'dataSource.type': 'ftp' }))).toEqual([
+            expect.objectContaining({ path: 'dataSource.type', code: 'enum' })
+        ]);
+        expect(validateConnectorConfig(configOf({ 'dataSource.connectorModules': [invalidModule] }))).toEqual([
+            expect.objectContaining({ path: 'dataSource.connectorModules', code: 'invalid' })
+        ]);
+        expect(() => loadConnectorModule('q-plugin-connector-missing')).toThrow();
+        expect(() => createConnector(configOf({ 'dataSource.type': 'ftp' })))
+            .toThrow(/Unknown data source type: ftp \(available: api/);
+    });
+    
+    describe('BaseConnector', () => {
+        test('should iterate pages by following fetchPage', async () => {
+            const connector = new ListConnector(configOf({}));
+            
+            expect(await connector.fetchAll()).toEqual([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+        });
+        
+        test('should name the methods a connector is missing', async () => {
+            const connector = new ListConnector(configOf({}));
+            
+            await expect(connector.testConnection()).rejects.toThrow('ListConnector does not implement testConnection()');
+            await expect(connector.fetchById('a')).rejects.toThrow('ListConnector does not implement fetchById()');
+            expect(connector.supportsIncremental()).toBe(false);
+            expect(await connector.fetchDeletions('2024-01-01T00:00:00.000Z')).toEqual([]);
+        });
+        
+        test('should build the change feed from fetchIncremental and fetchDeletions', async () => {
+            class ChangesConnector extends ListConnector {
+                async fetchIncremental() {
+                    return [{ id: 'b' }];
+                }
+                
+                async fetchDeletions() {
+                    return [{ id: 'a' }];
+                }
+            }
+            
+            const connector = new ChangesConnector(configOf({}));
+            const pages = [];
+            
+            for await (const page of connector.iterateChanges('2024-01-01T00:00:00.000Z')) {
+                pages.push(page);
+            }
+            
+            expect(connector.supportsIncremental()).toBe(true);
+            expect(pages).toEqual([{ documents: [{ id: 'b' }], deletions: [{ id: 'a' }] }]);
+        });
+    });
+});
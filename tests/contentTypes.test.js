@@ -0,0 +1,57 @@
+/**
+ * Tests for content type detection
+ */
+
+const {
+    resolveContentType,
+    contentTypeFromPath,
+    sniffContentType,
+    detectContentType
+} = require('../src/mapping/contentTypes');
+
+describe('contentTypes', () => {
+    test('should resolve content type names, MIME types and extensions', () => {
+        expect(resolveContentType('html')).toBe('HTML');
+        expect(resolveContentType('application/pdf')).toBe('PDF');
+        expect(resolveContentType('text/html; charset=utf-8')).toBe('HTML');
+        expect(resolveContentType('application/vnd.openxmlformats-officedocument.wordprocessingml.document'))
+            .toBe('MS_WORD');
+        expect(resolveContentType('.md')).toBe('MD');
+        expect(resolveContentType('application/octet-stream')).toBeNull();
+    });
+    
+    test('should resolve content types from paths and URLs', () => {
+        expect(contentTypeFromPath('https://example.com/files/report.xlsx?version=2')).toBe('MS_EXCEL');
+        expect(contentTypeFromPath('/share/notes.markdown')).toBe('MD');
+        expect(contentTypeFromPath('https://example.com/files/123')).toBeNull();
+    });
+    
+    test('should sniff PDF and HTML payloads', () => {
+        expect(sniffContentType(Buffer.from('%PDF-1.7\n...'))).toBe('PDF');
+        expect(sniffContentType(Buffer.from('  <!DOCTYPE html><html></html>'))).toBe('HTML');
+        expect(sniffContentType(Buffer.from('plain words'))).toBeNull();
+    });
+    
+    test('should sniff Office Open XML archives by their part names', () => {
+        const archive = (partName) => Buffer.concat([
+            Buffer.from('PK\x03\x04', 'latin1'),
+            Buffer.alloc(26),
+            Buffer.from(`[Content_Types].xml...PK\x03\x04${partName}`, 'latin1')
+        ]);
+        
+        expect(sniffContentType(archive('word/document.xml'))).toBe('MS_WORD');
+        expect(sniffContentType(archive('xl/workbook.xml'))).toBe('MS_EXCEL');
+        expect(sniffContentType(archive('ppt/presentation.xml'))).toBe('PPT');
+        expect(sniffContentType(archive('images/photo.png'))).toBeNull();
+    });
+    
+    test('should prefer declared types over headers, paths and sniffing', () => {
+        expect(detectContentType({
+            declared: 'MD',
+            headerContentType: 'text/plain',
+            uri: 'notes.txt'
+        })).toBe('MD');
+        expect(detectContentType({ headerContentType: 'application/octet-stream', uri: 'deck.pptx' })).toBe('PPT');
+        expect(detectContentType({ data: Buffer.from('hello') })).toBe('PLAIN_TEXT');
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests for cron schedules
+ */
+
+const { CronSchedule } = require('../src/utils/cron');
+
+// Local time, as cron schedules are evaluated in the process's time zone
+const at = (year, month, day, hours = 0, minutes = 0) => new Date(year, month - 1, day, hours, minutes);
+
+describe('CronSchedule', () => {
+    test('should find the next run after a time, not at it', () => {
+        const schedule = new CronSchedule('*/15 * * * *');
+        
+        expect(schedule.next(at(2024, 3, 1, 10, 0))).toEqual(at(2024, 3, 1, 10, 15));
+        expect(schedule.next(new Date(2024, 2, 1, 10, 7, 30))).toEqual(at(2024, 3, 1, 10, 15));
+        expect(schedule.next(at(2024, 3, 1, 23, 45))).toEqual(at(2024, 3, 2, 0, 0));
+    });
+    
+    test('should support ranges, lists, steps and names', () => {
+        const schedule = new CronSchedule('30 9-17/4 * jan,jul mon-fri');
+        
+        // Saturday 2024-01-06 -> Monday 2024-01-08
+        expect(schedule.next(at(2024, 1, 5, 17, 30))).toEqual(at(2024, 1, 8, 9, 30));
+        expect(schedule.next(at(2024, 1, 8, 9, 30))).toEqual(at(2024, 1, 8, 13, 30));
+        expect(schedule.next(at(2024, 1, 31, 17, 30))).toEqual(at(2024, 7, 1, 9, 30));
+    });
+    
+    test('should match either day field when both are restricted', () => {
+        const schedule = new CronSchedule('0 2 1 * sun');
+        
+        // Wednesday 2024-05-01, then Sunday 2024-05-05
+        expect(schedule.next(at(2024, 4, 30, 12))).toEqual(at(2024, 5, 1, 2));
+        expect(schedule.next(at(2024, 5, 1, 2))).toEqual(at(2024, 5, 5, 2));
+        expect(new CronSchedule('0 0 * * 7').matches(at(2024, 5, 5))).toBe(true);
+    });
+    
+    test('should expand shorthands', () => {
+        expect(new CronSchedule('@daily').next(at(2024, 2, 28, 12))).toEqual(at(2024, 2, 29));
+        expect(new CronSchedule('@hourly').next(at(2024, 2, 28, 12, 5))).toEqual(at(2024, 2, 28, 13));
+        expect(new CronSchedule('@monthly').next(at(2024, 12, 15))).toEqual(at(2025, 1, 1));
+    });
+    
+    test('should reject invalid expressions', () => {
+        expect(() => new CronSchedule('* * * *')).toThrow('expected 5 fields, got 4');
+        expect(() => new CronSchedule('60 * * * *')).toThrow('minute "60" is outside 0-59');
+        expect(() => new CronSchedule('* * * foo *')).toThrow('month "foo" is not a valid value');
+        expect(() => new CronSchedule('*/0 * * * *')).toThrow('minute "*/0" has an invalid step');
+        expect(() => new CronSchedule('* 5-2 * * *')).toThrow('hour "5-2" is a reversed range');
+        expect(() => new CronSchedule('0 0 30 2 *').next(at(2024, 1, 1))).toThrow('has no run time in the next 5 years');
+    });
+});
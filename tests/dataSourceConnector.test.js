@@ -0,0 +1,573 @@
+/**
+ * Tests for Data Source Connector
+ */
+
+const DataSourceConnector = require('../src/connectors/dataSourceConnector');
+const config = require('../src/config/config');
+
+describe('DataSourceConnector', () => {
+    let connector;
+    
+    beforeEach(() => {
+        config.set('dataSource.baseUrl', 'https://api.example.com');
+        config.set('pagination.pageSize', 2);
+        config.set('dataSource.fetchConcurrency', 1);
+        config.set('pagination.strategy', 'page');
+        config.set('pagination.maxPages', 100);
+        config.set('rateLimit.dataSourceRequestsPerSecond', 0);
+        config.set('dataSource.maxRetries', 2);
+        config.set('dataSource.retryDelay', 10);
+        
+        connector = new DataSourceConnector(config);
+        connector.delay = jest.fn().mockResolvedValue();
+    });
+    
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+    
+    describe('iterateDocuments', () => {
+        const pages = {
+            1: { documents: [{ id: 1 }, { id: 2 }], hasMore: true },
+            2: { documents: [{ id: 3 }, { id: 4 }], hasMore: true },
+            3: { documents: [{ id: 5 }], hasMore: false }
+        };
+        
+        test('should yield one page at a time until hasMore is false', async () => {
+            connector.fetchPage = jest.fn(async request => pages[request.params.page]);
+            
+            const yielded = [];
+            for await (const page of connector.iterateDocuments()) {
+                yielded.push(page.map(doc => doc.id));
+            }
+            
+            expect(yielded).toEqual([[1, 2], [3, 4], [5]]);
+            expect(connector.fetchPage).toHaveBeenCalledTimes(3);
+        });
+        
+        test('should prefetch pages up to the fetch concurrency', async () => {
+            config.set('dataSource.fetchConcurrency', 3);
+            connector.fetchPage = jest.fn(async request => pages[request.params.page] || { documents: [], hasMore: false });
+            
+            const iterator = connector.iterateDocuments();
+            await iterator.next();
+            
+            expect(connector.fetchPage.mock.calls.map(([request]) => request.params.page)).toEqual([1, 2, 3]);
+            
+            const rest = [];
+            for await (const page of iterator) {
+                rest.push(page.length);
+            }
+            expect(rest).toEqual([2, 1]);
+        });
+        
+        test('should collect every page in fetchAll', async () => {
+            connector.fetchPage = jest.fn(async request => pages[request.params.page]);
+            
+            await expect(connector.fetchAll()).resolves.toHaveLength(5);
+        });
+    });
+    
+    describe('pagination strategies', () => {
+        const respond = (handler) => {
+            connector.client.defaults.adapter = async (request) => {
+                const { data, headers = {} } = handler(request);
+                return { data, status: 200, statusText: 'OK', headers, config: request };
+            };
+        };
+        
+        const collectIds = async () => (await connector.fetchAll()).map(doc => doc.id);
+        
+        test('should follow cursor tokens until none is returned', async () => {
+            config.set('pagination.strategy', 'cursor');
+            config.set('pagination.cursorParam', 'pageToken');
+            config.set('pagination.cursorPath', 'nextPageToken');
+            connector = new DataSourceConnector(config);
+            
+            const cursors = [];
+            respond(request => {
+                cursors.push(request.params.pageToken);
+                return request.params.pageToken ?
+                    { data: { items: [{ id: 2 }] } } :
+                    { data: { items: [{ id: 1 }], nextPageToken: 'abc' } };
+            });
+            
+            await expect(collectIds()).resolves.toEqual([1, 2]);
+            expect(cursors).toEqual([undefined, 'abc']);
+        });
+        
+        test('should fail on a response without a list of documents', async () => {
+            respond(() => ({ data: { error: 'maintenance', results: [{ id: 1 }] } }));
+            
+            await expect(collectIds()).rejects.toThrow('Unexpected response from /documents');
+        });
+        
+        test('should report the position after each page and stop when the signal aborts', async () => {
+            config.set('pagination.strategy', 'cursor');
+            config.set('pagination.cursorParam', 'pageToken');
+            config.set('pagination.cursorPath', 'nextPageToken');
+            connector = new DataSourceConnector(config);
+            
+            const shutdown = new AbortController();
+            const positions = [];
+            respond(request => ({
+                data: { items: [{ id: request.params.pageToken || 'first' }], nextPageToken: `after-${request.params.pageToken || 'first'}` }
+            }));
+            
+            const pages = connector.iterateDocuments({
+                signal: shutdown.signal,
+                onPosition: position => positions.push(position)
+            });
+            
+            await pages.next();
+            shutdown.abort();
+            
+            await expect(pages.next()).rejects.toThrow('aborted');
+            expect(positions).toEqual([expect.objectContaining({ params: expect.objectContaining({ pageToken: 'after-first' }) })]);
+        });
+        
+        test('should page by offset until a short page', async () => {
+            config.set('pagination.strategy', 'offset');
+            connector = new DataSourceConnector(config);
+            
+            const offsets = [];
+            respond(request => {
+                offsets.push(request.params.offset);
+                const ids = [1, 2, 3].slice(request.params.offset, request.params.offset + request.params.limit);
+                return { data: ids.map(id => ({ id })) };
+            });
+            
+            await expect(collectIds()).resolves.toEqual([1, 2, 3]);
+            expect(offsets).toEqual([0, 2]);
+        });
+        
+        test('should follow rel="next" Link headers', async () => {
+            config.set('pagination.strategy', 'link-header');
+            connector = new DataSourceConnector(config);
+            
+            const urls = [];
+            respond(request => {
+                urls.push(request.url);
+                return request.url === '/documents' ?
+                    { data: [{ id: 1 }], headers: { link: '<https://api.example.com/documents?after=1>; rel="next"' } } :
+                    { data: [{ id: 2 }] };
+            });
+            
+            await expect(collectIds()).resolves.toEqual([1, 2]);
+            expect(urls).toEqual(['/documents', 'https://api.example.com/documents?after=1']);
+        });
+        
+        test('should use a custom next-page function', async () => {
+            config.set('pagination.strategy', 'custom');
+            config.set('pagination.custom', ({ page }) => (page.data.next ? { params: { from: page.data.next } } : null));
+            connector = new DataSourceConnector(config);
+            
+            respond(request => (request.params.from ?
+                { data: { documents: [{ id: 2 }] } } :
+                { data: { documents: [{ id: 1 }], next: 'x' } }));
+            
+            await expect(collectIds()).resolves.toEqual([1, 2]);
+        });
+        
+        test('should fail when a cursor repeats', async () => {
+            config.set('pagination.strategy', 'cursor');
+            config.set('pagination.cursorPath', 'nextCursor');
+            connector = new DataSourceConnector(config);
+            
+            respond(() => ({ data: { documents: [{ id: 1 }], nextCursor: 'same' } }));
+            
+            await expect(connector.fetchAll()).rejects.toThrow('Pagination loop detected');
+        });
+        
+        test('should fail when the page cap is reached with pages remaining', async () => {
+            config.set('pagination.maxPages', 2);
+            config.set('dataSource.fetchConcurrency', 3);
+            
+            respond(request => ({ data: { documents: [{ id: request.params.page }], hasMore: true } }));
+            
+            await expect(connector.fetchAll()).rejects.toThrow('Pagination stopped after 2 pages');
+        });
+        
+        test('should not fail when the last page falls on the cap', async () => {
+            config.set('pagination.maxPages', 2);
+            config.set('dataSource.fetchConcurrency', 3);
+            
+            respond(request => ({ data: { documents: [{ id: request.params.page }], hasMore: request.params.page < 2 } }));
+            
+            await expect(collectIds()).resolves.toEqual([1, 2]);
+        });
+    });
+    
+    describe('iterateChanges', () => {
+        test('should split tombstones from changed documents', async () => {
+            connector.client.get = jest.fn().mockResolvedValue({
+                data: {
+                    documents: [{ id: 'a' }, { id: 'b', deleted: true }],
+                    deletedIds: ['c'],
+                    hasMore: false
+                }
+            });
+            
+            await expect(connector.fetchChanges('2024-01-01T00:00:00.000Z')).resolves.toEqual({
+                documents: [{ id: 'a' }],
+                deletions: [{ id: 'c' }, { id: 'b', deleted: true }]
+            });
+        });
+        
+        test('should accept a page with only deletions', async () => {
+            connector.client.get = jest.fn().mockResolvedValue({ data: { deleted: ['c', 'd'], hasMore: false } });
+            
+            await expect(connector.fetchChanges('2024-01-01T00:00:00.000Z')).resolves.toEqual({
+                documents: [],
+                deletions: [{ id: 'c' }, { id: 'd' }]
+            });
+        });
+    });
+    
+    describe('throttling', () => {
+        test('should retry 429 responses after Retry-After', async () => {
+            const calls = [];
+            connector.client.defaults.adapter = async (request) => {
+                calls.push(request.url);
+                if (calls.length === 1) {
+                    const error = new Error('Too Many Requests');
+                    error.config = request;
+                    error.response = { status: 429, headers: { 'retry-after': '0' }, config: request };
+                    throw error;
+                }
+                return { data: { ok: true }, status: 200, statusText: 'OK', headers: {}, config: request };
+            };
+            connector.rateLimiter.pause = jest.fn();
+            
+            const response = await connector.client.get('/documents');
+            
+            expect(response.data).toEqual({ ok: true });
+            expect(calls).toEqual(['/documents', '/documents']);
+            expect(connector.rateLimiter.pause).toHaveBeenCalledWith(0);
+        });
+        
+        test('should give up after maxRetries throttled attempts', async () => {
+            connector.client.defaults.adapter = async (request) => {
+                const error = new Error('Service Unavailable');
+                error.config = request;
+                error.response = { status: 503, headers: {}, config: request };
+                throw error;
+            };
+            connector.rateLimiter.pause = jest.fn();
+            jest.spyOn(Math, 'random').mockReturnValue(1);
+            
+            await expect(connector.client.get('/documents')).rejects.toThrow('Service Unavailable');
+            expect(connector.rateLimiter.pause.mock.calls).toEqual([[10], [20]]);
+        });
+    });
+    
+    describe('authentication', () => {
+        test('should refresh OAuth2 credentials and retry once on 401', async () => {
+            const tokens = ['stale', 'fresh'];
+            connector.authProvider = {
+                refreshable: true,
+                getAuthorization: jest.fn(async () => `Bearer ${tokens[0]}`),
+                invalidate: jest.fn(() => tokens.shift())
+            };
+            
+            const seen = [];
+            connector.client.defaults.adapter = async (request) => {
+                seen.push(request.headers.Authorization);
+                if (request.headers.Authorization === 'Bearer stale') {
+                    const error = new Error('Request failed with status code 401');
+                    error.config = request;
+                    error.response = { status: 401, headers: {}, config: request };
+                    throw error;
+                }
+                return { data: { ok: true }, status: 200, statusText: 'OK', headers: {}, config: request };
+            };
+            
+            await expect(connector.client.get('/documents')).resolves.toMatchObject({ data: { ok: true } });
+            expect(seen).toEqual(['Bearer stale', 'Bearer fresh']);
+            expect(connector.authProvider.invalidate).toHaveBeenCalledTimes(1);
+        });
+        
+        test('should re-resolve rotated secrets on 401 and retry with them', async () => {
+            connector.config = {
+                get: config.get.bind(config),
+                hasSecretReferences: () => true,
+                resolveSecrets: jest.fn(async () => {
+                    config.set('dataSource.apiKey', 'rotated-key');
+                    return ['dataSource.apiKey'];
+                })
+            };
+            
+            const seen = [];
+            connector.client.defaults.adapter = async (request) => {
+                seen.push(request.headers.Authorization);
+                if (request.headers.Authorization !== 'Bearer rotated-key') {
+                    const error = new Error('Request failed with status code 401');
+                    error.config = request;
+                    error.response = { status: 401, headers: {}, config: request };
+                    throw error;
+                }
+                return { data: { ok: true }, status: 200, statusText: 'OK', headers: {}, config: request };
+            };
+            
+            try {
+                await expect(connector.client.get('/documents')).resolves.toMatchObject({ data: { ok: true } });
+                expect(seen).toEqual([undefined, 'Bearer rotated-key']);
+            } finally {
+                config.set('dataSource.apiKey', undefined);
+            }
+        });
+        
+        test('should not retry 401 with static credentials', async () => {
+            config.set('dataSource.apiKey', 'static-key');
+            connector = new DataSourceConnector(config);
+            config.set('dataSource.apiKey', undefined);
+            
+            const seen = [];
+            connector.client.defaults.adapter = async (request) => {
+                seen.push(request.headers.Authorization);
+                const error = new Error('Request failed with status code 401');
+                error.config = request;
+                error.response = { status: 401, headers: {}, config: request };
+                throw error;
+            };
+            
+            await expect(connector.client.get('/documents')).rejects.toThrow('401');
+            expect(seen).toEqual(['Bearer static-key']);
+        });
+    });
+    
+    describe('fetchContent', () => {
+        const serve = (client, seen) => {
+            client.defaults.adapter = async (request) => {
+                seen.push({ url: request.url, authorization: request.headers.Authorization, signal: request.signal });
+                return { data: Buffer.from('bytes'), status: 200, statusText: 'OK', headers: { 'content-type': 'application/pdf' }, config: request };
+            };
+        };
+        
+        beforeEach(() => {
+            config.set('dataSource.apiKey', 'secret-key');
+            config.set('dataSource.trustedOrigins', ['https://files.example.com/ignored/path']);
+            connector = new DataSourceConnector(config);
+            config.set('dataSource.apiKey', undefined);
+            config.set('dataSource.trustedOrigins', []);
+        });
+        
+        test('should send credentials only to the base URL and trusted origins', async () => {
+            const authenticated = [];
+            const anonymous = [];
+            serve(connector.client, authenticated);
+            serve(connector.contentClient, anonymous);
+            
+            await expect(connector.fetchContent('/files/1')).resolves.toEqual({
+                data: Buffer.from('bytes'),
+                contentType: 'application/pdf'
+            });
+            await connector.fetchContent('https://api.example.com/files/2');
+            await connector.fetchContent('https://files.example.com/3');
+            await connector.fetchContent('https://cdn.elsewhere.net/4');
+            await connector.fetchContent('http://api.example.com/files/5');
+            
+            expect(authenticated.map(({ url, authorization }) => [url, authorization])).toEqual([
+                ['/files/1', 'Bearer secret-key'],
+                ['https://api.example.com/files/2', 'Bearer secret-key'],
+                ['https://files.example.com/3', 'Bearer secret-key']
+            ]);
+            expect(anonymous.map(({ url, authorization }) => [url, authorization])).toEqual([
+                ['https://cdn.elsewhere.net/4', undefined],
+                ['http://api.example.com/files/5', undefined]
+            ]);
+        });
+        
+        test('should pass the signal to the download', async () => {
+            const anonymous = [];
+            const controller = new AbortController();
+            serve(connector.contentClient, anonymous);
+            
+            await connector.fetchContent('https://cdn.elsewhere.net/4', { signal: controller.signal });
+            
+            expect(anonymous[0].signal).toBe(controller.signal);
+        });
+    });
+    
+    describe('graphql protocol', () => {
+        const QUERY = 'query Articles($first: Int, $after: String) { search(first: $first, after: $after) { ... } }';
+        let posted;
+        
+        // Serve a Relay connection of five articles, two per page, through the client's adapter
+        const serveConnection = (respond = null) => {
+            posted = [];
+            connector.client.defaults.adapter = async (request) => {
+                const body = JSON.parse(request.data);
+                posted.push(body);
+                
+                const reply = respond && respond(body, request);
+                if (reply) {
+                    return reply;
+                }
+                
+                const start = body.variables.after ? Number(body.variables.after) : 0;
+                const ids = [1, 2, 3, 4, 5].slice(start, start + body.variables.first);
+                const data = {
+                    data: {
+                        search: {
+                            edges: ids.map(id => ({ node: id === 4 ? null : { id, title: `Article ${id}` } })),
+                            pageInfo: { hasNextPage: start + ids.length < 5, endCursor: String(start + ids.length) }
+                        }
+                    }
+                };
+                return { data, status: 200, statusText: 'OK', headers: {}, config: request };
+            };
+        };
+        
+        beforeEach(() => {
+            config.set('dataSource.protocol', 'graphql');
+            config.set('graphql.query', QUERY);
+            config.set('graphql.variables', '{"state":"published"}');
+            config.set('graphql.nodesPath', 'data.search.edges[*].node');
+            
+            connector = new DataSourceConnector(config);
+            connector.delay = jest.fn().mockResolvedValue();
+        });
+        
+        afterEach(() => {
+            config.set('dataSource.protocol', 'rest');
+            config.set('graphql.variables', {});
+            config.set('graphql.sinceVariable', undefined);
+        });
+        
+        test('should follow pageInfo cursors and extract nodes from the configured path', async () => {
+            serveConnection();
+            
+            const documents = await connector.fetchAll();
+            
+            expect(documents.map(doc => doc.id)).toEqual([1, 2, 3, 5]);
+            expect(posted.map(body => body.variables)).toEqual([
+                { state: 'published', first: 2 },
+                { state: 'published', first: 2, after: '2' },
+                { state: 'published', first: 2, after: '4' }
+            ]);
+            expect(posted[0].query).toBe(QUERY);
+        });
+        
+        test('should fail on GraphQL errors even when the response is a 200', async () => {
+            serveConnection((body, request) => ({
+                data: { data: null, errors: [{ message: 'Field "search" is not available', path: ['search'] }] },
+                status: 200,
+                statusText: 'OK',
+                headers: {},
+                config: request
+            }));
+            
+            await expect(connector.fetchAll())
+                .rejects.toThrow('GraphQL request failed: Field "search" is not available (at search)');
+            expect(await connector.testConnection()).toBe(false);
+        });
+        
+        test('should fail when the response has no pageInfo', async () => {
+            serveConnection((body, request) => ({
+                data: { data: { search: { edges: [] } } }, status: 200, statusText: 'OK', headers: {}, config: request
+            }));
+            
+            await expect(connector.fetchAll()).rejects.toThrow('GraphQL response has no pageInfo at data.search.pageInfo');
+        });
+        
+        test('should retry queries on transient failures even though they are POSTs', async () => {
+            let failed = false;
+            serveConnection((body, request) => {
+                if (!failed) {
+                    failed = true;
+                    const error = new Error('Request failed with status code 502');
+                    error.config = request;
+                    error.response = { status: 502, headers: {}, config: request };
+                    throw error;
+                }
+                return null;
+            });
+            
+            expect((await connector.fetchAll()).length).toBe(4);
+            expect(posted).toHaveLength(4);
+        });
+        
+        test('should pass the last sync time as the since variable on incremental syncs', async () => {
+            expect(connector.supportsIncremental()).toBe(false);
+            
+            config.set('graphql.sinceVariable', 'updatedSince');
+            connector = new DataSourceConnector(config);
+            serveConnection();
+            
+            const documents = await connector.fetchIncremental('2024-01-01T00:00:00.000Z');
+            
+            expect(connector.supportsIncremental()).toBe(true);
+            expect(documents).toHaveLength(4);
+            expect(posted[0].variables).toEqual({ state: 'published', updatedSince: '2024-01-01T00:00:00.000Z', first: 2 });
+        });
+    });
+    
+    describe('retries', () => {
+        const failWith = (request, { status, code }) => {
+            const error = new Error(status ? `Request failed with status code ${status}` : 'socket hang up');
+            error.config = request;
+            error.code = code;
+            if (status) {
+                error.response = { status, headers: {}, config: request };
+            }
+            return error;
+        };
+        
+        test('should retry a failed page in place and carry on paginating', async () => {
+            const requestedPages = [];
+            connector.client.defaults.adapter = async (request) => {
+                const page = request.params.page;
+                requestedPages.push(page);
+                if (page === 2 && requestedPages.filter(p => p === 2).length === 1) {
+                    throw failWith(request, { status: 502 });
+                }
+                const data = { documents: [{ id: page }], hasMore: page < 3 };
+                return { data, status: 200, statusText: 'OK', headers: {}, config: request };
+            };
+            
+            const documents = await connector.fetchAll();
+            
+            expect(documents.map(doc => doc.id)).toEqual([1, 2, 3]);
+            expect(requestedPages).toEqual([1, 2, 2, 3]);
+        });
+        
+        test('should retry network errors with jittered exponential backoff', async () => {
+            let attempts = 0;
+            connector.client.defaults.adapter = async (request) => {
+                if (++attempts <= 2) {
+                    throw failWith(request, { code: 'ECONNRESET' });
+                }
+                return { data: { ok: true }, status: 200, statusText: 'OK', headers: {}, config: request };
+            };
+            jest.spyOn(Math, 'random').mockReturnValue(0.5);
+            
+            await expect(connector.client.get('/documents')).resolves.toMatchObject({ data: { ok: true } });
+            expect(connector.delay.mock.calls).toEqual([[8], [15]]);
+        });
+        
+        test('should not retry non-idempotent requests or client errors', async () => {
+            let attempts = 0;
+            connector.client.defaults.adapter = async (request) => {
+                attempts++;
+                throw failWith(request, { status: request.method === 'post' ? 500 : 404 });
+            };
+            
+            await expect(connector.client.post('/documents', {})).rejects.toThrow('500');
+            await expect(connector.client.get('/documents/missing')).rejects.toThrow('404');
+            expect(attempts).toBe(2);
+            expect(connector.delay).not.toHaveBeenCalled();
+        });
+        
+        test('should give up after maxRetries attempts', async () => {
+            let attempts = 0;
+            connector.client.defaults.adapter = async (request) => {
+                attempts++;
+                throw failWith(request, { status: 500 });
+            };
+            
+            await expect(connector.client.get('/documents')).rejects.toThrow('500');
+            expect(attempts).toBe(3);
+        });
+    });
+});
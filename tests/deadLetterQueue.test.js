@@ -0,0 +1,54 @@
+/**
+ * Tests for the dead-letter queue
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DeadLetterQueue = require('../src/state/deadLetterQueue');
+
+describe('DeadLetterQueue', () => {
+    let directory;
+    let queue;
+    
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'q-plugin-dlq-'));
+        queue = new DeadLetterQueue(path.join(directory, 'failures.jsonl'));
+    });
+    
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    
+    test('should append entries with base64 encoded blobs', async () => {
+        await queue.add([{ operation: 'upload', documentId: 'a', document: { id: 'a', content: { blob: Buffer.from('hi') } } }]);
+        await queue.add([{ operation: 'delete', documentId: 'b' }]);
+        
+        const entries = await queue.readAll();
+        
+        expect(entries).toHaveLength(2);
+        expect(entries[0].document.content).toEqual({ blobBase64: 'aGk=' });
+        expect(entries[0].failedAt).toBeDefined();
+    });
+    
+    test('should claim entries and restore blobs', async () => {
+        await queue.add([{ operation: 'upload', documentId: 'a', document: { id: 'a', content: { blob: Buffer.from('hi') } } }]);
+        
+        const { entries, release } = await queue.claim();
+        
+        expect(entries[0].document.content.blob).toEqual(Buffer.from('hi'));
+        await expect(queue.readAll()).resolves.toEqual([]);
+        await release();
+        await expect(queue.claim()).resolves.toMatchObject({ entries: [] });
+    });
+    
+    test('should reclaim entries from an interrupted replay', async () => {
+        await queue.add([{ operation: 'delete', documentId: 'a' }]);
+        await queue.claim();
+        await queue.add([{ operation: 'delete', documentId: 'b' }]);
+        
+        const { entries } = await queue.claim();
+        
+        expect(entries.map(entry => entry.documentId)).toEqual(['a', 'b']);
+    });
+});
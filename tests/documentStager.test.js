@@ -0,0 +1,96 @@
+/**
+ * Tests for Document Stager
+ */
+
+const DocumentStager = require('../src/connectors/documentStager');
+
+describe('DocumentStager', () => {
+    let client;
+    let settings;
+    let stager;
+    
+    const config = { get: key => settings[key] };
+    
+    beforeEach(() => {
+        settings = {
+            'aws.region': 'us-east-1',
+            's3.bucket': 'plugin-bucket',
+            's3.prefix': 'documents/',
+            's3.offloadThreshold': 10,
+            's3.cleanupStaged': true
+        };
+        client = { send: jest.fn().mockResolvedValue({}) };
+        stager = new DocumentStager(config, client);
+    });
+    
+    test('should offload oversized documents to S3', async () => {
+        const small = { id: 'small', content: { blob: Buffer.from('tiny') } };
+        const large = { id: 'large/doc', content: { blob: Buffer.from('a'.repeat(11)) } };
+        
+        const [stagedSmall, stagedLarge] = await stager.stage([small, large]);
+        
+        expect(stagedSmall).toBe(small);
+        expect(stagedLarge.content).toEqual({
+            s3: { bucket: 'plugin-bucket', key: `documents/${stager.runId}/large%2Fdoc` }
+        });
+        expect(client.send).toHaveBeenCalledTimes(1);
+        expect(client.send.mock.calls[0][0].input).toMatchObject({
+            Bucket: 'plugin-bucket',
+            Key: stagedLarge.content.s3.key
+        });
+    });
+    
+    test('should leave oversized documents inline without a bucket', async () => {
+        settings['s3.bucket'] = undefined;
+        stager = new DocumentStager(config, client);
+        const large = { id: 'large', content: { blob: Buffer.from('a'.repeat(11)) } };
+        
+        await expect(stager.stage([large])).resolves.toEqual([large]);
+        expect(client.send).not.toHaveBeenCalled();
+    });
+    
+    test('should delete only staged objects older than the retention period', async () => {
+        const now = Date.parse('2026-01-02T12:00:00Z');
+        const run = '0b6f8e2c-1d3a-4f5b-9c7d-2e4f6a8b0c1d';
+        settings['s3.stagedRetention'] = 86400000;
+        stager = new DocumentStager(config, client);
+        client.send
+            .mockResolvedValueOnce({
+                Contents: [
+                    { Key: `documents/${run}/old`, LastModified: new Date('2026-01-01T06:00:00Z') },
+                    { Key: `documents/${run}/recent`, LastModified: new Date('2026-01-02T06:00:00Z') }
+                ],
+                IsTruncated: true,
+                NextContinuationToken: 'page-2'
+            })
+            .mockResolvedValueOnce({
+                Contents: [
+                    { Key: 'documents/state/manifest.json', LastModified: new Date('2025-12-01T00:00:00Z') },
+                    { Key: `documents/${run}/older`, LastModified: new Date('2025-12-31T00:00:00Z') }
+                ]
+            })
+            .mockResolvedValueOnce({});
+        
+        await expect(stager.sweep(now)).resolves.toBe(2);
+        
+        expect(client.send.mock.calls[1][0].input.ContinuationToken).toBe('page-2');
+        expect(client.send.mock.calls[2][0].input).toEqual({
+            Bucket: 'plugin-bucket',
+            Delete: { Objects: [{ Key: `documents/${run}/old` }, { Key: `documents/${run}/older` }], Quiet: true }
+        });
+    });
+    
+    test('should not sweep when cleanup is disabled', async () => {
+        settings['s3.cleanupStaged'] = false;
+        stager = new DocumentStager(config, client);
+        
+        await expect(stager.sweep()).resolves.toBe(0);
+        expect(client.send).not.toHaveBeenCalled();
+    });
+    
+    test('should not fail when the sweep fails', async () => {
+        client.send.mockRejectedValue(new Error('AccessDenied'));
+        
+        await expect(stager.sweep()).resolves.toBe(0);
+    });
+});
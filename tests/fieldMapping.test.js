@@ -0,0 +1,135 @@
+/**
+ * Tests for Field Mapping
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FieldMapping = require('../src/mapping/fieldMapping');
+const { getPath } = require('../src/utils/objectPath');
+const { loadStructuredFile } = require('../src/utils/fileLoader');
+
+describe('getPath', () => {
+    const record = {
+        meta: { author: { name: 'Ada' } },
+        items: [{ id: 'first' }, { id: 'second' }]
+    };
+    
+    test('should resolve dot and array notation', () => {
+        expect(getPath(record, 'meta.author.name')).toBe('Ada');
+        expect(getPath(record, 'items[1].id')).toBe('second');
+        expect(getPath(record, 'items.0.id')).toBe('first');
+    });
+    
+    test('should map over arrays with wildcards', () => {
+        expect(getPath(record, 'items[*].id')).toEqual(['first', 'second']);
+    });
+    
+    test('should return undefined for missing segments', () => {
+        expect(getPath(record, 'meta.missing.name')).toBeUndefined();
+    });
+});
+
+describe('FieldMapping', () => {
+    test('should keep the built-in mapping by default', () => {
+        const mapping = new FieldMapping();
+        
+        expect(mapping.mapFields({ name: 'Doc', body: 'text', source: 'https://x' })).toMatchObject({
+            title: 'Doc',
+            content: 'text',
+            sourceUri: 'https://x'
+        });
+        expect(mapping.mapAttributes({ author: 'Ada', tags: ['a'] })).toEqual({ author: 'Ada', tags: ['a'] });
+    });
+    
+    test('should apply paths, fallbacks and defaults', () => {
+        const mapping = new FieldMapping({
+            fields: {
+                title: { path: 'fields.summary', fallbacks: ['key'], default: 'No title' },
+                content: 'fields.description'
+            }
+        });
+        
+        expect(mapping.mapFields({ key: 'ENG-1', fields: { description: 'Broken' } })).toMatchObject({
+            title: 'ENG-1',
+            content: 'Broken'
+        });
+        expect(mapping.mapFields({ fields: {} }).title).toBe('No title');
+    });
+    
+    test('should coerce types', () => {
+        const mapping = new FieldMapping({
+            fields: {
+                updatedAt: { path: 'modified', type: 'date' }
+            },
+            attributes: {
+                priority: { path: 'priority', type: 'number' },
+                labels: { path: 'labels', type: 'stringList' },
+                components: { path: 'components[*].name', type: 'stringList' },
+                score: { path: 'score', type: 'number', default: 0 }
+            }
+        });
+        const record = {
+            modified: 1704067200000,
+            priority: '3',
+            labels: 'a, b,,c',
+            components: [{ name: 'api' }, { name: 'ui' }],
+            score: 'n/a'
+        };
+        
+        expect(mapping.mapFields(record).updatedAt).toBe('2024-01-01T00:00:00.000Z');
+        expect(mapping.mapAttributes(record)).toEqual({
+            priority: 3,
+            labels: ['a', 'b', 'c'],
+            components: ['api', 'ui'],
+            score: 0
+        });
+    });
+    
+    test('should add static attributes', () => {
+        const mapping = new FieldMapping({ staticAttributes: { team: 'search' } });
+        
+        expect(mapping.mapAttributes({ author: 'Ada' })).toEqual({ team: 'search', author: 'Ada' });
+    });
+    
+    test('should spread the entries of an object into prefixed attributes', () => {
+        const mapping = new FieldMapping({
+            attributes: {
+                'tag_*': 'tags.*',
+                'rank_*': { path: 'ranks.*', type: 'number' }
+            }
+        });
+        
+        expect(mapping.mapAttributes({
+            tags: { team: 'search', 'data class': 'internal', empty: '' },
+            ranks: { score: '7' }
+        })).toEqual({ tag_team: 'search', tag_data_class: 'internal', rank_score: 7 });
+        expect(mapping.mapAttributes({ tags: ['a'] })).toEqual({});
+        expect(() => new FieldMapping({ fields: { 'title*': 'tags.*' } }))
+            .toThrow('fields.title*: only attributes can use *');
+        expect(() => new FieldMapping({ attributes: { 'tag_*': 'tags' } }))
+            .toThrow('attributes.tag_*: only attributes can use *, with a single path ending in .*');
+    });
+    
+    test('should reject invalid rules', () => {
+        expect(() => new FieldMapping({ attributes: { bad: {} } }))
+            .toThrow('attributes.bad: a path or default is required');
+        expect(() => new FieldMapping({ attributes: { bad: { path: 'x', type: 'uuid' } } }))
+            .toThrow('unknown type uuid');
+    });
+    
+    test('should load mapping definitions from YAML', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'q-plugin-mapping-'));
+        const file = path.join(directory, 'mapping.yaml');
+        fs.writeFileSync(file, 'fields:\n  title: headline\nstaticAttributes:\n  team: search\n');
+        
+        try {
+            const mapping = new FieldMapping(loadStructuredFile(file));
+            
+            expect(mapping.mapFields({ headline: 'Hello' }).title).toBe('Hello');
+            expect(mapping.staticAttributes).toEqual({ team: 'search' });
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
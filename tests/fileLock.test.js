@@ -0,0 +1,62 @@
+/**
+ * Tests for File Lock
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileLock = require('../src/state/fileLock');
+
+describe('FileLock', () => {
+    let directory;
+    let lockPath;
+    
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-lock-'));
+        lockPath = path.join(directory, 'locks', 'wiki.lock');
+    });
+    
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    
+    test('should let only one holder take the lock until it is released', async () => {
+        const first = new FileLock(lockPath);
+        const second = new FileLock(lockPath);
+        
+        expect(await first.acquire()).toBe(true);
+        expect(await second.acquire()).toBe(false);
+        expect(second.holder).toMatchObject({ pid: process.pid, hostname: os.hostname() });
+        
+        // Releasing a lock held by someone else leaves it in place
+        await second.release();
+        expect(fs.existsSync(lockPath)).toBe(true);
+        
+        await first.release();
+        expect(fs.existsSync(lockPath)).toBe(false);
+        expect(await second.acquire()).toBe(true);
+        await second.release();
+    });
+    
+    test('should take over a lock left by a process that is gone', async () => {
+        // A pid above the kernel's pid_max can't belong to a running process
+        fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 22 + 1, hostname: os.hostname(), token: 'crashed' }));
+        
+        const lock = new FileLock(lockPath);
+        
+        expect(await lock.acquire()).toBe(true);
+        expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid).toBe(process.pid);
+        await lock.release();
+    });
+    
+    test('should respect a lock held from another host', async () => {
+        fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 22 + 1, hostname: `not-${os.hostname()}`, token: 'remote' }));
+        
+        const lock = new FileLock(lockPath);
+        
+        expect(await lock.acquire()).toBe(false);
+        expect(lock.holder.hostname).toBe(`not-${os.hostname()}`);
+    });
+});
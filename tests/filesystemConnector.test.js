@@ -0,0 +1,163 @@
+/**
+ * Tests for Filesystem Connector
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const FilesystemConnector = require('../src/connectors/filesystemConnector');
+const PluginManager = require('../src/connectors/pluginManager');
+const config = require('../src/config/config');
+const { BatchPutDocumentCommand, BatchDeleteDocumentCommand } = require('@aws-sdk/client-qbusiness');
+
+jest.mock('@aws-sdk/client-qbusiness');
+
+const collect = async (iterable) => {
+    const pages = [];
+    for await (const page of iterable) {
+        pages.push(page);
+    }
+    return pages;
+};
+
+describe('FilesystemConnector', () => {
+    let root;
+    let stateDirectory;
+    
+    const write = (relativePath, content) => {
+        const filePath = path.join(root, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+    
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'fs-connector-'));
+        stateDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'fs-connector-state-'));
+        
+        write('guide.md', '# Guide');
+        write('reports/q1.pdf', '%PDF-1.7 report');
+        write('reports/scan', '%PDF-1.4 scanned');
+        write('reports/draft.tmp', 'draft');
+        write('node_modules/lib/readme.md', 'vendored');
+        
+        config.set('dataSource.type', 'filesystem');
+        config.set('filesystem.roots', [root]);
+        config.set('filesystem.include', []);
+        config.set('filesystem.exclude', ['*.tmp', 'node_modules/**']);
+        config.set('pagination.pageSize', 2);
+    });
+    
+    afterEach(() => {
+        config.set('dataSource.type', 'api');
+        fs.rmSync(root, { recursive: true, force: true });
+        fs.rmSync(stateDirectory, { recursive: true, force: true });
+    });
+    
+    test('should walk the roots in pages, applying include and exclude globs', async () => {
+        const connector = new FilesystemConnector(config);
+        const pages = await collect(connector.iterateDocuments());
+        
+        expect(pages.map(page => page.map(record => record.relativePath))).toEqual([
+            ['guide.md', 'reports/q1.pdf'],
+            ['reports/scan']
+        ]);
+        
+        config.set('filesystem.include', ['reports/**']);
+        const reports = await new FilesystemConnector(config).fetchAll();
+        
+        expect(reports.map(record => record.relativePath)).toEqual(['reports/q1.pdf', 'reports/scan']);
+    });
+    
+    test('should prune a directory excluded by its bare name', async () => {
+        write('docs/node_modules/pkg/index.md', 'nested vendored');
+        config.set('filesystem.exclude', ['*.tmp', 'node_modules']);
+        
+        const records = await new FilesystemConnector(config).fetchAll();
+        
+        expect(records.map(record => record.relativePath)).toEqual(['guide.md', 'reports/q1.pdf', 'reports/scan']);
+    });
+    
+    test('should describe file metadata', async () => {
+        const filePath = path.join(root, 'guide.md');
+        const record = await new FilesystemConnector(config).fetchById(filePath);
+        const stats = fs.statSync(filePath);
+        
+        expect(record).toMatchObject({
+            path: filePath,
+            relativePath: 'guide.md',
+            name: 'guide.md',
+            url: pathToFileURL(filePath).href,
+            size: 7,
+            mtime: stats.mtime.toISOString()
+        });
+        expect(typeof record.owner).toBe('string');
+        await expect(new FilesystemConnector(config).fetchById('/etc/hostname'))
+            .rejects.toThrow('is not under a configured filesystem root');
+    });
+    
+    test('should detect content types by extension, then magic bytes', async () => {
+        const connector = new FilesystemConnector(config);
+        const content = relativePath => connector.fetchContent(pathToFileURL(path.join(root, relativePath)).href);
+        
+        expect(await content('guide.md')).toEqual({ data: Buffer.from('# Guide'), contentType: 'MD' });
+        expect((await content('reports/scan')).contentType).toBe('PDF');
+    });
+    
+    test('should report files changed since the last sync, and the others as unchanged', async () => {
+        // `since` is an hour past the files' write and change times, and guide.md is given an mtime an hour
+        // past that, so the result doesn't depend on the filesystem's timestamp resolution
+        const since = new Date(Date.now() + 3600000);
+        const revised = new Date(since.getTime() + 3600000);
+        
+        fs.utimesSync(path.join(root, 'guide.md'), revised, revised);
+        
+        const pages = await collect(new FilesystemConnector(config).iterateChanges(since.toISOString()));
+        
+        expect(pages.flatMap(page => page.documents).map(record => record.relativePath)).toEqual(['guide.md']);
+        expect(pages.flatMap(page => page.unchanged).map(record => record.relativePath))
+            .toEqual(['reports/q1.pdf', 'reports/scan']);
+    });
+    
+    test('should fail rather than skip a missing root', async () => {
+        config.set('filesystem.roots', [path.join(root, 'missing')]);
+        const connector = new FilesystemConnector(config);
+        
+        await expect(connector.fetchAll()).rejects.toThrow(/Filesystem root .*missing is not accessible/);
+        expect(await connector.testConnection()).toBe(false);
+    });
+    
+    test('should index files with their metadata and delete vanished files on incremental syncs', async () => {
+        config.set('state.backend', 'file');
+        config.set('state.directory', stateDirectory);
+        config.set('plugin.deadLetterFile', path.join(stateDirectory, 'dead-letter.jsonl'));
+        config.set('aws.dataSourceId', 'fs-ds');
+        config.set('aws.qBusinessApplicationId', 'test-app-id');
+        config.set('aws.indexId', 'test-index-id');
+        config.set('rateLimit.qBusinessRequestsPerSecond', 0);
+        
+        const pluginManager = new PluginManager(config);
+        pluginManager.qBusinessClient.send = jest.fn().mockResolvedValue({ failedDocuments: [] });
+        
+        await pluginManager.sync({ mode: 'full' });
+        
+        const [upload] = BatchPutDocumentCommand.mock.calls[0];
+        const guide = upload.documents.find(doc => doc.id === path.join(root, 'guide.md'));
+        
+        expect(guide).toMatchObject({ title: 'guide.md', contentType: 'MD' });
+        expect(guide.content.blob.toString()).toBe('# Guide');
+        expect(guide.attributes).toMatchObject({ path: path.join(root, 'guide.md'), size: 7 });
+        
+        fs.rmSync(path.join(root, 'reports/scan'));
+        BatchPutDocumentCommand.mockClear();
+        
+        const summary = await pluginManager.sync({ mode: 'incremental' });
+        
+        expect(summary).toMatchObject({ mode: 'incremental', documents: 0, deleted: 1 });
+        expect(BatchPutDocumentCommand).not.toHaveBeenCalled();
+        expect(BatchDeleteDocumentCommand).toHaveBeenCalledWith(expect.objectContaining({
+            documents: [{ documentId: path.join(root, 'reports/scan') }]
+        }));
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for pagination strategies
+ */
+
+const {
+    parseLinkHeader,
+    PagePagination,
+    OffsetPagination,
+    CursorPagination,
+    CustomPagination
+} = require('../src/connectors/pagination');
+
+describe('pagination', () => {
+    const base = { path: '/documents', params: { since: 'yesterday' } };
+    const page = (documents, fields = {}) => ({ documents, data: {}, headers: {}, ...fields });
+    
+    describe('parseLinkHeader', () => {
+        test('should map each rel to its URL', () => {
+            const header = '<https://api.example.com/items?page=3>; rel="next", ' +
+                '<https://api.example.com/items?page=1>; rel="prev first"';
+            
+            expect(parseLinkHeader(header)).toEqual({
+                next: 'https://api.example.com/items?page=3',
+                prev: 'https://api.example.com/items?page=1',
+                first: 'https://api.example.com/items?page=1'
+            });
+        });
+        
+        test('should return no links for a missing header', () => {
+            expect(parseLinkHeader(undefined)).toEqual({});
+        });
+    });
+    
+    describe('PagePagination', () => {
+        const strategy = new PagePagination({ pageSize: 10 });
+        
+        test('should compute any page up front, keeping base params', () => {
+            expect(strategy.at(2, base)).toEqual({
+                url: '/documents',
+                params: { since: 'yesterday', page: 3, limit: 10 },
+                index: 2
+            });
+        });
+        
+        test('should stop when hasMore is false or the page is empty', () => {
+            const request = strategy.first(base);
+            
+            expect(strategy.next(request, page([{}], { hasMore: true }), base).params.page).toBe(2);
+            expect(strategy.next(request, page([{}], { hasMore: false }), base)).toBeNull();
+            expect(strategy.next(request, page([], { hasMore: true }), base)).toBeNull();
+        });
+    });
+    
+    describe('OffsetPagination', () => {
+        const strategy = new OffsetPagination({ pageSize: 2 });
+        
+        test('should use the reported total when there is no hasMore flag', () => {
+            const request = strategy.at(1, base);
+            
+            expect(strategy.next(request, page([{}, {}], { totalCount: 4 }), base)).toBeNull();
+            expect(strategy.next(request, page([{}, {}], { totalCount: 5 }), base).params.offset).toBe(4);
+        });
+    });
+    
+    describe('CursorPagination', () => {
+        test('should read the cursor from common response fields', () => {
+            const strategy = new CursorPagination({ pageSize: 5 });
+            const next = strategy.next(strategy.first(base), page([{}], { data: { next_page_token: 't2' } }), base);
+            
+            expect(next.params).toEqual({ since: 'yesterday', limit: 5, cursor: 't2' });
+        });
+        
+        test('should stop without a cursor', () => {
+            const strategy = new CursorPagination();
+            
+            expect(strategy.next(strategy.first(base), page([{}]), base)).toBeNull();
+        });
+    });
+    
+    describe('CustomPagination', () => {
+        test('should require a next function', () => {
+            expect(() => new CustomPagination({})).toThrow('next(context)');
+        });
+    });
+});
@@ -2,16 +2,31 @@
  * Tests for Plugin Manager
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const PluginManager = require('../src/connectors/pluginManager');
 const config = require('../src/config/config');
+const { BatchPutDocumentCommand, BatchDeleteDocumentCommand } = require('@aws-sdk/client-qbusiness');
 
 // Mock AWS SDK
 jest.mock('@aws-sdk/client-qbusiness');
 
+// Mock connector iterator yielding the given pages
+const pagesOf = (...pages) => jest.fn(async function* () {
+    yield* pages;
+});
+
 describe('PluginManager', () => {
     let pluginManager;
+    let stateDirectory;
     
     beforeEach(() => {
+        stateDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'q-plugin-test-'));
+        config.set('state.backend', 'file');
+        config.set('state.directory', stateDirectory);
+        config.set('plugin.deadLetterFile', path.join(stateDirectory, 'dead-letter.jsonl'));
+        config.set('aws.dataSourceId', 'test-ds');
         // Set up test configuration
         config.set('aws.region', 'us-east-1');
         config.set('aws.qBusinessApplicationId', 'test-app-id');
@@ -19,10 +34,19 @@ describe('PluginManager', () => {
         config.set('dataSource.batchSize', 10);
         config.set('plugin.maxRetries', 2);
         config.set('plugin.retryDelay', 100);
+        config.set('plugin.shutdownTimeout', 30000);
+        config.set('plugin.checkpointInterval', 60000);
+        config.set('plugin.maxDeleteRatio', 0.5);
+        config.set('plugin.name', 'test-plugin');
+        config.set('rateLimit.qBusinessRequestsPerSecond', 0);
         
         pluginManager = new PluginManager(config);
     });
     
+    afterEach(() => {
+        fs.rmSync(stateDirectory, { recursive: true, force: true });
+    });
+    
     describe('transformDocument', () => {
         test('should transform document to Amazon Q Business format', () => {
             const inputDoc = {
@@ -54,7 +78,61 @@ describe('PluginManager', () => {
             const result = pluginManager.transformDocument(inputDoc);
             
             expect(result.id).toBeDefined();
-            expect(result.id).toMatch(/^test-plugin-\d+-[a-f0-9]{8}$/);
+            expect(result.id).toMatch(/^test-plugin-[a-f0-9]{32}$/);
+        });
+    });
+    
+    describe('content types', () => {
+        test('should use the declared content type', () => {
+            const result = pluginManager.transformDocument({ id: 'md', content: '# Title', contentType: 'text/markdown' });
+            
+            expect(result.contentType).toBe('MD');
+        });
+        
+        test('should serialize structured content as JSON', () => {
+            const result = pluginManager.transformDocument({ id: 'json', content: { key: 'value' } });
+            
+            expect(result.contentType).toBe('JSON');
+            expect(result.content.blob.toString()).toBe('{"key":"value"}');
+        });
+        
+        test('should pass attachment bytes through with the response content type', () => {
+            const data = Buffer.from([0x25, 0x50, 0x44, 0x46, 0x2d, 0xff, 0x00]);
+            const result = pluginManager.transformDocument(
+                { id: 'pdf', contentUrl: 'https://example.com/files/123' },
+                { data, contentType: 'application/pdf' }
+            );
+            
+            expect(result.contentType).toBe('PDF');
+            expect(result.content.blob).toBe(data);
+        });
+        
+        test('should skip documents whose attachment fails to download', async () => {
+            pluginManager.dataSourceConnector.fetchContent = jest.fn()
+                .mockResolvedValueOnce({ data: Buffer.from('<html></html>'), contentType: undefined })
+                .mockRejectedValueOnce(new Error('404'));
+            
+            const { documents, skippedIds } = await pluginManager.transformDocuments([
+                { id: 'ok', contentUrl: 'https://example.com/ok' },
+                { id: 'missing', contentUrl: 'https://example.com/missing' }
+            ]);
+            
+            expect(documents.map(doc => [doc.id, doc.contentType])).toEqual([['ok', 'HTML']]);
+            expect(skippedIds).toEqual(['missing']);
+        });
+        
+        test('should fail the page when an attachment download is cancelled', async () => {
+            const controller = new AbortController();
+            pluginManager.dataSourceConnector.fetchContent = jest.fn(async () => {
+                controller.abort();
+                throw new Error('canceled');
+            });
+            
+            await expect(pluginManager.transformDocuments([
+                { id: 'ok', contentUrl: 'https://example.com/ok' }
+            ], new Set(), { signal: controller.signal })).rejects.toThrow('canceled');
+            expect(pluginManager.dataSourceConnector.fetchContent)
+                .toHaveBeenCalledWith('https://example.com/ok', { signal: controller.signal });
         });
     });
     
@@ -71,6 +149,10 @@ describe('PluginManager', () => {
     });
     
     describe('generateDocumentId', () => {
+        beforeEach(() => {
+            config.set('dataSource.idFields', ['url']);
+        });
+        
         test('should generate unique IDs', () => {
             const doc1 = { title: 'Doc 1', content: 'Content 1' };
             const doc2 = { title: 'Doc 2', content: 'Content 2' };
@@ -79,8 +161,541 @@ describe('PluginManager', () => {
             const id2 = pluginManager.generateDocumentId(doc2);
             
             expect(id1).not.toBe(id2);
-            expect(id1).toMatch(/^test-plugin-\d+-[a-f0-9]{8}$/);
-            expect(id2).toMatch(/^test-plugin-\d+-[a-f0-9]{8}$/);
+            expect(id1).toMatch(/^test-plugin-[a-f0-9]{32}$/);
+            expect(id2).toMatch(/^test-plugin-[a-f0-9]{32}$/);
+        });
+        
+        test('should generate the same ID across syncs', () => {
+            const doc = { title: 'Doc', url: 'https://example.com/doc' };
+            
+            expect(pluginManager.generateDocumentId(doc)).toBe(pluginManager.generateDocumentId({ ...doc }));
+        });
+        
+        test('should derive IDs from identity fields only', () => {
+            config.set('dataSource.idFields', ['meta.space', 'meta.key']);
+            
+            const before = { meta: { space: 'ENG', key: 'runbook' }, content: 'v1' };
+            const after = { meta: { space: 'ENG', key: 'runbook' }, content: 'v2' };
+            const other = { meta: { space: 'OPS', key: 'runbook' }, content: 'v1' };
+            
+            expect(pluginManager.generateDocumentId(before)).toBe(pluginManager.generateDocumentId(after));
+            expect(pluginManager.generateDocumentId(before)).not.toBe(pluginManager.generateDocumentId(other));
+        });
+        
+        test('should include the plugin name in the ID', () => {
+            const doc = { url: 'https://example.com/doc' };
+            const id = pluginManager.generateDocumentId(doc);
+            
+            config.set('plugin.name', 'other-plugin');
+            
+            expect(pluginManager.generateDocumentId(doc)).not.toBe(id.replace('test-plugin', 'other-plugin'));
+        });
+    });
+    
+    describe('transformDocuments', () => {
+        test('should drop records that map to the same ID', async () => {
+            config.set('dataSource.idFields', ['url']);
+            
+            const { documents, collisions } = await pluginManager.transformDocuments([
+                { url: 'https://example.com/a', content: 'first' },
+                { url: 'https://example.com/a', content: 'second' },
+                { url: 'https://example.com/b', content: 'third' }
+            ]);
+            
+            expect(collisions).toBe(1);
+            expect(documents).toHaveLength(2);
+            expect(documents[0].content.blob.toString()).toBe('first');
+        });
+    });
+    
+    describe('sync', () => {
+        beforeEach(() => {
+            jest.clearAllMocks();
+            pluginManager.qBusinessClient.send = jest.fn().mockResolvedValue({ failedDocuments: [] });
+            pluginManager.delay = jest.fn().mockResolvedValue();
+            pluginManager.dataSourceConnector.iterateDocuments = pagesOf(
+                [{ id: 'a', title: 'A', content: 'a' }],
+                [{ id: 'b', title: 'B', content: 'b' }]
+            );
+            pluginManager.dataSourceConnector.iterateChanges = pagesOf({
+                documents: [{ id: 'b', title: 'B', content: 'b2' }],
+                deletions: [{ id: 'a', deleted: true }]
+            });
+        });
+        
+        test('should fall back to full sync when no watermark exists', async () => {
+            const summary = await pluginManager.sync({ mode: 'incremental' });
+            
+            expect(summary.mode).toBe('full');
+            expect(summary.watermarkAdvanced).toBe(true);
+            expect(pluginManager.dataSourceConnector.iterateDocuments).toHaveBeenCalled();
+            expect(pluginManager.dataSourceConnector.iterateChanges).not.toHaveBeenCalled();
+        });
+        
+        test('should fall back to full sync when the connector cannot list changes', async () => {
+            await pluginManager.saveSyncState({ lastSyncTime: '2024-01-01T00:00:00.000Z' });
+            pluginManager.dataSourceConnector.supportsIncremental = () => false;
+            
+            const summary = await pluginManager.sync({ mode: 'incremental' });
+            
+            expect(summary.mode).toBe('full');
+            expect(pluginManager.dataSourceConnector.iterateChanges).not.toHaveBeenCalled();
+        });
+        
+        test('should fetch changes since the stored watermark', async () => {
+            await pluginManager.saveSyncState({ lastSyncTime: '2024-01-01T00:00:00.000Z' });
+            
+            const summary = await pluginManager.sync({ mode: 'incremental' });
+            const state = await pluginManager.loadSyncState();
+            
+            expect(summary).toMatchObject({ mode: 'incremental', documents: 1 });
+            expect(pluginManager.dataSourceConnector.iterateChanges)
+                .toHaveBeenCalledWith('2024-01-01T00:00:00.000Z', expect.objectContaining({ signal: null }));
+            expect(state.lastSyncTime > '2024-01-01T00:00:00.000Z').toBe(true);
+        });
+        
+        test('should not advance the watermark when documents fail', async () => {
+            await pluginManager.saveSyncState({ lastSyncTime: '2024-01-01T00:00:00.000Z' });
+            pluginManager.qBusinessClient.send.mockResolvedValue({
+                failedDocuments: [{ id: 'b', error: { errorCode: 'InvalidRequest' } }]
+            });
+            
+            const summary = await pluginManager.sync({ mode: 'incremental' });
+            const state = await pluginManager.loadSyncState();
+            
+            expect(summary.watermarkAdvanced).toBe(false);
+            expect(state.lastSyncTime).toBe('2024-01-01T00:00:00.000Z');
+        });
+        
+        test('should delete tombstoned documents in incremental mode', async () => {
+            await pluginManager.saveSyncState({ lastSyncTime: '2024-01-01T00:00:00.000Z' });
+            await pluginManager.saveManifest(new Map([['a', 'fp-a'], ['b', 'fp-b']]));
+            
+            const summary = await pluginManager.sync({ mode: 'incremental' });
+            
+            expect(summary.deleted).toBe(1);
+            expect(BatchDeleteDocumentCommand).toHaveBeenCalledWith(expect.objectContaining({
+                documents: [{ documentId: 'a' }]
+            }));
+            expect([...(await pluginManager.loadManifest()).keys()]).toEqual(['b']);
+        });
+        
+        test('should delete documents missing since the previous full sync', async () => {
+            await pluginManager.saveManifest(new Map([['a', 'fp-a'], ['b', 'fp-b'], ['stale', 'fp-stale']]));
+            
+            const summary = await pluginManager.sync({ mode: 'full' });
+            
+            expect(summary.deleted).toBe(1);
+            expect(BatchDeleteDocumentCommand).toHaveBeenCalledWith(expect.objectContaining({
+                documents: [{ documentId: 'stale' }]
+            }));
+            expect([...(await pluginManager.loadManifest()).keys()].sort()).toEqual(['a', 'b']);
+        });
+        
+        test('should retry failed delete batches', async () => {
+            pluginManager.qBusinessClient.send = jest.fn()
+                .mockRejectedValueOnce(new Error('throttled'))
+                .mockResolvedValue({ failedDocuments: [] });
+            
+            const result = await pluginManager.processDeletions(['a']);
+            
+            expect(result).toEqual({ batches: 1, failedDocuments: 0, failedIds: [], cancelledIds: [], completedBatches: [1] });
+            expect(pluginManager.qBusinessClient.send).toHaveBeenCalledTimes(2);
+        });
+        
+        test('should fail the sync when a batch fails and retries are disabled', async () => {
+            config.set('plugin.maxRetries', 0);
+            pluginManager.qBusinessClient.send = jest.fn().mockRejectedValue(new Error('service unavailable'));
+            
+            await expect(pluginManager.sync({ mode: 'full' })).rejects.toThrow('service unavailable');
+            expect(pluginManager.qBusinessClient.send).toHaveBeenCalledTimes(1);
+            expect(await pluginManager.loadManifest()).toEqual(new Map());
+            expect(await pluginManager.loadSyncState()).toEqual({});
+        });
+        
+        test('should skip documents whose fingerprint is unchanged', async () => {
+            await pluginManager.sync({ mode: 'full' });
+            pluginManager.dataSourceConnector.iterateDocuments = pagesOf([
+                { id: 'a', title: 'A', content: 'a' },
+                { id: 'b', title: 'B', content: 'b changed' },
+                { id: 'c', title: 'C', content: 'c' }
+            ]);
+            pluginManager.qBusinessClient.send.mockClear();
+            
+            const summary = await pluginManager.sync({ mode: 'full' });
+            
+            expect(summary).toMatchObject({ new: 1, changed: 1, unchanged: 1, deleted: 0 });
+            expect(pluginManager.qBusinessClient.send).toHaveBeenCalledTimes(1);
+            expect(BatchPutDocumentCommand).toHaveBeenLastCalledWith(expect.objectContaining({
+                documents: [expect.objectContaining({ id: 'b' }), expect.objectContaining({ id: 'c' })]
+            }));
+        });
+        
+        test('should keep the previous fingerprint of documents that failed to upload', async () => {
+            await pluginManager.saveManifest(new Map([['a', 'old-a']]));
+            pluginManager.qBusinessClient.send.mockResolvedValue({
+                failedDocuments: [{ id: 'a', error: { errorCode: 'InvalidRequest' } }]
+            });
+            
+            const summary = await pluginManager.sync({ mode: 'full' });
+            const manifest = await pluginManager.loadManifest();
+            
+            expect(summary).toMatchObject({ new: 1, changed: 1, failedDocuments: 1 });
+            expect(manifest.get('a')).toBe('old-a');
+            expect(manifest.get('b')).toMatch(/^[a-f0-9]{64}$/);
+        });
+        
+        test('should send staged documents with the role that reads them', async () => {
+            const stagedDocument = { id: 'a', content: { s3: { bucket: 'bucket', key: 'documents/a' } } };
+            config.set('s3.roleArn', 'arn:aws:iam::123456789012:role/StagedDocuments');
+            pluginManager.documentStager.stage = jest.fn().mockResolvedValue([stagedDocument]);
+            
+            await pluginManager.processBatches([{ id: 'a', content: { blob: Buffer.alloc(20) } }]);
+            
+            expect(BatchPutDocumentCommand).toHaveBeenCalledWith(expect.objectContaining({
+                documents: [stagedDocument],
+                roleArn: 'arn:aws:iam::123456789012:role/StagedDocuments'
+            }));
+        });
+        
+        test('should retry retryable document failures on their own', async () => {
+            pluginManager.qBusinessClient.send = jest.fn()
+                .mockResolvedValueOnce({
+                    failedDocuments: [{ id: 'b', error: { errorCode: 'InternalError', errorMessage: 'boom' } }]
+                })
+                .mockResolvedValue({ failedDocuments: [] });
+            
+            const result = await pluginManager.processBatches([
+                { id: 'a', content: { blob: Buffer.from('a') } },
+                { id: 'b', content: { blob: Buffer.from('b') } }
+            ]);
+            
+            expect(result.failedDocuments).toBe(0);
+            expect(BatchPutDocumentCommand).toHaveBeenLastCalledWith(expect.objectContaining({
+                documents: [expect.objectContaining({ id: 'b' })]
+            }));
+            await expect(pluginManager.deadLetterQueue.readAll()).resolves.toEqual([]);
+        });
+        
+        test('should dead-letter permanent and exhausted failures', async () => {
+            pluginManager.qBusinessClient.send = jest.fn().mockResolvedValue({
+                failedDocuments: [
+                    { id: 'a', error: { errorCode: 'InvalidRequest', errorMessage: 'bad' } },
+                    { id: 'b', error: { errorCode: 'InternalError', errorMessage: 'boom' } }
+                ]
+            });
+            
+            const result = await pluginManager.processBatches([
+                { id: 'a', content: { blob: Buffer.from('a') } },
+                { id: 'b', content: { blob: Buffer.from('b') } }
+            ]);
+            const entries = await pluginManager.deadLetterQueue.readAll();
+            
+            expect(result.failedIds.sort()).toEqual(['a', 'b']);
+            expect(pluginManager.qBusinessClient.send).toHaveBeenCalledTimes(3);
+            expect(entries.map(entry => [entry.documentId, entry.errorCode, entry.retries])).toEqual([
+                ['a', 'InvalidRequest', 0],
+                ['b', 'InternalError', 2]
+            ]);
+            expect(entries[0].document.content).toEqual({ blobBase64: Buffer.from('a').toString('base64') });
+        });
+        
+        test('should replay dead-lettered documents', async () => {
+            await pluginManager.deadLetterQueue.add([
+                { operation: 'upload', documentId: 'a', document: { id: 'a', content: { blob: Buffer.from('a') } } },
+                { operation: 'delete', documentId: 'gone' }
+            ]);
+            
+            const summary = await pluginManager.replayFailures();
+            
+            expect(summary).toEqual({ replayed: 2, failedDocuments: 0, failedDeletions: 0 });
+            expect(BatchPutDocumentCommand).toHaveBeenCalledWith(expect.objectContaining({
+                documents: [{ id: 'a', content: { blob: Buffer.from('a') } }]
+            }));
+            expect(BatchDeleteDocumentCommand).toHaveBeenCalledWith(expect.objectContaining({
+                documents: [{ documentId: 'gone' }]
+            }));
+            expect((await pluginManager.loadManifest()).has('a')).toBe(true);
+            await expect(pluginManager.deadLetterQueue.claim()).resolves.toMatchObject({ entries: [] });
+        });
+        
+        test('should detect collisions across pages', async () => {
+            pluginManager.dataSourceConnector.iterateDocuments = pagesOf(
+                [{ id: 'a', title: 'A', content: 'first' }],
+                [{ id: 'a', title: 'A', content: 'second' }]
+            );
+            
+            const summary = await pluginManager.sync({ mode: 'full' });
+            
+            expect(summary).toMatchObject({ documents: 1, collisions: 1, new: 1 });
+        });
+        
+        test('should upload batches while later pages are still being fetched', async () => {
+            config.set('dataSource.batchSize', 1);
+            const events = [];
+            pluginManager.dataSourceConnector.iterateDocuments = jest.fn(async function* () {
+                events.push('fetch 1');
+                yield [{ id: 'a', content: 'a' }];
+                events.push('fetch 2');
+                yield [{ id: 'b', content: 'b' }];
+                events.push('source exhausted');
+            });
+            pluginManager.qBusinessClient.send = jest.fn(async () => {
+                events.push('upload');
+                return { failedDocuments: [] };
+            });
+            
+            await pluginManager.sync({ mode: 'full' });
+            
+            expect(events.filter(event => event === 'upload')).toHaveLength(2);
+            expect(events.indexOf('upload')).toBeLessThan(events.indexOf('source exhausted'));
+        });
+        
+        test('should finish queued uploads and keep the watermark when interrupted', async () => {
+            await pluginManager.saveManifest(new Map([['stale', 'fp-stale']]));
+            const shutdown = new AbortController();
+            pluginManager.dataSourceConnector.iterateDocuments = jest.fn(async function* () {
+                yield [{ id: 'a', title: 'A', content: 'a' }];
+                shutdown.abort();
+                yield [{ id: 'b', title: 'B', content: 'b' }];
+            });
+            
+            const summary = await pluginManager.sync({ mode: 'full', signal: shutdown.signal });
+            
+            expect(summary).toMatchObject({ interrupted: true, documents: 1, deleted: 0, watermarkAdvanced: false });
+            expect(BatchPutDocumentCommand).toHaveBeenCalledTimes(1);
+            expect(BatchDeleteDocumentCommand).not.toHaveBeenCalled();
+            expect([...(await pluginManager.loadManifest()).keys()].sort()).toEqual(['a', 'stale']);
+            expect(await pluginManager.loadSyncState()).toEqual({});
+        });
+        
+        test('should checkpoint the position after the last uploaded page when interrupted', async () => {
+            const shutdown = new AbortController();
+            pluginManager.dataSourceConnector.iterateDocuments = jest.fn(async function* ({ onPosition }) {
+                onPosition({ page: 2 });
+                yield [{ id: 'a', title: 'A', content: 'a' }];
+                shutdown.abort();
+                onPosition({ page: 3 });
+                yield [{ id: 'b', title: 'B', content: 'b' }];
+            });
+            
+            const summary = await pluginManager.sync({ mode: 'full', signal: shutdown.signal });
+            
+            expect(pluginManager.dataSourceConnector.iterateDocuments)
+                .toHaveBeenCalledWith(expect.objectContaining({ signal: shutdown.signal }));
+            expect(summary.checkpoint).toMatchObject({
+                runId: summary.runId,
+                mode: 'full',
+                since: null,
+                pages: 1,
+                position: { page: 2 },
+                batches: 1,
+                deltas: 1
+            });
+            expect(await pluginManager.loadCheckpoint()).toEqual({
+                ...summary.checkpoint,
+                seenIds: ['a'],
+                fingerprints: { a: expect.stringMatching(/^[a-f0-9]{64}$/) },
+                failedIds: [],
+                deletedIds: []
+            });
+            
+            // A run that finishes removes the checkpoint
+            await pluginManager.sync({ mode: 'full' });
+            expect(await pluginManager.loadCheckpoint()).toBeNull();
+        });
+        
+        test('should refuse to delete the index when a full sync lists nothing', async () => {
+            await pluginManager.saveManifest(new Map([['a', 'fp-a'], ['b', 'fp-b']]));
+            await pluginManager.saveSyncState({ lastSyncTime: '2024-01-01T00:00:00.000Z' });
+            pluginManager.dataSourceConnector.iterateDocuments = pagesOf([]);
+            
+            const summary = await pluginManager.sync({ mode: 'full' });
+            
+            expect(summary).toMatchObject({ deleted: 0, refusedDeletions: 2, watermarkAdvanced: false });
+            expect(BatchDeleteDocumentCommand).not.toHaveBeenCalled();
+            expect([...(await pluginManager.loadManifest()).keys()]).toEqual(['a', 'b']);
+            expect((await pluginManager.loadSyncState()).lastSyncTime).toBe('2024-01-01T00:00:00.000Z');
+        });
+        
+        test('should refuse deletions above the configured share of the index', async () => {
+            const indexed = ['a', 'b', 'c', 'd', 'e'];
+            await pluginManager.saveManifest(new Map(indexed.map(id => [id, `fp-${id}`])));
+            
+            // a and b listed, so c, d and e would be deleted: 60% of the index
+            let summary = await pluginManager.sync({ mode: 'full' });
+            expect(summary).toMatchObject({ deleted: 0, refusedDeletions: 3 });
+            expect(BatchDeleteDocumentCommand).not.toHaveBeenCalled();
+            
+            config.set('plugin.maxDeleteRatio', 0.6);
+            summary = await pluginManager.sync({ mode: 'full' });
+            expect(summary).toMatchObject({ deleted: 3, refusedDeletions: 0, watermarkAdvanced: true });
+            expect([...(await pluginManager.loadManifest()).keys()].sort()).toEqual(['a', 'b']);
+        });
+        
+        test('should resume a crashed run from its last periodic checkpoint', async () => {
+            config.set('plugin.checkpointInterval', 0);
+            config.set('plugin.maxDeleteRatio', 1);
+            config.set('dataSource.batchSize', 1);
+            await pluginManager.saveManifest(new Map([['stale', 'fp-stale']]));
+            pluginManager.dataSourceConnector.iterateDocuments = jest.fn()
+                .mockImplementationOnce(async function* ({ onPosition }) {
+                    onPosition('after-a');
+                    yield [{ id: 'a', title: 'A', content: 'a' }];
+                    onPosition('after-b');
+                    yield [{ id: 'b', title: 'B', content: 'b' }];
+                    throw new Error('connection reset');
+                })
+                .mockImplementationOnce(async function* ({ onPosition, resumeFrom }) {
+                    expect(resumeFrom).toBe('after-a');
+                    onPosition('after-b');
+                    yield [{ id: 'b', title: 'B', content: 'b' }];
+                    onPosition(null);
+                    yield [{ id: 'c', title: 'C', content: 'c' }];
+                });
+            
+            await expect(pluginManager.sync({ mode: 'full' })).rejects.toThrow('connection reset');
+            
+            // Page b's batch was still uploading when its checkpoint was written
+            const checkpoint = await pluginManager.loadCheckpoint();
+            expect(checkpoint).toMatchObject({ mode: 'full', pages: 1, position: 'after-a', seenIds: ['a'] });
+            
+            const summary = await pluginManager.sync({ mode: 'incremental', resume: true });
+            
+            expect(summary).toMatchObject({ runId: checkpoint.runId, mode: 'full', resumed: true, documents: 3, new: 3 });
+            expect(summary.deleted).toBe(1);
+            expect([...(await pluginManager.loadManifest()).keys()].sort()).toEqual(['a', 'b', 'c']);
+            expect((await pluginManager.loadSyncState()).lastFullSyncTime).toBe(checkpoint.startedAt);
+            expect(await pluginManager.loadCheckpoint()).toBeNull();
+        });
+        
+        test('should append only the pages uploaded since the last checkpoint', async () => {
+            config.set('plugin.checkpointInterval', 0);
+            config.set('dataSource.batchSize', 1);
+            const stateKey = pluginManager.getStateKey('checkpoint');
+            const saves = [];
+            const save = pluginManager.stateStore.save.bind(pluginManager.stateStore);
+            pluginManager.stateStore.save = jest.fn(async (key, value) => {
+                if (key.startsWith(stateKey)) {
+                    saves.push([key.slice(stateKey.length), value.seenIds ?? value.pages]);
+                }
+                return save(key, value);
+            });
+            pluginManager.dataSourceConnector.iterateDocuments = jest.fn(async function* ({ onPosition }) {
+                for (const id of ['a', 'b', 'c']) {
+                    onPosition(`after-${id}`);
+                    yield [{ id, title: id, content: id }];
+                }
+                throw new Error('connection reset');
+            });
+            
+            await expect(pluginManager.sync({ mode: 'full' })).rejects.toThrow('connection reset');
+            
+            // Each save writes the pages uploaded since the previous one, then the header
+            expect(saves).toEqual([
+                ['', 0],
+                ['.delta-1', ['a']], ['', 1],
+                ['.delta-2', ['b']], ['', 2]
+            ]);
+            expect(await pluginManager.loadCheckpoint()).toMatchObject({ pages: 2, position: 'after-b', deltas: 2, seenIds: ['a', 'b'] });
+            
+            await pluginManager.clearCheckpoint();
+            expect(fs.readdirSync(stateDirectory).filter(file => file.startsWith(stateKey))).toEqual([]);
+        });
+        
+        test('should not delete unchanged documents listed before the checkpoint of a resumed run', async () => {
+            config.set('plugin.checkpointInterval', 0);
+            config.set('plugin.maxDeleteRatio', 1);
+            config.set('dataSource.batchSize', 1);
+            await pluginManager.saveManifest(new Map([['a', 'fp-a'], ['b', 'fp-b'], ['c', 'fp-c']]));
+            await pluginManager.saveSyncState({ lastSyncTime: '2024-01-01T00:00:00.000Z' });
+            pluginManager.dataSourceConnector.reportsUnchanged = true;
+            const changedPage = { documents: [{ id: 'c', title: 'C', content: 'c2' }], deletions: [], unchanged: [] };
+            pluginManager.dataSourceConnector.iterateChanges = jest.fn()
+                .mockImplementationOnce(async function* (since, { onPosition }) {
+                    onPosition('after-ab');
+                    yield { documents: [], deletions: [], unchanged: [{ id: 'a' }, { id: 'b' }] };
+                    onPosition(null);
+                    yield changedPage;
+                    throw new Error('connection reset');
+                })
+                .mockImplementationOnce(async function* (since, { onPosition }) {
+                    onPosition(null);
+                    yield changedPage;
+                });
+            
+            await expect(pluginManager.sync({ mode: 'incremental' })).rejects.toThrow('connection reset');
+            expect(await pluginManager.loadCheckpoint()).toMatchObject({ position: 'after-ab', seenIds: ['a', 'b'] });
+            
+            const summary = await pluginManager.sync({ mode: 'incremental', resume: true });
+            
+            expect(summary).toMatchObject({ mode: 'incremental', resumed: true, deleted: 0 });
+            expect(pluginManager.dataSourceConnector.iterateChanges)
+                .toHaveBeenLastCalledWith('2024-01-01T00:00:00.000Z', expect.objectContaining({ resumeFrom: 'after-ab' }));
+            expect(BatchDeleteDocumentCommand).not.toHaveBeenCalled();
+            expect([...(await pluginManager.loadManifest()).keys()].sort()).toEqual(['a', 'b', 'c']);
+        });
+        
+        test('should start a fresh run when the checkpoint is stale or the configuration changed', async () => {
+            const checkpoint = {
+                runId: 'crashed-run',
+                mode: 'full',
+                startedAt: new Date().toISOString(),
+                since: null,
+                configHash: pluginManager.getConfigHash(),
+                pages: 1,
+                position: 'after-a',
+                batches: 1,
+                savedAt: new Date(Date.now() - 2 * 86400000).toISOString()
+            };
+            
+            await pluginManager.saveCheckpoint(checkpoint);
+            const stale = await pluginManager.sync({ mode: 'full', resume: true });
+            
+            await pluginManager.saveCheckpoint({ ...checkpoint, savedAt: new Date().toISOString() });
+            config.set('pagination.pageSize', 50);
+            const reconfigured = await pluginManager.sync({ mode: 'full', resume: true });
+            
+            expect([stale.resumed, reconfigured.resumed]).toEqual([false, false]);
+            expect(reconfigured.runId).not.toBe('crashed-run');
+            expect(pluginManager.dataSourceConnector.iterateDocuments)
+                .toHaveBeenCalledWith(expect.objectContaining({ resumeFrom: null }));
+            expect(pluginManager.dataSourceConnector.iterateDocuments)
+                .not.toHaveBeenCalledWith(expect.objectContaining({ resumeFrom: 'after-a' }));
+        });
+        
+        test('should cancel uploads still running after the shutdown timeout', async () => {
+            config.set('plugin.shutdownTimeout', 0);
+            config.set('dataSource.batchSize', 1);
+            const shutdown = new AbortController();
+            pluginManager.qBusinessClient.send = jest.fn((command, { abortSignal }) => new Promise((resolve, reject) => {
+                shutdown.abort();
+                abortSignal.addEventListener('abort', () => reject(abortSignal.reason));
+            }));
+            
+            const summary = await pluginManager.sync({ mode: 'full', signal: shutdown.signal });
+            
+            expect(summary).toMatchObject({ interrupted: true, cancelledDocuments: 1, failedDocuments: 0 });
+            expect(summary.checkpoint).toMatchObject({ pages: 0, position: null, batches: 0, deltas: 0 });
+            expect(pluginManager.qBusinessClient.send).toHaveBeenCalledTimes(1);
+            expect(await pluginManager.loadManifest()).toEqual(new Map());
+            expect(fs.existsSync(pluginManager.deadLetterQueue.filePath)).toBe(false);
+        });
+        
+        test('should retry Q Business throttling errors through the limiter', async () => {
+            const throttled = Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' });
+            pluginManager.qBusinessClient.send = jest.fn()
+                .mockRejectedValueOnce(throttled)
+                .mockResolvedValue({ failedDocuments: [] });
+            pluginManager.qBusinessLimiter.pause = jest.fn();
+            
+            await expect(pluginManager.sendCommand({})).resolves.toEqual({ failedDocuments: [] });
+            expect(pluginManager.qBusinessLimiter.pause).toHaveBeenCalledWith(100);
+            expect(pluginManager.qBusinessClient.send).toHaveBeenCalledTimes(2);
+        });
+        
+        test('should reject unknown modes', async () => {
+            await expect(pluginManager.sync({ mode: 'partial' })).rejects.toThrow('Unknown sync mode');
         });
     });
 });
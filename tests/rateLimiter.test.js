@@ -0,0 +1,98 @@
+/**
+ * Tests for the rate limiter
+ */
+
+const { RateLimiter, parseRetryAfter, isThrottlingError } = require('../src/utils/rateLimiter');
+
+describe('RateLimiter', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+    });
+    
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+    
+    test('should allow a burst and then wait for tokens', async () => {
+        const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 2 });
+        const start = Date.now();
+        let acquired = false;
+        
+        await limiter.acquire();
+        await limiter.acquire();
+        expect(Date.now() - start).toBe(0);
+        
+        const third = limiter.acquire().then(() => {
+            acquired = true;
+        });
+        
+        await jest.advanceTimersByTimeAsync(99);
+        expect(acquired).toBe(false);
+        
+        await jest.advanceTimersByTimeAsync(1);
+        await third;
+        expect(acquired).toBe(true);
+        expect(Date.now() - start).toBe(100);
+    });
+    
+    test('should not limit when the rate is 0', async () => {
+        const limiter = new RateLimiter({ requestsPerSecond: 0 });
+        limiter.sleep = jest.fn();
+        
+        for (let i = 0; i < 5; i++) {
+            await limiter.acquire();
+        }
+        
+        expect(limiter.sleep).not.toHaveBeenCalled();
+    });
+    
+    test('should hold requests while paused', async () => {
+        const limiter = new RateLimiter({ requestsPerSecond: 0 });
+        const start = Date.now();
+        
+        let acquired = false;
+        
+        limiter.pause(5000);
+        const waiting = limiter.acquire().then(() => {
+            acquired = true;
+        });
+        
+        await jest.advanceTimersByTimeAsync(4999);
+        expect(acquired).toBe(false);
+        
+        await jest.advanceTimersByTimeAsync(1);
+        await waiting;
+        expect(acquired).toBe(true);
+        expect(Date.now() - start).toBe(5000);
+    });
+    
+    test('should stop waiting when the signal aborts', async () => {
+        const limiter = new RateLimiter({ requestsPerSecond: 0 });
+        const shutdown = new AbortController();
+        
+        limiter.pause(60000);
+        const waiting = limiter.acquire(shutdown.signal);
+        shutdown.abort();
+        
+        await expect(waiting).rejects.toThrow('aborted');
+    });
+});
+
+describe('parseRetryAfter', () => {
+    test('should parse seconds and HTTP dates', () => {
+        const now = Date.parse('2024-01-01T00:00:00Z');
+        
+        expect(parseRetryAfter('120')).toBe(120000);
+        expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now)).toBe(30000);
+        expect(parseRetryAfter(undefined)).toBeNull();
+        expect(parseRetryAfter('soon')).toBeNull();
+    });
+});
+
+describe('isThrottlingError', () => {
+    test('should recognise AWS throttling errors', () => {
+        expect(isThrottlingError({ name: 'ThrottlingException' })).toBe(true);
+        expect(isThrottlingError({ $retryable: { throttling: true } })).toBe(true);
+        expect(isThrottlingError({ name: 'ValidationException' })).toBe(false);
+    });
+});
@@ -0,0 +1,205 @@
+/**
+ * Tests for S3 Connector
+ */
+
+const {
+    ListObjectsV2Command,
+    HeadObjectCommand,
+    GetObjectTaggingCommand,
+    GetObjectCommand
+} = require('@aws-sdk/client-s3');
+const S3Connector = require('../src/connectors/s3Connector');
+const logger = require('../src/utils/logger');
+const FieldMapping = require('../src/mapping/fieldMapping');
+
+// Configuration stub whose `get` reads from a flat map of settings
+const configOf = (settings) => ({ get: path => settings[path] });
+
+const collect = async (iterable) => {
+    const pages = [];
+    for await (const page of iterable) {
+        pages.push(page);
+    }
+    return pages;
+};
+
+// In-memory bucket answering the S3 commands the connector sends
+const createBucket = (objects) => {
+    const keys = Object.keys(objects).sort();
+    
+    const send = jest.fn(async (command) => {
+        const { Key, Prefix = '', MaxKeys, ContinuationToken } = command.input;
+        const object = objects[Key];
+        
+        if (command instanceof ListObjectsV2Command) {
+            const matching = keys.filter(key => key.startsWith(Prefix));
+            const start = ContinuationToken ? Number(ContinuationToken) : 0;
+            const end = start + MaxKeys;
+            
+            return {
+                Contents: matching.slice(start, end).map(key => ({
+                    Key: key,
+                    Size: (objects[key].body || '').length,
+                    ETag: `"${objects[key].etag}"`,
+                    LastModified: new Date(objects[key].lastModified)
+                })),
+                IsTruncated: end < matching.length,
+                NextContinuationToken: end < matching.length ? String(end) : undefined
+            };
+        }
+        if (!object) {
+            throw Object.assign(new Error('Not Found'), { name: 'NotFound', $metadata: { httpStatusCode: 404 } });
+        }
+        if (command instanceof HeadObjectCommand) {
+            return { ContentType: object.contentType, Metadata: object.metadata };
+        }
+        if (command instanceof GetObjectTaggingCommand) {
+            return { TagSet: Object.entries(object.tags || {}).map(([key, value]) => ({ Key: key, Value: value })) };
+        }
+        if (command instanceof GetObjectCommand) {
+            return {
+                ContentType: object.contentType,
+                Body: { transformToByteArray: async () => new Uint8Array(Buffer.from(object.body)) }
+            };
+        }
+        throw new Error(`Unexpected command ${command.constructor.name}`);
+    });
+    
+    return { send };
+};
+
+const sentCommands = (client, Command) => client.send.mock.calls
+    .map(([command]) => command)
+    .filter(command => command instanceof Command);
+
+describe('S3Connector', () => {
+    let client;
+    let settings;
+    
+    beforeEach(() => {
+        client = createBucket({
+            'docs/': { etag: 'folder', lastModified: '2024-01-01T00:00:00Z' },
+            'docs/guide.md': {
+                body: '# Guide',
+                etag: 'etag-guide',
+                lastModified: '2024-01-01T00:00:00Z',
+                contentType: 'text/markdown',
+                metadata: { owner: 'ada' },
+                tags: { team: 'search', 'data class': 'internal' }
+            },
+            'docs/reports/q1.pdf': { body: '%PDF-1.7', etag: 'etag-q1', lastModified: '2024-03-01T12:00:00Z' },
+            'docs/reports/draft.tmp': { body: 'draft', etag: 'etag-draft', lastModified: '2024-03-01T12:00:00Z' },
+            'docs/scan': { body: '%PDF-1.4', etag: 'etag-scan', lastModified: '2024-03-01T12:00:00Z' },
+            'other/readme.md': { body: 'elsewhere', etag: 'etag-other', lastModified: '2024-01-01T00:00:00Z' }
+        });
+        settings = {
+            's3Source.bucket': 'corpus',
+            's3Source.prefix': 'docs/',
+            's3Source.exclude': ['*.tmp'],
+            'pagination.pageSize': 2
+        };
+    });
+    
+    test('should list the prefix page by page, following continuation tokens', async () => {
+        const connector = new S3Connector(configOf(settings), client);
+        const pages = await collect(connector.iterateDocuments());
+        
+        expect(pages.map(page => page.map(record => record.key))).toEqual([
+            ['docs/guide.md'],
+            ['docs/reports/q1.pdf'],
+            ['docs/scan']
+        ]);
+        expect(sentCommands(client, ListObjectsV2Command).map(command => command.input)).toEqual([
+            expect.objectContaining({ Bucket: 'corpus', Prefix: 'docs/', MaxKeys: 2, ContinuationToken: undefined }),
+            expect.objectContaining({ ContinuationToken: '2' }),
+            expect.objectContaining({ ContinuationToken: '4' })
+        ]);
+        
+        settings['s3Source.include'] = ['reports/**'];
+        const reports = await new S3Connector(configOf(settings), client).fetchAll();
+        
+        expect(reports.map(record => record.key)).toEqual(['docs/reports/q1.pdf']);
+    });
+    
+    test('should map object metadata and tags to document attributes', async () => {
+        const connector = new S3Connector(configOf(settings), client);
+        const record = await connector.fetchById('s3://corpus/docs/guide.md');
+        const mapping = new FieldMapping(connector.getDefaultMapping());
+        
+        expect(record).toMatchObject({
+            url: 's3://corpus/docs/guide.md',
+            name: 'guide.md',
+            contentType: 'text/markdown',
+            metadata: { owner: 'ada' },
+            tags: { team: 'search', 'data class': 'internal' }
+        });
+        expect(mapping.mapFields(record)).toMatchObject({ id: 's3://corpus/docs/guide.md', title: 'guide.md' });
+        expect(mapping.mapAttributes(record)).toMatchObject({
+            key: 'docs/guide.md',
+            metadata_owner: 'ada',
+            tag_team: 'search',
+            tag_data_class: 'internal'
+        });
+        await expect(connector.fetchById('s3://elsewhere/docs/guide.md'))
+            .rejects.toThrow('is not in the configured bucket corpus');
+    });
+    
+    test('should only describe objects modified since the last sync, reporting the others as unchanged', async () => {
+        const connector = new S3Connector(configOf(settings), client);
+        const pages = await collect(connector.iterateChanges('2024-03-01T12:00:00.500Z'));
+        
+        // LastModified has whole-second precision, so objects from the watermark's second count as changed
+        expect(pages.flatMap(page => page.documents).map(record => record.key))
+            .toEqual(['docs/reports/q1.pdf', 'docs/scan']);
+        expect(pages.flatMap(page => page.unchanged).map(record => record.key)).toEqual(['docs/guide.md']);
+        expect(sentCommands(client, HeadObjectCommand).map(command => command.input.Key))
+            .toEqual(['docs/reports/q1.pdf', 'docs/scan']);
+        expect(connector.supportsIncremental()).toBe(true);
+        expect(connector.reportsUnchanged).toBe(true);
+    });
+    
+    test('should fail on a repeated continuation token rather than end the listing', async () => {
+        client.send = jest.fn().mockResolvedValue({
+            Contents: [{ Key: 'docs/guide.md', LastModified: new Date() }],
+            IsTruncated: true,
+            NextContinuationToken: 'same'
+        });
+        settings['s3Source.fetchMetadata'] = false;
+        settings['s3Source.fetchTags'] = false;
+        
+        await expect(new S3Connector(configOf(settings), client).fetchAll())
+            .rejects.toThrow('S3 listing repeated continuation token same');
+    });
+    
+    test('should download object content with its stored content type', async () => {
+        const connector = new S3Connector(configOf(settings), client);
+        
+        expect(await connector.fetchContent('s3://corpus/docs/guide.md'))
+            .toEqual({ data: Buffer.from('# Guide'), contentType: 'text/markdown' });
+        await expect(connector.fetchContent('https://corpus/docs/guide.md')).rejects.toThrow('Invalid S3 URL');
+    });
+    
+    test('should rethrow an aborted download without logging it as an error', async () => {
+        const abort = Object.assign(new Error('Request aborted'), { name: 'AbortError' });
+        client.send = jest.fn().mockRejectedValue(abort);
+        const errorLog = jest.spyOn(logger, 'error').mockImplementation(() => {});
+        
+        await expect(new S3Connector(configOf(settings), client).fetchContent('s3://corpus/docs/guide.md'))
+            .rejects.toBe(abort);
+        expect(errorLog).not.toHaveBeenCalled();
+        errorLog.mockRestore();
+    });
+    
+    test('should connect to a configured S3-compatible endpoint', async () => {
+        const connector = new S3Connector(configOf({
+            ...settings,
+            'aws.region': 'us-east-1',
+            's3Source.endpoint': 'http://localhost:4566',
+            's3Source.forcePathStyle': true
+        }));
+        
+        expect(await connector.client.config.endpoint()).toMatchObject({ hostname: 'localhost', port: 4566 });
+        expect(connector.client.config.forcePathStyle).toBe(true);
+        expect(await connector.client.config.region()).toBe('us-east-1');
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for secret references
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config/config');
+const { SecretResolver, SecretsManagerProvider } = require('../src/config/secrets');
+const { redact, clearSecrets, REDACTED } = require('../src/utils/redaction');
+
+describe('secrets', () => {
+    let tmpDir;
+    
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-'));
+    });
+    
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        delete process.env.TEST_SECRET_VALUE;
+        delete process.env.DATA_SOURCE_API_KEY;
+        delete process.env.DATA_SOURCE_PASSWORD;
+        delete process.env.CONFIG_FILE;
+        clearSecrets();
+    });
+    
+    describe('SecretResolver', () => {
+        test('should resolve file: and env: references', async () => {
+            const secretFile = path.join(tmpDir, 'api-key');
+            fs.writeFileSync(secretFile, 'from-file\n');
+            process.env.TEST_SECRET_VALUE = 'from-env';
+            const resolver = new SecretResolver();
+            
+            await expect(resolver.resolve(`file:${secretFile}`)).resolves.toBe('from-file');
+            await expect(resolver.resolve('env:TEST_SECRET_VALUE')).resolves.toBe('from-env');
+        });
+        
+        test('should read a field of a JSON secret from Secrets Manager', async () => {
+            const client = { send: jest.fn().mockResolvedValue({ SecretString: '{"apiKey":"from-aws"}' }) };
+            const resolver = new SecretResolver({ secretsmanager: new SecretsManagerProvider({ client }) });
+            
+            await expect(resolver.resolve('secretsmanager:prod/source#apiKey')).resolves.toBe('from-aws');
+            expect(client.send.mock.calls[0][0].input).toEqual({ SecretId: 'prod/source' });
+        });
+        
+        test('should name the reference that failed to resolve', async () => {
+            const resolver = new SecretResolver();
+            
+            await expect(resolver.resolve('env:TEST_SECRET_VALUE'))
+                .rejects.toThrow('Failed to resolve secret reference env:TEST_SECRET_VALUE: Environment variable TEST_SECRET_VALUE is not set');
+        });
+        
+        test('should accept stub providers', async () => {
+            const resolver = new SecretResolver();
+            resolver.register('secretsmanager', { resolve: async id => `stub-${id}` });
+            
+            await expect(resolver.resolve('secretsmanager:anything')).resolves.toBe('stub-anything');
+        });
+    });
+    
+    describe('Config', () => {
+        const Config = config.constructor;
+        
+        test('should resolve references and re-resolve rotated values', async () => {
+            const secretFile = path.join(tmpDir, 'api-key');
+            fs.writeFileSync(secretFile, 'first-key');
+            process.env.DATA_SOURCE_API_KEY = `file:${secretFile}`;
+            const instance = new Config();
+            
+            expect(instance.hasSecretReferences()).toBe(true);
+            await expect(instance.resolveSecrets()).resolves.toEqual(['dataSource.apiKey']);
+            expect(instance.get('dataSource.apiKey')).toBe('first-key');
+            
+            await expect(instance.resolveSecrets()).resolves.toEqual([]);
+            
+            fs.writeFileSync(secretFile, 'second-key');
+            await expect(instance.resolveSecrets()).resolves.toEqual(['dataSource.apiKey']);
+            expect(instance.get('dataSource.apiKey')).toBe('second-key');
+        });
+        
+        test('should re-resolve rotated secrets that a data source inherits', async () => {
+            const secretFile = path.join(tmpDir, 'api-key');
+            const configFile = path.join(tmpDir, 'config.json');
+            fs.writeFileSync(secretFile, 'first-key');
+            fs.writeFileSync(configFile, JSON.stringify({
+                dataSource: { apiKey: `file:${secretFile}` },
+                sources: [
+                    { name: 'wiki', aws: { dataSourceId: 'wiki-ds' } },
+                    { name: 'tickets', aws: { dataSourceId: 'tickets-ds' }, dataSource: { apiKey: 'tickets-key' } }
+                ]
+            }));
+            process.env.CONFIG_FILE = configFile;
+            const instance = new Config();
+            await instance.resolveSecrets();
+            
+            const wiki = instance.forSource('wiki');
+            const tickets = instance.forSource('tickets');
+            
+            expect(wiki.get('dataSource.apiKey')).toBe('first-key');
+            expect(tickets.hasSecretReferences()).toBe(false);
+            
+            fs.writeFileSync(secretFile, 'second-key');
+            await expect(wiki.resolveSecrets()).resolves.toEqual(['dataSource.apiKey']);
+            expect(wiki.get('dataSource.apiKey')).toBe('second-key');
+            expect(wiki.getEffectiveConfig()['dataSource.apiKey'].value).toBe(REDACTED);
+            await expect(tickets.resolveSecrets()).resolves.toEqual([]);
+            expect(tickets.get('dataSource.apiKey')).toBe('tickets-key');
+        });
+        
+        test('should redact secrets from getAll() without changing the configuration', () => {
+            process.env.DATA_SOURCE_PASSWORD = 'plain-password';
+            const instance = new Config();
+            
+            const all = instance.getAll();
+            
+            expect(all.dataSource.password).toBe(REDACTED);
+            expect(all.dataSource.apiKey).toBeUndefined();
+            expect(instance.get('dataSource.password')).toBe('plain-password');
+        });
+        
+        test('should register secrets for log redaction', async () => {
+            process.env.TEST_SECRET_VALUE = 'rotating-secret';
+            process.env.DATA_SOURCE_API_KEY = 'env:TEST_SECRET_VALUE';
+            const instance = new Config();
+            await instance.resolveSecrets();
+            
+            const error = new Error('request with rotating-secret failed');
+            error.config = { headers: { Authorization: 'Bearer rotating-secret' } };
+            
+            expect(redact({ message: 'key=rotating-secret', error })).toEqual({
+                message: `key=${REDACTED}`,
+                error: expect.objectContaining({
+                    message: `request with ${REDACTED} failed`,
+                    config: { headers: { Authorization: `Bearer ${REDACTED}` } }
+                })
+            });
+        });
+    });
+});
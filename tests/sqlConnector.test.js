@@ -0,0 +1,182 @@
+/**
+ * Tests for SQL Connector
+ * Runs against SQLite files, so no database server is needed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SqlConnector = require('../src/connectors/sqlConnector');
+const { PostgresClient, MysqlClient } = require('../src/connectors/sqlClients');
+const PluginManager = require('../src/connectors/pluginManager');
+const config = require('../src/config/config');
+const { BatchPutDocumentCommand } = require('@aws-sdk/client-qbusiness');
+
+jest.mock('@aws-sdk/client-qbusiness');
+
+// better-sqlite3 is a native module; where it has no build for this Node version the suite is skipped.
+// Its binding loads with the first database, so one is opened here.
+const Database = (() => {
+    try {
+        const Driver = require('better-sqlite3');
+        new Driver(':memory:').close();
+        return Driver;
+    } catch (error) {
+        return null;
+    }
+})();
+
+const collect = async (iterable) => {
+    const pages = [];
+    for await (const page of iterable) {
+        pages.push(page);
+    }
+    return pages;
+};
+
+(Database ? describe : describe.skip)('SqlConnector', () => {
+    let directory;
+    let database;
+    
+    const insertArticle = (id, title, updatedAt, published = 1) => database
+        .prepare('INSERT INTO articles (article_id, title, body, author, published, updated_at) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(id, title, `Body of ${title}`, 'Ada', published, updatedAt);
+    
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sql-connector-'));
+        database = new Database(path.join(directory, 'kb.sqlite'));
+        database.exec(`CREATE TABLE articles (
+            article_id INTEGER PRIMARY KEY,
+            title TEXT,
+            body TEXT,
+            author TEXT,
+            published INTEGER,
+            updated_at TEXT
+        )`);
+        
+        insertArticle(3, 'Retries', '2024-01-03 09:00:00');
+        insertArticle(1, 'Getting started', '2024-01-01T09:00:00.000Z');
+        insertArticle(7, 'Draft', '2024-03-01 09:00:00', 0);
+        insertArticle(12, 'Pagination', '2024-03-02T10:30:00.000Z');
+        insertArticle(9, 'Rate limits', '2024-03-01 12:00:00');
+        
+        config.set('dataSource.type', 'sql');
+        config.set('sql.client', 'sqlite');
+        config.set('sql.connection', path.join(directory, 'kb.sqlite'));
+        config.set('sql.query', 'SELECT * FROM articles WHERE published = 1;');
+        config.set('sql.keyColumn', 'article_id');
+        config.set('sql.updatedAtColumn', 'updated_at');
+        config.set('pagination.pageSize', 2);
+    });
+    
+    afterEach(() => {
+        config.set('dataSource.type', 'api');
+        database.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    
+    test('should page through the query in key order', async () => {
+        const pages = await collect(new SqlConnector(config).iterateDocuments());
+        
+        expect(pages.map(page => page.map(row => row.article_id))).toEqual([[1, 3], [9, 12]]);
+        expect(pages[0][0]).toMatchObject({ title: 'Getting started', body: 'Body of Getting started', author: 'Ada' });
+    });
+    
+    test('should report the last key of each page and resume after it', async () => {
+        const positions = [];
+        const pages = await collect(new SqlConnector(config).iterateDocuments({
+            onPosition: position => positions.push(position)
+        }));
+        
+        expect(pages).toHaveLength(2);
+        expect(positions).toEqual([3, 12]);
+        
+        const resumed = await collect(new SqlConnector(config).iterateDocuments({ resumeFrom: 3 }));
+        expect(resumed.map(page => page.map(row => row.article_id))).toEqual([[9, 12]]);
+    });
+    
+    test('should keep paging by key while rows are inserted', async () => {
+        const pages = [];
+        
+        for await (const page of new SqlConnector(config).iterateDocuments()) {
+            pages.push(page.map(row => row.article_id));
+            
+            if (pages.length === 1) {
+                insertArticle(2, 'Inserted before the cursor', '2024-03-05 00:00:00');
+                insertArticle(10, 'Inserted after the cursor', '2024-03-05 00:00:00');
+            }
+        }
+        
+        expect(pages).toEqual([[1, 3], [9, 10], [12]]);
+    });
+    
+    test('should list rows updated since the last sync, whatever their timestamp format', async () => {
+        const connector = new SqlConnector(config);
+        const changes = await connector.fetchIncremental('2024-03-01T11:00:00.000Z');
+        
+        expect(changes.map(row => row.article_id)).toEqual([9, 12]);
+        expect(connector.supportsIncremental()).toBe(true);
+    });
+    
+    test('should fetch rows by key and check the query', async () => {
+        const connector = new SqlConnector(config);
+        
+        expect(await connector.fetchById(3)).toMatchObject({ article_id: 3, title: 'Retries' });
+        await expect(connector.fetchById(7)).rejects.toThrow('No row with article_id 7');
+        expect(await connector.testConnection()).toBe(true);
+        
+        config.set('sql.query', 'SELECT title FROM articles');
+        await expect(new SqlConnector(config).fetchAll()).rejects.toThrow(/no such column/);
+        
+        config.set('sql.connection', path.join(directory, 'missing.sqlite'));
+        expect(await new SqlConnector(config).testConnection()).toBe(false);
+    });
+    
+    test('should build keyset queries in each dialect', () => {
+        const connector = new SqlConnector(config);
+        const since = new Date('2024-01-01T00:00:00.000Z');
+        
+        expect(connector.buildQuery(new PostgresClient(), { since, after: 9, limit: 2 })).toEqual([
+            'SELECT * FROM (SELECT * FROM articles WHERE published = 1) AS source ' +
+                'WHERE "updated_at" > $1 AND "article_id" > $2 ORDER BY "article_id" LIMIT $3',
+            [since, 9, 2]
+        ]);
+        expect(connector.buildQuery(new MysqlClient(), { key: 3, limit: 1 })).toEqual([
+            'SELECT * FROM (SELECT * FROM articles WHERE published = 1) AS source ' +
+                'WHERE `article_id` = ? ORDER BY `article_id` LIMIT ?',
+            [3, 1]
+        ]);
+    });
+    
+    test('should map columns to documents through the field mapping', async () => {
+        config.set('state.backend', 'file');
+        config.set('state.directory', directory);
+        config.set('plugin.deadLetterFile', path.join(directory, 'dead-letter.jsonl'));
+        config.set('aws.dataSourceId', 'sql-ds');
+        config.set('aws.qBusinessApplicationId', 'test-app-id');
+        config.set('aws.indexId', 'test-index-id');
+        config.set('rateLimit.qBusinessRequestsPerSecond', 0);
+        config.set('mapping.definition', {
+            fields: { id: 'article_id', updatedAt: { path: 'updated_at', type: 'date' } },
+            attributes: { author: 'author' }
+        });
+        
+        try {
+            const pluginManager = new PluginManager(config);
+            pluginManager.qBusinessClient.send = jest.fn().mockResolvedValue({ failedDocuments: [] });
+            
+            const summary = await pluginManager.sync({ mode: 'full' });
+            const [upload] = BatchPutDocumentCommand.mock.calls[0];
+            
+            expect(summary).toMatchObject({ documents: 4, new: 4 });
+            expect(upload.documents[0]).toMatchObject({
+                id: '1',
+                title: 'Getting started',
+                attributes: { _updated_at: '2024-01-01T09:00:00.000Z', author: 'Ada' }
+            });
+            expect(upload.documents[0].content.blob.toString()).toBe('Body of Getting started');
+        } finally {
+            config.set('mapping.definition', null);
+        }
+    });
+});
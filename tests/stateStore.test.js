@@ -0,0 +1,84 @@
+/**
+ * Tests for state stores
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStateStore, S3StateStore, createStateStore } = require('../src/state/stateStore');
+
+describe('FileStateStore', () => {
+    let directory;
+    let store;
+    
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'q-plugin-state-'));
+        store = new FileStateStore(directory);
+    });
+    
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    
+    test('should return null for missing keys', async () => {
+        await expect(store.load('missing')).resolves.toBeNull();
+    });
+    
+    test('should round-trip saved state', async () => {
+        await store.save('sync-state-ds', { lastSyncTime: '2024-01-01T00:00:00.000Z' });
+        
+        await expect(store.load('sync-state-ds')).resolves.toEqual({
+            lastSyncTime: '2024-01-01T00:00:00.000Z'
+        });
+        expect(fs.readdirSync(directory)).toEqual(['sync-state-ds.json']);
+    });
+    
+    test('should remove state', async () => {
+        await store.save('key', { a: 1 });
+        await store.remove('key');
+        
+        await expect(store.load('key')).resolves.toBeNull();
+    });
+});
+
+describe('S3StateStore', () => {
+    test('should read and write JSON objects under the prefix', async () => {
+        const objects = {};
+        const client = {
+            send: jest.fn(async (command) => {
+                const { Bucket, Key, Body } = command.input;
+                const name = command.constructor.name;
+                
+                if (name === 'PutObjectCommand') {
+                    objects[`${Bucket}/${Key}`] = Body;
+                    return {};
+                }
+                if (!objects[`${Bucket}/${Key}`]) {
+                    const error = new Error('missing');
+                    error.name = 'NoSuchKey';
+                    throw error;
+                }
+                return { Body: { transformToString: async () => objects[`${Bucket}/${Key}`] } };
+            })
+        };
+        const store = new S3StateStore({ bucket: 'bucket', prefix: 'state/', client });
+        
+        await expect(store.load('sync-state-ds')).resolves.toBeNull();
+        await store.save('sync-state-ds', { lastSyncTime: 'now' });
+        
+        expect(Object.keys(objects)).toEqual(['bucket/state/sync-state-ds.json']);
+        await expect(store.load('sync-state-ds')).resolves.toEqual({ lastSyncTime: 'now' });
+    });
+    
+    test('should require a bucket', () => {
+        expect(() => new S3StateStore({ prefix: 'state/' })).toThrow('requires a bucket');
+    });
+});
+
+describe('createStateStore', () => {
+    test('should reject unknown backends', () => {
+        const config = { get: (key) => ({ 'state.backend': 'redis' })[key] };
+        
+        expect(() => createStateStore(config)).toThrow('Unknown state backend: redis');
+    });
+});
@@ -0,0 +1,226 @@
+/**
+ * Tests for Sync Coordinator
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SyncCoordinator = require('../src/connectors/syncCoordinator');
+const FileLock = require('../src/state/fileLock');
+
+jest.mock('@aws-sdk/client-qbusiness');
+
+// Configuration stub whose `get` reads from a flat map of settings
+const configOf = (settings) => ({
+    get: jest.fn(path => settings[path]),
+    resolveSecrets: jest.fn().mockResolvedValue([]),
+    validate: jest.fn().mockReturnValue(true)
+});
+
+const syncSummary = (overrides = {}) => ({
+    mode: 'full',
+    documents: 3,
+    new: 3,
+    changed: 0,
+    deleted: 0,
+    failedDocuments: 0,
+    failedDeletions: 0,
+    ...overrides
+});
+
+describe('SyncCoordinator', () => {
+    let stateDirectory;
+    let sources;
+    let config;
+    let managers;
+    let coordinator;
+    
+    beforeEach(() => {
+        stateDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-coordinator-'));
+        const sourceOf = settings => configOf({ 'state.directory': stateDirectory, ...settings });
+        sources = {
+            wiki: sourceOf({ 'dataSource.syncMode': 'incremental', 'dataSource.syncInterval': 60000 }),
+            tickets: sourceOf({ 'dataSource.syncMode': 'full', 'dataSource.syncInterval': 60000 }),
+            crm: sourceOf({ 'dataSource.syncMode': 'full', 'dataSource.syncInterval': 60000 })
+        };
+        config = {
+            get: jest.fn(),
+            getSourceNames: () => Object.keys(sources),
+            forSource: jest.fn(name => sources[name])
+        };
+        
+        managers = new Map();
+        coordinator = new SyncCoordinator(config, {
+            createManager: sourceConfig => {
+                const manager = {
+                    sync: jest.fn().mockResolvedValue(syncSummary()),
+                    replayFailures: jest.fn().mockResolvedValue({ replayed: 1, failedDocuments: 0, failedDeletions: 0 }),
+                    loadSyncState: jest.fn().mockResolvedValue({})
+                };
+                managers.set(sourceConfig, manager);
+                return manager;
+            }
+        });
+    });
+    
+    afterEach(() => {
+        fs.rmSync(stateDirectory, { recursive: true, force: true });
+    });
+    
+    test('should run every source with its own configuration and sync mode', async () => {
+        const results = await coordinator.run();
+        
+        expect(results.map(({ source, status }) => [source, status])).toEqual([
+            ['wiki', 'succeeded'],
+            ['tickets', 'succeeded'],
+            ['crm', 'succeeded']
+        ]);
+        expect(managers.get(sources.wiki).sync).toHaveBeenCalledWith({ mode: 'incremental' });
+        expect(managers.get(sources.tickets).sync).toHaveBeenCalledWith({ mode: 'full' });
+        expect(sources.crm.resolveSecrets).toHaveBeenCalled();
+    });
+    
+    test('should keep running after a source fails', async () => {
+        sources.wiki.validate.mockReturnValue(false);
+        const originalCreate = coordinator.createManager;
+        coordinator.createManager = sourceConfig => {
+            const manager = originalCreate(sourceConfig);
+            if (sourceConfig === sources.tickets) {
+                manager.sync.mockRejectedValue(new Error('Data source unavailable'));
+            }
+            if (sourceConfig === sources.crm) {
+                manager.sync.mockResolvedValue(syncSummary({ failedDocuments: 2 }));
+            }
+            return manager;
+        };
+        
+        const results = await coordinator.run();
+        
+        expect(results).toEqual([
+            expect.objectContaining({ source: 'wiki', status: 'failed', error: 'Configuration is invalid' }),
+            expect.objectContaining({ source: 'tickets', status: 'failed', error: 'Data source unavailable' }),
+            expect.objectContaining({ source: 'crm', status: 'partial', summary: syncSummary({ failedDocuments: 2 }) })
+        ]);
+        expect(managers.has(sources.wiki)).toBe(false);
+    });
+    
+    test('should run only the selected sources, with the given mode and resume flag', async () => {
+        const results = await coordinator.run({ command: 'sync', mode: 'full', sources: ['wiki'], resume: true });
+        
+        expect(results.map(({ source }) => source)).toEqual(['wiki']);
+        expect(managers.get(sources.wiki).sync).toHaveBeenCalledWith({ mode: 'full', resume: true });
+        await expect(coordinator.run({ sources: ['billing'] }))
+            .rejects.toThrow('Unknown data source: billing (configured: wiki, tickets, crm)');
+    });
+    
+    test('should replay failures for each source', async () => {
+        const results = await coordinator.run({ command: 'replay-failures' });
+        
+        expect(results.every(({ summary }) => summary.replayed === 1)).toBe(true);
+        expect(managers.get(sources.wiki).sync).not.toHaveBeenCalled();
+    });
+    
+    test('should skip sources synced within their interval when only due sources run', async () => {
+        const recent = new Date(Date.now() - 1000).toISOString();
+        const stale = new Date(Date.now() - 120000).toISOString();
+        const originalCreate = coordinator.createManager;
+        coordinator.createManager = sourceConfig => {
+            const manager = originalCreate(sourceConfig);
+            if (sourceConfig === sources.wiki) {
+                manager.loadSyncState.mockResolvedValue({ lastSyncTime: recent });
+            }
+            if (sourceConfig === sources.tickets) {
+                manager.loadSyncState.mockResolvedValue({ lastSyncTime: stale });
+            }
+            return manager;
+        };
+        
+        const results = await coordinator.run({ dueOnly: true });
+        
+        expect(results.map(({ source, status }) => [source, status])).toEqual([
+            ['wiki', 'skipped'],
+            ['tickets', 'succeeded'],
+            ['crm', 'succeeded']
+        ]);
+        expect(managers.get(sources.wiki).sync).not.toHaveBeenCalled();
+    });
+    
+    test('should run the whole configuration as one source when none are listed', async () => {
+        const single = {
+            ...configOf({ 'plugin.name': 'custom-plugin', 'dataSource.syncMode': 'full', 'state.directory': stateDirectory }),
+            getSourceNames: () => []
+        };
+        coordinator.config = single;
+        
+        const results = await coordinator.run();
+        
+        expect(results.map(({ source, status }) => [source, status])).toEqual([['custom-plugin', 'succeeded']]);
+        // The caller resolves and validates the top-level configuration
+        expect(single.resolveSecrets).not.toHaveBeenCalled();
+        expect(managers.get(single).sync).toHaveBeenCalledWith({ mode: 'full' });
+    });
+    
+    test('should alternate incremental syncs with a full sync every schedule.fullSyncInterval', async () => {
+        const day = 86400000;
+        const lastFullSyncTimes = new Map([
+            [sources.wiki, undefined],
+            [sources.tickets, new Date(Date.now() - 2 * day).toISOString()],
+            [sources.crm, new Date(Date.now() - 1000).toISOString()]
+        ]);
+        const originalCreate = coordinator.createManager;
+        coordinator.createManager = sourceConfig => {
+            const manager = originalCreate(sourceConfig);
+            manager.loadSyncState.mockResolvedValue({ lastFullSyncTime: lastFullSyncTimes.get(sourceConfig) });
+            return manager;
+        };
+        Object.values(sources).forEach(source => {
+            source.get.mockImplementation(key => ({ 'schedule.fullSyncInterval': day, 'state.directory': stateDirectory })[key]);
+        });
+        
+        await coordinator.run({ mode: 'auto' });
+        
+        expect(managers.get(sources.wiki).sync).toHaveBeenCalledWith({ mode: 'full' });
+        expect(managers.get(sources.tickets).sync).toHaveBeenCalledWith({ mode: 'full' });
+        expect(managers.get(sources.crm).sync).toHaveBeenCalledWith({ mode: 'incremental' });
+    });
+    
+    test('should skip a source another process is already syncing', async () => {
+        const lock = new FileLock(coordinator.getLockPath('tickets', sources.tickets));
+        await lock.acquire();
+        
+        try {
+            const results = await coordinator.run();
+            
+            expect(results.map(({ source, status }) => [source, status])).toEqual([
+                ['wiki', 'succeeded'],
+                ['tickets', 'skipped'],
+                ['crm', 'succeeded']
+            ]);
+            expect(results[1].reason).toBe(`already running in process ${process.pid} on ${os.hostname()}`);
+            expect(managers.has(sources.tickets)).toBe(false);
+        } finally {
+            await lock.release();
+        }
+        
+        // Each run releases its lock when it ends
+        expect(fs.readdirSync(path.join(stateDirectory, 'locks'))).toEqual([]);
+    });
+    
+    test('should not start further sources once shut down', async () => {
+        const shutdown = new AbortController();
+        const originalCreate = coordinator.createManager;
+        coordinator.createManager = sourceConfig => {
+            const manager = originalCreate(sourceConfig);
+            manager.sync.mockImplementation(async () => {
+                shutdown.abort();
+                return syncSummary({ interrupted: true });
+            });
+            return manager;
+        };
+        
+        const results = await coordinator.run({ signal: shutdown.signal });
+        
+        expect(results.map(({ source, status }) => [source, status])).toEqual([['wiki', 'interrupted']]);
+        expect(managers.get(sources.wiki).sync).toHaveBeenCalledWith({ mode: 'incremental', signal: shutdown.signal });
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for Sync Daemon
+ */
+
+const SyncDaemon = require('../src/connectors/syncDaemon');
+
+jest.mock('@aws-sdk/client-qbusiness');
+
+// Configuration stub whose `get` reads from a flat map of settings
+const configOf = (settings) => ({ get: path => settings[path] });
+
+describe('SyncDaemon', () => {
+    let coordinator;
+    let shutdown;
+    
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date(2024, 2, 1, 10, 0, 0) });
+        shutdown = new AbortController();
+        coordinator = {
+            getSources: jest.fn(() => [
+                { name: 'wiki', config: configOf({ 'dataSource.syncInterval': 600000 }) },
+                { name: 'tickets', config: configOf({ 'dataSource.syncInterval': 60000 }) }
+            ]),
+            run: jest.fn().mockResolvedValue([])
+        };
+    });
+    
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+    
+    test('should check for due sources at once and again the shortest sync interval later', async () => {
+        const daemon = new SyncDaemon(configOf({}), { coordinator });
+        const running = daemon.run({ sources: ['wiki', 'tickets'], signal: shutdown.signal });
+        
+        await jest.advanceTimersByTimeAsync(0);
+        expect(coordinator.run).toHaveBeenCalledTimes(1);
+        expect(coordinator.run).toHaveBeenCalledWith({
+            command: 'sync',
+            mode: 'auto',
+            sources: ['wiki', 'tickets'],
+            dueOnly: true,
+            signal: shutdown.signal
+        });
+        
+        await jest.advanceTimersByTimeAsync(59999);
+        expect(coordinator.run).toHaveBeenCalledTimes(1);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(coordinator.run).toHaveBeenCalledTimes(2);
+        
+        shutdown.abort();
+        await running;
+        expect(coordinator.run).toHaveBeenCalledTimes(2);
+    });
+    
+    test('should sync every source when the cron expression fires', async () => {
+        const daemon = new SyncDaemon(configOf({ 'schedule.cron': '30 * * * *' }), { coordinator });
+        const running = daemon.run({ mode: 'incremental', signal: shutdown.signal });
+        
+        await jest.advanceTimersByTimeAsync(29 * 60000);
+        expect(coordinator.run).not.toHaveBeenCalled();
+        
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(coordinator.run).toHaveBeenCalledWith(expect.objectContaining({ mode: 'incremental', dueOnly: false }));
+        
+        await jest.advanceTimersByTimeAsync(60 * 60000);
+        expect(coordinator.run).toHaveBeenCalledTimes(2);
+        
+        shutdown.abort();
+        await running;
+    });
+    
+    test('should let the running sync finish before stopping', async () => {
+        let finishSync;
+        coordinator.run.mockImplementation(() => new Promise(resolve => {
+            finishSync = resolve;
+        }));
+        
+        const daemon = new SyncDaemon(configOf({}), { coordinator });
+        let stopped = false;
+        const running = daemon.run({ signal: shutdown.signal }).then(() => {
+            stopped = true;
+        });
+        
+        await jest.advanceTimersByTimeAsync(0);
+        shutdown.abort();
+        await jest.advanceTimersByTimeAsync(0);
+        expect(stopped).toBe(false);
+        
+        finishSync([]);
+        await running;
+        expect(coordinator.run).toHaveBeenCalledTimes(1);
+        expect(jest.getTimerCount()).toBe(0);
+    });
+});